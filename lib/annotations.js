@@ -0,0 +1,145 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// The team's own tags and notes, keyed by asset id. Like favorites, entries
+// keep the asset's title so a shared file still says what it was about.
+//   { [id]: { title, tags: ['horror', 'used-in-ep12'], note, updatedAt } }
+// Exported files wrap the same entries: { version, exportedAt, annotations }.
+
+const EXPORT_VERSION = 1;
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTE_LENGTH = 5000;
+// Letters, digits, "-" and "_"; the search box finds them as #tag
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+let storeFile = null;
+let state = Object.create(null); // no prototype: ids come from imported files
+
+function initAnnotations(userDataDir) {
+    storeFile = path.join(userDataDir, 'annotations.json');
+    const stored = readJsonFile(storeFile, {});
+    state = Object.create(null);
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+        for (const [id, entry] of Object.entries(stored)) {
+            try {
+                state[id] = normalizeEntry(entry);
+            } catch (error) {
+                console.error(`Dropping stored annotation for ${id}:`, error.message);
+            }
+        }
+    }
+}
+
+function getAnnotations() {
+    return state;
+}
+
+function save() {
+    writeJsonFile(storeFile, state);
+    return state;
+}
+
+// "#Horror " -> "horror"
+function normalizeTag(tag) {
+    const trimmed = String(tag || '').trim().replace(/^#+/, '').toLowerCase();
+    if (!trimmed) {
+        throw new Error('Tags cannot be empty');
+    }
+    if (trimmed.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (!TAG_PATTERN.test(trimmed)) {
+        throw new Error(`"${trimmed}" is not a valid tag (letters, digits, "-" and "_" only)`);
+    }
+    return trimmed;
+}
+
+function normalizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Invalid annotation');
+    }
+    const tags = [...new Set((Array.isArray(entry.tags) ? entry.tags : []).map(normalizeTag))];
+    if (tags.length > MAX_TAGS) {
+        throw new Error(`An asset can have at most ${MAX_TAGS} tags`);
+    }
+    const note = typeof entry.note === 'string' ? entry.note.trim() : '';
+    if (note.length > MAX_NOTE_LENGTH) {
+        throw new Error(`Notes can be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return {
+        title: String(entry.title || ''),
+        tags,
+        note,
+        updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : Date.now()
+    };
+}
+
+// Replaces the asset's tags and note; an empty pair removes the entry
+function setAnnotation(asset, { tags, note }) {
+    if (!asset || asset.id === undefined || asset.id === null) {
+        throw new Error('Invalid asset');
+    }
+    const id = String(asset.id);
+    const entry = normalizeEntry({ title: asset.title, tags, note, updatedAt: Date.now() });
+    if (entry.tags.length === 0 && !entry.note) {
+        delete state[id];
+    } else {
+        state[id] = entry;
+    }
+    return save();
+}
+
+function exportAnnotations() {
+    return { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), annotations: state };
+}
+
+// Merges a teammate's export into ours: tags are combined, and a note only
+// fills in where we have none, so importing never loses local edits.
+// Returns how many assets changed and how many entries were unreadable.
+function importAnnotations(data) {
+    if (!data || typeof data !== 'object' || !data.annotations || typeof data.annotations !== 'object') {
+        throw new Error('Not a tags and notes export');
+    }
+    if (data.version !== EXPORT_VERSION) {
+        throw new Error(`Unsupported export version ${data.version}`);
+    }
+
+    let updated = 0;
+    let skipped = 0;
+    for (const [id, raw] of Object.entries(data.annotations)) {
+        let incoming;
+        try {
+            incoming = normalizeEntry(raw);
+        } catch (error) {
+            skipped++;
+            continue;
+        }
+
+        const current = state[id];
+        if (!current) {
+            if (incoming.tags.length === 0 && !incoming.note) continue;
+            state[id] = incoming;
+            updated++;
+            continue;
+        }
+
+        const tags = [...new Set([...current.tags, ...incoming.tags])].slice(0, MAX_TAGS);
+        const note = current.note || incoming.note;
+        if (tags.length !== current.tags.length || note !== current.note) {
+            state[id] = { ...current, tags, note, updatedAt: Date.now() };
+            updated++;
+        }
+    }
+
+    save();
+    return { updated, skipped };
+}
+
+module.exports = {
+    initAnnotations,
+    getAnnotations,
+    setAnnotation,
+    exportAnnotations,
+    importAnnotations
+};
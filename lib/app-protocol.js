@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { protocol } = require('electron');
+
+// rd-app://renderer/ serves the renderer's own files, so the page comes with
+// a Content-Security-Policy header rather than a <meta> tag baked into the
+// HTML: the header can name whichever origins the catalog uses at the time
+// the page loads. No inline script or style is allowed, and images, media
+// and fonts only load from those origins or rd-asset://.
+
+const SCHEME = 'rd-app';
+const HOST = 'renderer';
+
+const APP_SCHEME = {
+    scheme: SCHEME,
+    privileges: { standard: true, secure: true, supportFetchAPI: true }
+};
+
+const MIME_TYPES = {
+    html: 'text/html; charset=utf-8',
+    css: 'text/css; charset=utf-8',
+    js: 'text/javascript; charset=utf-8',
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+function appUrl(file) {
+    return `${SCHEME}://${HOST}/${file}`;
+}
+
+// `mediaOrigins` are plain https origins, e.g. "https://cdn.example.com"
+function buildContentSecurityPolicy(mediaOrigins) {
+    const media = ["'self'", 'rd-asset:', ...mediaOrigins].join(' ');
+    return [
+        "default-src 'none'",
+        "script-src 'self'",
+        "style-src 'self'",
+        `img-src ${media} data:`,
+        `media-src ${media}`,
+        `font-src ${media}`,
+        "connect-src 'self' rd-asset:",
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'none'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+
+// Call once the app is ready. `getPolicy` is asked for each page load.
+function handleAppProtocol(rootDir, getPolicy) {
+    const root = path.resolve(rootDir);
+
+    protocol.handle(SCHEME, async (request) => {
+        const url = new URL(request.url);
+        const filePath = path.resolve(root, decodeURIComponent(url.pathname).replace(/^\/+/, ''));
+        if (url.hostname !== HOST || !filePath.startsWith(root + path.sep)) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        let body;
+        try {
+            body = await fs.promises.readFile(filePath);
+        } catch (e) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        const ext = path.extname(filePath).slice(1).toLowerCase();
+        const headers = {
+            'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (ext === 'html') {
+            headers['Content-Security-Policy'] = getPolicy();
+        }
+        return new Response(body, { headers });
+    });
+}
+
+module.exports = { APP_SCHEME, appUrl, buildContentSecurityPolicy, handleAppProtocol };
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+// Cache hits only move an entry's lastAccess, so they are written in batches
+const ACCESS_SAVE_DELAY_MS = 5000;
+
+let cacheDir = null;
+let indexFile = null;
+let maxBytes = DEFAULT_MAX_BYTES;
+let entries = {}; // cache key -> { key, assetId, url, filename, hash, size, path, lastAccess }
+const pending = new Map(); // cache key -> Promise<path>
+let saveTimer = null;
+const listeners = [];
+
+function initAssetCache(userDataDir, options = {}) {
+    cacheDir = path.join(userDataDir, 'asset-cache');
+    indexFile = path.join(cacheDir, 'index.json');
+    if (options.maxBytes) {
+        maxBytes = options.maxBytes;
+    }
+
+    fs.rmSync(path.join(cacheDir, 'tmp'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(cacheDir, 'tmp'), { recursive: true });
+
+    // Drop index entries whose blobs were removed behind our back
+    entries = {};
+    const stored = readJsonFile(indexFile, {});
+    for (const [key, entry] of Object.entries(stored.entries || {})) {
+        if (entry && entry.path && fs.existsSync(entry.path)) {
+            entries[key] = entry;
+        }
+    }
+    saveIndex();
+
+    removeOrphanedBlobs().catch((err) => {
+        console.error('Failed to clean up the asset cache:', err);
+    });
+}
+
+// Blobs whose index entry is gone, e.g. after a crash between writing the
+// file and saving the index
+async function removeOrphanedBlobs() {
+    const blobsDir = path.join(cacheDir, 'blobs');
+    const readDir = (dir) => fs.promises.readdir(dir).catch(() => []);
+
+    for (const prefix of await readDir(blobsDir)) {
+        for (const hash of await readDir(path.join(blobsDir, prefix))) {
+            for (const name of await readDir(path.join(blobsDir, prefix, hash))) {
+                const blobPath = path.join(blobsDir, prefix, hash, name);
+                if (!Object.values(entries).some((entry) => entry.path === blobPath)) {
+                    removeBlob(blobPath);
+                }
+            }
+        }
+        try {
+            fs.rmdirSync(path.join(blobsDir, prefix));
+        } catch (e) {
+            // Not empty
+        }
+    }
+}
+
+function setCacheLimit(bytes) {
+    maxBytes = bytes;
+    if (evict()) {
+        saveIndex();
+        notifyChange();
+    }
+}
+
+function cacheKeyFor(asset) {
+    return crypto.createHash('sha1').update(`${asset.id}\n${asset.url}`).digest('hex');
+}
+
+function saveIndex() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+        writeJsonFile(indexFile, { entries });
+    } catch (err) {
+        console.error('Failed to save asset cache index:', err);
+    }
+}
+
+function scheduleIndexSave() {
+    if (saveTimer === null) {
+        saveTimer = setTimeout(saveIndex, ACCESS_SAVE_DELAY_MS);
+    }
+}
+
+// Writes out access times still waiting for the next batch
+function flushAssetCache() {
+    if (saveTimer !== null) {
+        saveIndex();
+    }
+}
+
+function onCacheChanged(callback) {
+    listeners.push(callback);
+}
+
+function notifyChange() {
+    const ids = getCachedAssetIds();
+    listeners.forEach((callback) => callback(ids));
+}
+
+function getCachedAssetIds() {
+    return Object.values(entries).map((entry) => String(entry.assetId));
+}
+
+function getCachedFile(asset) {
+    const key = cacheKeyFor(asset);
+    const entry = entries[key];
+    if (!entry) {
+        return null;
+    }
+
+    if (!fs.existsSync(entry.path)) {
+        delete entries[key];
+        saveIndex();
+        notifyChange();
+        return null;
+    }
+
+    entry.lastAccess = Date.now();
+    scheduleIndexSave();
+    return entry.path;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => {
+                size += chunk.length;
+                hash.update(chunk);
+            })
+            .on('error', reject)
+            .on('end', () => resolve({ hash: hash.digest('hex'), size }));
+    });
+}
+
+// Returns the cached path for an asset, fetching it with `fetchToFile(url, dest)`
+// on a miss. Concurrent requests for the same asset share one download.
+function ensureCached(asset, fetchToFile) {
+    const key = cacheKeyFor(asset);
+    const hit = getCachedFile(asset);
+    if (hit) {
+        return Promise.resolve(hit);
+    }
+
+    if (pending.has(key)) {
+        return pending.get(key);
+    }
+
+    const promise = (async () => {
+        const partPath = path.join(cacheDir, 'tmp', `${key}.part`);
+        await fetchToFile(asset.url, partPath);
+
+        // Blobs live under their content hash so identical files are stored once
+        const { hash, size } = await hashFile(partPath);
+        const blobDir = path.join(cacheDir, 'blobs', hash.slice(0, 2), hash);
+        const blobPath = path.join(blobDir, safeFilename(asset.filename));
+        fs.mkdirSync(blobDir, { recursive: true });
+        if (fs.existsSync(blobPath)) {
+            fs.unlinkSync(partPath);
+        } else {
+            fs.renameSync(partPath, blobPath);
+        }
+
+        entries[key] = {
+            key,
+            assetId: asset.id,
+            url: asset.url,
+            filename: asset.filename,
+            hash,
+            size,
+            path: blobPath,
+            lastAccess: Date.now()
+        };
+
+        evict(key);
+        saveIndex();
+        notifyChange();
+        return blobPath;
+    })().finally(() => {
+        pending.delete(key);
+    });
+
+    pending.set(key, promise);
+    return promise;
+}
+
+// Least-recently-used eviction down to the size cap. `keepKey` protects the
+// entry that was just added even if it alone exceeds the cap.
+function evict(keepKey = null) {
+    const blobSizes = new Map();
+    for (const entry of Object.values(entries)) {
+        blobSizes.set(entry.path, entry.size);
+    }
+
+    let total = 0;
+    blobSizes.forEach((size) => {
+        total += size;
+    });
+
+    let removed = false;
+    const byAge = Object.values(entries).sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of byAge) {
+        if (total <= maxBytes) break;
+        if (entry.key === keepKey) continue;
+
+        delete entries[entry.key];
+        removed = true;
+
+        const stillReferenced = Object.values(entries).some((other) => other.path === entry.path);
+        if (!stillReferenced) {
+            removeBlob(entry.path);
+            total -= entry.size;
+        }
+    }
+
+    return removed;
+}
+
+function removeBlob(blobPath) {
+    try {
+        fs.rmSync(blobPath, { force: true });
+    } catch (err) {
+        console.error(`Failed to remove cached file ${blobPath}:`, err);
+        return;
+    }
+
+    // The hash directory can hold the same content under another filename
+    try {
+        fs.rmdirSync(path.dirname(blobPath));
+    } catch (e) {
+        // Not empty
+    }
+}
+
+function clearAssetCache() {
+    for (const entry of Object.values(entries)) {
+        removeBlob(entry.path);
+    }
+    entries = {};
+    saveIndex();
+    notifyChange();
+}
+
+function safeFilename(filename) {
+    const name = String(filename || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+    // "." and ".." would name the hash directory or its parent
+    return /^\.*$/.test(name) ? 'asset' : name;
+}
+
+module.exports = {
+    initAssetCache,
+    setCacheLimit,
+    onCacheChanged,
+    getCachedAssetIds,
+    getCachedFile,
+    ensureCached,
+    clearAssetCache,
+    flushAssetCache
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// rd-asset:// serves files from disk to the renderer without exposing file://.
+// URLs look like rd-asset://<host>/<id>; each host has a resolver that maps
+// the id to a path, or null if the id is unknown. A resolver may also answer
+// with a Response of its own, e.g. one streamed from the asset's host.
+
+const SCHEME = 'rd-asset';
+
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+    webp: 'image/webp', svg: 'image/svg+xml',
+    mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4',
+    ttf: 'font/ttf', otf: 'font/otf', woff: 'font/woff', woff2: 'font/woff2',
+    json: 'application/json', txt: 'text/plain', xml: 'application/xml',
+    zip: 'application/zip'
+};
+
+// Loaded on first use: the URL and MIME helpers are shared with modules
+// that also run (and are tested) outside Electron
+function electronProtocol() {
+    return require('electron').protocol;
+}
+
+const resolvers = new Map(); // host -> (id, request) => path | Response | null, or a Promise of one
+
+// Must run before the app is ready. Electron takes a single registration,
+// so the app's other custom schemes are passed in to go with it.
+function registerAssetScheme(...otherSchemes) {
+    electronProtocol().registerSchemesAsPrivileged([{
+        scheme: SCHEME,
+        privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true, corsEnabled: true }
+    }, ...otherSchemes]);
+}
+
+function addAssetResolver(host, resolve) {
+    resolvers.set(host, resolve);
+}
+
+function assetUrl(host, id) {
+    return `${SCHEME}://${host}/${encodeURIComponent(id)}`;
+}
+
+function mimeTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+// Single "bytes=start-end" ranges only; media elements never ask for more
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start <= end && start < size ? { start, end } : { invalid: true };
+}
+
+async function serveAsset(request) {
+    const url = new URL(request.url);
+    const resolve = resolvers.get(url.hostname);
+
+    // Resolvers may download the file first, so they can be async and fail
+    let filePath;
+    try {
+        filePath = resolve ? await resolve(decodeURIComponent(url.pathname.slice(1)), request) : null;
+    } catch (err) {
+        return new Response(err.message, { status: 502 });
+    }
+    if (filePath instanceof Response) {
+        return filePath;
+    }
+    if (!filePath) {
+        return new Response('Not found', { status: 404 });
+    }
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(filePath);
+    } catch (e) {
+        return new Response('Not found', { status: 404 });
+    }
+
+    const headers = {
+        'Content-Type': mimeTypeFor(filePath),
+        'Accept-Ranges': 'bytes',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    const range = parseRange(request.headers.get('Range'), stat.size);
+    if (range && range.invalid) {
+        return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${stat.size}` } });
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stat.size - 1;
+    headers['Content-Length'] = String(Math.max(end - start + 1, 0));
+    if (range) {
+        headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+
+    const body = stat.size === 0 ? null : Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+    return new Response(body, { status: range ? 206 : 200, headers });
+}
+
+// Call once the app is ready
+function handleAssetProtocol() {
+    electronProtocol().handle(SCHEME, serveAsset);
+}
+
+module.exports = { registerAssetScheme, handleAssetProtocol, addAssetResolver, assetUrl, mimeTypeFor };
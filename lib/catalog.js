@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { addAssetResolver } = require('./asset-protocol');
+const {
+    DEFAULT_PROVIDER_ID,
+    DEFAULT_PROVIDERS,
+    IN_PLACE_HOST,
+    fetchProviderCatalog,
+    isValidCatalog,
+    normalizeAssets
+} = require('./providers');
+
+// Merged catalog over every enabled source provider. Each provider's raw
+// catalog is cached in userData/catalogs/<id>.json with its validator, so a
+// launch serves the last good copy and revalidation is a conditional request.
+
+let cacheDir = null;
+let legacyCacheFile = null;
+let providers = [];
+const sources = new Map(); // provider id -> { provider, cache, assets, skipped, error }
+let pendingRevalidation = null;
+let byId = new Map(); // asset id -> asset, for every enabled source
+
+function initCatalog(userDataDir, initialProviders = DEFAULT_PROVIDERS) {
+    cacheDir = path.join(userDataDir, 'catalogs');
+    legacyCacheFile = path.join(userDataDir, 'catalog-cache.json');
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    // Static indexes may point at files on a share; serve those in place
+    addAssetResolver(IN_PLACE_HOST, (id) => {
+        const asset = byId.get(id);
+        return asset && asset.path ? asset.path : null;
+    });
+
+    setProviders(initialProviders);
+}
+
+function cacheFileFor(providerId) {
+    return path.join(cacheDir, `${providerId}.json`);
+}
+
+// The cache is only valid for the location it was fetched from
+function cacheSignature(provider) {
+    return `${provider.type} ${provider.location}`;
+}
+
+function readProviderCache(provider) {
+    let stored = readJsonFile(cacheFileFor(provider.id), null);
+
+    // Single-source caches from before providers existed
+    if (!stored && provider.id === DEFAULT_PROVIDER_ID) {
+        const legacy = readJsonFile(legacyCacheFile, null);
+        if (legacy && (legacy.source || provider.location) === provider.location) {
+            stored = { ...legacy, signature: cacheSignature(provider) };
+        }
+    }
+
+    if (!stored || stored.signature !== cacheSignature(provider) || !isValidCatalog(stored.data)) {
+        return null;
+    }
+    return stored;
+}
+
+function normalizeSource(source) {
+    const { assets, skipped } = source.cache
+        ? normalizeAssets(source.provider, source.cache.data)
+        : { assets: [], skipped: 0 };
+    source.assets = assets;
+    source.skipped = skipped;
+}
+
+function rebuildIndex() {
+    byId = new Map();
+    for (const source of sources.values()) {
+        for (const asset of source.assets) {
+            byId.set(String(asset.id), asset);
+        }
+    }
+}
+
+// Apply a new provider list. Sources whose location changed start without a
+// cache; mapping changes re-normalise the cached data without a fetch.
+// Returns true when anything the renderer sees may have changed.
+function setProviders(nextProviders) {
+    const enabled = nextProviders.filter((provider) => provider.enabled);
+    if (JSON.stringify(enabled) === JSON.stringify(providers)) {
+        return false;
+    }
+    providers = JSON.parse(JSON.stringify(enabled));
+
+    for (const id of [...sources.keys()]) {
+        if (!providers.some((provider) => provider.id === id)) {
+            sources.delete(id);
+        }
+    }
+
+    for (const provider of providers) {
+        const existing = sources.get(provider.id);
+        const sameLocation = existing && cacheSignature(existing.provider) === cacheSignature(provider);
+        const source = {
+            provider,
+            cache: sameLocation ? existing.cache : readProviderCache(provider),
+            assets: [],
+            skipped: 0,
+            error: sameLocation ? existing.error : null
+        };
+        normalizeSource(source);
+        sources.set(provider.id, source);
+    }
+
+    // A revalidation that started against the old list must not win
+    pendingRevalidation = null;
+    rebuildIndex();
+    return true;
+}
+
+function getSourceStatus() {
+    return providers.map((provider) => {
+        const source = sources.get(provider.id);
+        return {
+            id: provider.id,
+            name: provider.name,
+            count: source.assets.length,
+            skipped: source.skipped,
+            error: source.error,
+            fetchedAt: source.cache ? source.cache.fetchedAt : null
+        };
+    });
+}
+
+function buildCatalog() {
+    const cached = [...sources.values()].filter((source) => source.cache);
+    if (cached.length === 0) {
+        return null;
+    }
+
+    return {
+        assets: [...sources.values()].flatMap((source) => source.assets),
+        fetchedAt: Math.max(...cached.map((source) => source.cache.fetchedAt)),
+        checkedAt: Math.min(...cached.map((source) => source.cache.checkedAt)),
+        sources: getSourceStatus()
+    };
+}
+
+// Last good merged catalog, or null when no source has ever loaded
+function getCachedCatalog() {
+    return buildCatalog();
+}
+
+function findCatalogAsset(id) {
+    return byId.get(String(id)) || null;
+}
+
+// Resolves with whether this source's data changed
+async function revalidateSource(source) {
+    try {
+        const result = await fetchProviderCatalog(source.provider, source.cache);
+        const now = Date.now();
+        source.error = null;
+
+        if (result.notModified) {
+            source.cache.checkedAt = now;
+            writeJsonFile(cacheFileFor(source.provider.id), source.cache);
+            return false;
+        }
+
+        source.cache = {
+            signature: cacheSignature(source.provider),
+            data: result.data,
+            etag: result.etag,
+            lastModified: result.lastModified,
+            fetchedAt: now,
+            checkedAt: now
+        };
+        writeJsonFile(cacheFileFor(source.provider.id), source.cache);
+        if (source.provider.id === DEFAULT_PROVIDER_ID) {
+            fs.rm(legacyCacheFile, { force: true }, () => {});
+        }
+        normalizeSource(source);
+        return true;
+    } catch (err) {
+        source.error = err.message;
+        console.error(`Catalog source ${source.provider.id} failed:`, err.message);
+        return false;
+    }
+}
+
+// Conditional fetch of every source in parallel. One failing source keeps
+// its last good copy; only a run where nothing at all is available rejects.
+function revalidateCatalog() {
+    if (pendingRevalidation) {
+        return pendingRevalidation;
+    }
+
+    const revalidation = (async () => {
+        const current = [...sources.values()];
+        const results = await Promise.all(current.map(revalidateSource));
+
+        // The provider list changed while the requests were in flight
+        if (pendingRevalidation !== revalidation) {
+            throw new Error('Catalog sources changed');
+        }
+
+        rebuildIndex();
+        const catalog = buildCatalog();
+        if (!catalog) {
+            const failed = current.find((source) => source.error);
+            throw new Error(failed ? failed.error : 'No catalog sources are enabled');
+        }
+        return { changed: results.some(Boolean), catalog };
+    })().finally(() => {
+        if (pendingRevalidation === revalidation) {
+            pendingRevalidation = null;
+        }
+    });
+
+    pendingRevalidation = revalidation;
+    return revalidation;
+}
+
+// Origins of the remote sources and the asset URLs they list. Recomputed
+// only when the index changes.
+let originsFor = null;
+let origins = new Set();
+
+function getCatalogOrigins() {
+    if (originsFor === byId) {
+        return origins;
+    }
+
+    origins = new Set();
+    const add = (url) => {
+        try {
+            origins.add(new URL(url).origin);
+        } catch (e) {
+            // Unparseable URLs never become allowed
+        }
+    };
+    providers.filter((provider) => provider.type !== 'static').forEach((provider) => add(provider.location));
+    byId.forEach((asset) => {
+        if (!asset.path) add(asset.url);
+    });
+
+    originsFor = byId;
+    return origins;
+}
+
+module.exports = {
+    initCatalog,
+    setProviders,
+    getCachedCatalog,
+    getSourceStatus,
+    findCatalogAsset,
+    revalidateCatalog,
+    getCatalogOrigins
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { exec, execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+const { clipboard } = require('electron');
+const { mimeTypeFor } = require('./asset-protocol');
+
+// What a copy puts on the clipboard. `file` is a file reference other apps
+// paste as the file itself; the rest are text.
+const CLIPBOARD_FORMATS = ['file', 'url', 'path', 'markdown', 'data-uri'];
+
+// Formats that need the asset on disk first
+const FILE_FORMATS = ['file', 'path', 'data-uri'];
+
+const DATA_URI_MAX_BYTES = 1024 * 1024;
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+
+function copyFileToClipboard(filePath) {
+    return new Promise((resolve) => {
+        if (process.platform === 'win32') {
+            // Use PowerShell to set file drop list
+            // Using single quotes for path in PowerShell requires escaping single quotes as ''
+            const safePath = filePath.replace(/'/g, "''");
+            const psScript = `
+                Add-Type -AssemblyName System.Windows.Forms;
+                [System.Collections.Specialized.StringCollection]$files = New-Object System.Collections.Specialized.StringCollection;
+                $files.Add('${safePath}');
+                [System.Windows.Forms.Clipboard]::SetFileDropList($files);
+            `;
+            // Encode command to avoid issues with special characters
+            const encodedCommand = Buffer.from(psScript, 'utf16le').toString('base64');
+            exec(`powershell -EncodedCommand ${encodedCommand}`, { timeout: 10000 }, (error) => {
+                if (error) {
+                    console.error('PowerShell error:', error);
+                    resolve({ success: false, message: error.message });
+                } else {
+                    resolve({ success: true, type: 'file', path: filePath });
+                }
+            });
+        } else if (process.platform === 'darwin') {
+            // Use AppleScript to set clipboard to POSIX file. The script goes
+            // to osascript as an argument, never through a shell, and string
+            // literals only need backslashes and quotes escaped.
+            const safePath = filePath.replace(/[\\"]/g, '\\$&');
+            const script = `set the clipboard to POSIX file "${safePath}"`;
+            execFile('osascript', ['-e', script], { timeout: 10000 }, (error) => {
+                if (error) {
+                    resolve({ success: false, message: error.message });
+                } else {
+                    resolve({ success: true, type: 'file', path: filePath });
+                }
+            });
+        } else {
+            // Linux and others. All formats go in one write, since every write
+            // replaces the last: file managers read text/uri-list (KDE) or the
+            // GNOME format (Nautilus, Nemo, Caja), terminals paste the path.
+            try {
+                const fileUrl = pathToFileURL(filePath).href;
+                clipboard.write({
+                    'text/uri-list': Buffer.from(`${fileUrl}\r\n`),
+                    'x-special/gnome-copied-files': Buffer.from(`copy\n${fileUrl}`),
+                    text: filePath
+                });
+
+                resolve({ success: true, type: 'file', path: filePath });
+            } catch (err) {
+                resolve({ success: false, message: err.message });
+            }
+        }
+    });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Markdown link text and destinations break on brackets, parentheses and spaces
+function markdownSnippet(title, url, isImage) {
+    const text = String(title).replace(/([\\[\]])/g, '\\$1');
+    const target = url.replace(/[ ()]/g, (c) => ({ ' ': '%20', '(': '%28', ')': '%29' })[c]);
+    return `${isImage ? '!' : ''}[${text}](${target})`;
+}
+
+function htmlSnippet(title, url, isImage) {
+    return isImage
+        ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(title)}">`
+        : `<a href="${escapeHtml(url)}">${escapeHtml(title)}</a>`;
+}
+
+async function dataUri(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > DATA_URI_MAX_BYTES) {
+        throw new Error(`Data URIs are limited to files up to ${DATA_URI_MAX_BYTES / 1024} KB`);
+    }
+    const data = await fs.promises.readFile(filePath);
+    return `data:${mimeTypeFor(filePath)};base64,${data.toString('base64')}`;
+}
+
+// `url` is the link text formats use; `filePath` is required for FILE_FORMATS.
+// Resolves with { success, type, message? } like copyFileToClipboard.
+async function copyAs(format, { asset, url, filePath }) {
+    try {
+        switch (format) {
+            case 'file':
+                return await copyFileToClipboard(filePath);
+            case 'path':
+                clipboard.writeText(filePath);
+                return { success: true, type: 'path', path: filePath };
+            case 'url':
+                clipboard.writeText(url);
+                return { success: true, type: 'url' };
+            case 'markdown': {
+                const title = asset.title || asset.filename;
+                const isImage = IMAGE_EXTENSIONS.includes(String(asset.ext).toLowerCase());
+                clipboard.write({
+                    text: markdownSnippet(title, url, isImage),
+                    html: htmlSnippet(title, url, isImage)
+                });
+                return { success: true, type: 'markdown' };
+            }
+            case 'data-uri':
+                clipboard.writeText(await dataUri(filePath));
+                return { success: true, type: 'data-uri' };
+            default:
+                return { success: false, message: `Unknown clipboard format "${format}"` };
+        }
+    } catch (err) {
+        return { success: false, message: err.message };
+    }
+}
+
+module.exports = {
+    CLIPBOARD_FORMATS,
+    FILE_FORMATS,
+    DATA_URI_MAX_BYTES,
+    copyFileToClipboard,
+    copyAs
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files worked out from assets (video thumbnail strips, waveform peaks) share
+// one least-recently-used size cap. An item is every file in a directory
+// named <key>.<ext>; its last use is the newest mtime among them, so reads
+// touch the files and the order survives restarts without an index.
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+let maxBytes = DEFAULT_MAX_BYTES;
+const items = new Map(); // "<dir>\n<key>" -> { dir, key, files, size, lastAccess }
+let totalBytes = 0;
+
+function itemId(dir, key) {
+    return `${dir}\n${key}`;
+}
+
+function statItem(dir, key, files) {
+    let size = 0;
+    let lastAccess = 0;
+    const present = [];
+    for (const name of files) {
+        try {
+            const stat = fs.statSync(path.join(dir, name));
+            size += stat.size;
+            lastAccess = Math.max(lastAccess, stat.mtimeMs);
+            present.push(name);
+        } catch (e) {
+            // Removed behind our back
+        }
+    }
+    return { dir, key, files: present, size, lastAccess };
+}
+
+function setItem(item) {
+    const id = itemId(item.dir, item.key);
+    const previous = items.get(id);
+    if (previous) {
+        totalBytes -= previous.size;
+    }
+    if (item.files.length === 0) {
+        items.delete(id);
+        return;
+    }
+    items.set(id, item);
+    totalBytes += item.size;
+}
+
+// Creates the directory and indexes what an earlier run left in it
+function addDerivedCacheDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const byKey = new Map();
+    for (const name of fs.readdirSync(dir)) {
+        const key = name.split('.')[0];
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(name);
+    }
+    byKey.forEach((files, key) => setItem(statItem(dir, key, files)));
+    evict();
+}
+
+// Call after writing an item's files
+function recordDerivedFiles(dir, key, files) {
+    setItem(statItem(dir, key, files));
+    evict(itemId(dir, key));
+}
+
+function touchDerivedFiles(dir, key) {
+    const item = items.get(itemId(dir, key));
+    if (!item) {
+        return;
+    }
+    item.lastAccess = Date.now();
+    const now = new Date(item.lastAccess);
+    item.files.forEach((name) => fs.utimes(path.join(dir, name), now, now, () => {}));
+}
+
+function setDerivedCacheLimit(bytes) {
+    maxBytes = bytes;
+    evict();
+}
+
+// `keepId` protects the item that was just written
+function evict(keepId = null) {
+    const byAge = [...items.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const item of byAge) {
+        if (totalBytes <= maxBytes) break;
+        if (itemId(item.dir, item.key) === keepId) continue;
+        removeItem(item);
+    }
+}
+
+function removeItem(item) {
+    for (const name of item.files) {
+        try {
+            fs.rmSync(path.join(item.dir, name), { force: true });
+        } catch (err) {
+            console.error(`Failed to remove cached file ${name}:`, err);
+        }
+    }
+    items.delete(itemId(item.dir, item.key));
+    totalBytes -= item.size;
+}
+
+function clearDerivedCaches() {
+    [...items.values()].forEach(removeItem);
+}
+
+module.exports = {
+    addDerivedCacheDir,
+    recordDerivedFiles,
+    touchDerivedFiles,
+    setDerivedCacheLimit,
+    clearDerivedCaches
+};
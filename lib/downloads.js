@@ -0,0 +1,346 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { request, checkContentType } = require('./net');
+
+// Download queue for the main process. Each transfer streams to its
+// destination path, retries transient failures with exponential backoff and
+// resumes from the bytes already on disk using HTTP Range requests.
+
+const DEFAULT_OPTIONS = {
+    maxConcurrent: 3,
+    maxAttempts: 4,
+    retryBaseDelayMs: 1000,
+    timeout: 30000,
+    maxSizeBytes: 500 * 1024 * 1024
+};
+const PROGRESS_INTERVAL_MS = 200;
+const MAX_FINISHED = 50;
+
+let options = { ...DEFAULT_OPTIONS };
+const transfers = new Map(); // id -> transfer (insertion order = queue order)
+const listeners = [];
+let activeCount = 0;
+
+function configureDownloads(overrides) {
+    options = { ...options, ...overrides };
+    pump();
+}
+
+function onTransfersChanged(callback) {
+    listeners.push(callback);
+}
+
+// Renderer-safe view of a transfer
+function describe(transfer) {
+    return {
+        id: transfer.id,
+        assetId: transfer.assetId,
+        title: transfer.title,
+        status: transfer.status,
+        receivedBytes: transfer.receivedBytes,
+        totalBytes: transfer.totalBytes,
+        attempts: transfer.attempts,
+        error: transfer.error,
+        startedAt: transfer.startedAt,
+        finishedAt: transfer.finishedAt
+    };
+}
+
+function listTransfers() {
+    return [...transfers.values()].map(describe);
+}
+
+function emit(transfer, force = false) {
+    const now = Date.now();
+    if (!force && now - transfer.lastEmit < PROGRESS_INTERVAL_MS) return;
+    transfer.lastEmit = now;
+    const snapshot = describe(transfer);
+    listeners.forEach((callback) => callback(snapshot));
+}
+
+// Queue a download of `url` to `dest`. Resolves with the path once the file
+// is complete; rejects with the last error, or 'Download canceled'.
+// `allowUrl` vets the URL and every redirect it leads to.
+function enqueueDownload({ url, dest, title = '', assetId = null, ext = null, allowUrl = null }) {
+    const transfer = {
+        id: crypto.randomUUID(),
+        assetId,
+        title,
+        url,
+        dest,
+        ext,
+        allowUrl,
+        status: 'queued',
+        receivedBytes: 0,
+        totalBytes: null,
+        attempts: 0,
+        error: null,
+        startedAt: null,
+        finishedAt: null,
+        lastEmit: 0,
+        request: null,
+        wakeRetry: null,
+        validator: null,
+        holdsSlot: false
+    };
+
+    transfer.promise = new Promise((resolve, reject) => {
+        transfer.resolve = resolve;
+        transfer.reject = reject;
+    });
+
+    transfers.set(transfer.id, transfer);
+    emit(transfer, true);
+    pump();
+    return { id: transfer.id, promise: transfer.promise };
+}
+
+function pump() {
+    for (const transfer of transfers.values()) {
+        if (activeCount >= options.maxConcurrent) break;
+        if (transfer.status === 'queued') {
+            activeCount++;
+            transfer.holdsSlot = true;
+            runTransfer(transfer);
+        }
+    }
+}
+
+// The only place a slot is given back, so a transfer canceled just as it
+// completes cannot free its slot twice
+function releaseSlot(transfer) {
+    if (!transfer.holdsSlot) return;
+    transfer.holdsSlot = false;
+    activeCount--;
+}
+
+async function runTransfer(transfer) {
+    transfer.status = 'active';
+    transfer.startedAt = transfer.startedAt || Date.now();
+
+    while (transfer.status === 'active') {
+        transfer.attempts++;
+        emit(transfer, true);
+
+        try {
+            await attemptDownload(transfer);
+            // Canceled while the last bytes were being written
+            if (transfer.status === 'canceled') {
+                fs.unlink(transfer.dest, () => {});
+                return;
+            }
+            transfer.error = null;
+            finish(transfer, 'done');
+            transfer.resolve(transfer.dest);
+            return;
+        } catch (err) {
+            if (transfer.status === 'canceled') {
+                fs.unlink(transfer.dest, () => {});
+                return;
+            }
+
+            const retryable = isRetryable(err) && transfer.attempts < options.maxAttempts;
+            if (!retryable) {
+                transfer.error = err.message;
+                finish(transfer, 'failed');
+                fs.unlink(transfer.dest, () => {});
+                transfer.reject(err);
+                return;
+            }
+
+            // Exponential backoff with jitter; the partial file stays for resuming
+            transfer.status = 'retrying';
+            transfer.error = err.message;
+            emit(transfer, true);
+            const delay = options.retryBaseDelayMs * 2 ** (transfer.attempts - 1) * (0.75 + Math.random() * 0.5);
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, delay);
+                transfer.wakeRetry = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            transfer.wakeRetry = null;
+            if (transfer.status === 'canceled') {
+                fs.unlink(transfer.dest, () => {});
+                return;
+            }
+            transfer.status = 'active';
+        }
+    }
+}
+
+function finish(transfer, status) {
+    if (transfer.status === 'canceled') return;
+    transfer.status = status;
+    transfer.finishedAt = Date.now();
+    transfer.request = null;
+    releaseSlot(transfer);
+    emit(transfer, true);
+    pruneFinished();
+    pump();
+}
+
+function pruneFinished() {
+    const finished = [...transfers.values()].filter((t) => t.finishedAt);
+    for (const transfer of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) {
+        transfers.delete(transfer.id);
+    }
+}
+
+function isRetryable(err) {
+    if (err.statusCode) {
+        return err.statusCode >= 500 || err.statusCode === 408 || err.statusCode === 429;
+    }
+    return !err.permanent;
+}
+
+function httpError(statusCode) {
+    const err = new Error(`HTTP status code ${statusCode}`);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function permanentError(message) {
+    const err = new Error(message);
+    err.permanent = true;
+    return err;
+}
+
+// One HTTP attempt. Appends to a partial file when the server honours Range,
+// otherwise starts the file over.
+async function attemptDownload(transfer) {
+    let existingBytes = 0;
+    try {
+        existingBytes = fs.statSync(transfer.dest).size;
+    } catch (e) {
+        // Nothing on disk yet
+    }
+
+    const headers = {};
+    if (existingBytes > 0) {
+        headers.Range = `bytes=${existingBytes}-`;
+        if (transfer.validator) {
+            headers['If-Range'] = transfer.validator;
+        }
+    }
+
+    const response = await request(transfer.url, {
+        headers,
+        timeout: options.timeout,
+        allowUrl: transfer.allowUrl,
+        onRequest: (req) => {
+            transfer.request = req;
+        }
+    });
+
+    if (transfer.status === 'canceled') {
+        response.destroy();
+        throw new Error('Download canceled');
+    }
+
+    const { statusCode } = response;
+    if (statusCode === 416 && existingBytes > 0 && existingBytes === transfer.totalBytes) {
+        response.resume();
+        return;
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw httpError(statusCode);
+    }
+
+    try {
+        checkContentType(transfer.ext, response.headers['content-type']);
+    } catch (err) {
+        response.destroy();
+        throw err;
+    }
+
+    const resuming = statusCode === 206 && existingBytes > 0;
+    transfer.validator = response.headers.etag || response.headers['last-modified'] || null;
+
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    transfer.totalBytes = isNaN(contentLength) ? null : contentLength + (resuming ? existingBytes : 0);
+    transfer.receivedBytes = resuming ? existingBytes : 0;
+
+    if (transfer.totalBytes !== null && transfer.totalBytes > options.maxSizeBytes) {
+        response.destroy();
+        throw permanentError(`File size (${transfer.totalBytes} bytes) exceeds limit of ${options.maxSizeBytes} bytes`);
+    }
+
+    return new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(transfer.dest, { flags: resuming ? 'a' : 'w' });
+        let failed = false;
+        const fail = (err) => {
+            if (failed) return;
+            failed = true;
+            response.destroy();
+            file.close(() => reject(err));
+        };
+
+        response.on('data', (chunk) => {
+            transfer.receivedBytes += chunk.length;
+            if (transfer.receivedBytes > options.maxSizeBytes) {
+                fail(permanentError(`File size exceeds limit of ${options.maxSizeBytes} bytes`));
+                return;
+            }
+            emit(transfer);
+        });
+
+        response.on('aborted', () => fail(new Error('Connection lost')));
+        response.on('error', fail);
+        file.on('error', (err) => fail(permanentError(err.message)));
+
+        file.on('finish', () => {
+            if (failed) return;
+            if (transfer.totalBytes !== null && transfer.receivedBytes < transfer.totalBytes) {
+                return reject(new Error('Connection closed before the download finished'));
+            }
+            resolve();
+        });
+
+        response.pipe(file);
+    });
+}
+
+function cancelTransfer(transferId) {
+    const transfer = transfers.get(transferId);
+    if (!transfer || transfer.finishedAt) {
+        return false;
+    }
+
+    const wasRunning = transfer.status !== 'queued';
+    transfer.status = 'canceled';
+    transfer.finishedAt = Date.now();
+    transfer.reject(new Error('Download canceled'));
+
+    // A running transfer removes its partial file once the request unwinds
+    if (wasRunning) {
+        releaseSlot(transfer);
+        if (transfer.request) transfer.request.destroy();
+        if (transfer.wakeRetry) transfer.wakeRetry();
+    }
+
+    emit(transfer, true);
+    pump();
+    return true;
+}
+
+function clearFinishedTransfers() {
+    for (const transfer of [...transfers.values()]) {
+        if (transfer.finishedAt) {
+            transfers.delete(transfer.id);
+        }
+    }
+    return listTransfers();
+}
+
+module.exports = {
+    configureDownloads,
+    onTransfersChanged,
+    listTransfers,
+    enqueueDownload,
+    cancelTransfer,
+    clearFinishedTransfers
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Entries keep the title they were saved with so assets that later vanish
+// from the catalog can still be named when they are listed for cleanup.
+//   favorites:   [{ id, title, addedAt }]
+//   collections: [{ id, name, createdAt, items: [{ id, title, addedAt }] }]
+let storeFile = null;
+let state = { favorites: [], collections: [] };
+
+function initFavorites(userDataDir) {
+    storeFile = path.join(userDataDir, 'favorites.json');
+    const stored = readJsonFile(storeFile, {});
+    state = {
+        favorites: Array.isArray(stored.favorites) ? stored.favorites : [],
+        collections: Array.isArray(stored.collections) ? stored.collections : []
+    };
+}
+
+function getFavorites() {
+    return state;
+}
+
+function save() {
+    writeJsonFile(storeFile, state);
+    return state;
+}
+
+function toEntry(asset) {
+    if (!asset || asset.id === undefined || asset.id === null) {
+        throw new Error('Invalid asset');
+    }
+    return { id: String(asset.id), title: String(asset.title || ''), addedAt: Date.now() };
+}
+
+function setFavorite(asset, favorite) {
+    const entry = toEntry(asset);
+    state.favorites = state.favorites.filter((item) => item.id !== entry.id);
+    if (favorite) {
+        state.favorites.push(entry);
+    }
+    return save();
+}
+
+function findCollection(collectionId) {
+    const collection = state.collections.find((item) => item.id === collectionId);
+    if (!collection) {
+        throw new Error('Collection not found');
+    }
+    return collection;
+}
+
+function validateName(name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('Collection name cannot be empty');
+    }
+    const taken = state.collections.some((item) =>
+        item.id !== exceptId && item.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (taken) {
+        throw new Error(`A collection named "${trimmed}" already exists`);
+    }
+    return trimmed;
+}
+
+function createCollection(name) {
+    state.collections.push({
+        id: crypto.randomUUID(),
+        name: validateName(name),
+        createdAt: Date.now(),
+        items: []
+    });
+    return save();
+}
+
+function renameCollection(collectionId, name) {
+    const collection = findCollection(collectionId);
+    collection.name = validateName(name, collectionId);
+    return save();
+}
+
+function deleteCollection(collectionId) {
+    findCollection(collectionId);
+    state.collections = state.collections.filter((item) => item.id !== collectionId);
+    return save();
+}
+
+function setInCollection(collectionId, asset, member) {
+    const collection = findCollection(collectionId);
+    const entry = toEntry(asset);
+    collection.items = collection.items.filter((item) => item.id !== entry.id);
+    if (member) {
+        collection.items.push(entry);
+    }
+    return save();
+}
+
+// Drop favorites and collection items whose asset is no longer in the catalog
+function pruneFavorites(knownIds) {
+    const known = new Set(knownIds.map(String));
+    state.favorites = state.favorites.filter((item) => known.has(item.id));
+    state.collections.forEach((collection) => {
+        collection.items = collection.items.filter((item) => known.has(item.id));
+    });
+    return save();
+}
+
+module.exports = {
+    initFavorites,
+    getFavorites,
+    setFavorite,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    setInCollection,
+    pruneFavorites
+};
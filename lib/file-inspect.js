@@ -0,0 +1,561 @@
+const fs = require('fs');
+const path = require('path');
+
+// Looks inside files the preview can't show natively, mostly presets:
+//   { kind: 'archive', format, entries, entryCount, totalSize, truncated, encrypted, contents, target, size }
+//   { kind: 'text', language, text, pretty, truncated, target, size }
+//   { kind: 'binary', target, size }
+// Archives are listed from their directory only (ZIP central directory, RAR
+// block headers), so nothing is extracted. `target` is the application and
+// version a preset declares, when the format says: { app, version?, detail? }.
+
+const MAX_TEXT_BYTES = 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 1000;
+const MAX_DIRECTORY_BYTES = 16 * 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+
+const ZIP_LOCAL_SIG = 0x04034b50;
+const ZIP_EMPTY_SIG = 0x06054b50;
+const ZIP_CENTRAL_SIG = 0x02014b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_END_SIG = 0x06064b50;
+const RAR4_SIG = Buffer.from('Rar!\x1a\x07\x00', 'latin1');
+const RAR5_SIG = Buffer.from('Rar!\x1a\x07\x01\x00', 'latin1');
+
+const XML_EXTENSIONS = ['xml', 'xmp', 'prfpset', 'look', 'plist', 'svg', 'dae'];
+
+// What a file extension inside a preset pack is for
+const PRESET_APPS = {
+    xmp: 'Adobe Lightroom / Camera Raw',
+    lrtemplate: 'Adobe Lightroom Classic',
+    dcp: 'Adobe Camera Raw',
+    cube: 'Color LUT',
+    '3dl': 'Color LUT',
+    look: 'Adobe SpeedGrade / Lumetri',
+    ffx: 'Adobe After Effects',
+    aep: 'Adobe After Effects',
+    prfpset: 'Adobe Premiere Pro',
+    mogrt: 'Adobe Premiere Pro',
+    atn: 'Adobe Photoshop',
+    abr: 'Adobe Photoshop',
+    asl: 'Adobe Photoshop',
+    pat: 'Adobe Photoshop',
+    grd: 'Adobe Photoshop',
+    drfx: 'DaVinci Resolve',
+    setting: 'DaVinci Resolve',
+    fcpxtemplate: 'Final Cut Pro',
+    moti: 'Apple Motion'
+};
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function dosDate(time, date) {
+    if (!date) return null;
+    const parsed = new Date(
+        1980 + (date >> 9), ((date >> 5) & 0xf) - 1, date & 0x1f,
+        time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+    );
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function extensionOf(name) {
+    return path.posix.extname(name).slice(1).toLowerCase();
+}
+
+// ===== ZIP =====
+
+async function findZipEnd(handle, size) {
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await readAt(handle, size - tailLength, tailLength);
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === ZIP_EMPTY_SIG) {
+            return { tail, at: i, offset: size - tailLength + i };
+        }
+    }
+    throw new Error('ZIP directory not found; the archive may be damaged');
+}
+
+// Archives with more than 65535 entries or over 4 GB keep the real numbers
+// in a ZIP64 record just before the usual one
+async function readZipDirectoryLocation(handle, size) {
+    const { tail, at, offset } = await findZipEnd(handle, size);
+    let count = tail.readUInt16LE(at + 10);
+    let directorySize = tail.readUInt32LE(at + 12);
+    let directoryOffset = tail.readUInt32LE(at + 16);
+
+    if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+        const locator = at >= 20 ? tail.subarray(at - 20, at) : await readAt(handle, offset - 20, 20);
+        if (locator.length === 20 && locator.readUInt32LE(0) === ZIP64_LOCATOR_SIG) {
+            const record = await readAt(handle, Number(locator.readBigUInt64LE(8)), 56);
+            if (record.length === 56 && record.readUInt32LE(0) === ZIP64_END_SIG) {
+                count = Number(record.readBigUInt64LE(32));
+                directorySize = Number(record.readBigUInt64LE(40));
+                directoryOffset = Number(record.readBigUInt64LE(48));
+            }
+        }
+    }
+    return { count, directorySize, directoryOffset };
+}
+
+function readZip64Sizes(extra, entry) {
+    for (let i = 0; i + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(i);
+        const length = extra.readUInt16LE(i + 2);
+        if (id === 0x0001) {
+            let field = i + 4;
+            if (entry.size === 0xffffffff && field + 8 <= extra.length) {
+                entry.size = Number(extra.readBigUInt64LE(field));
+                field += 8;
+            }
+            if (entry.compressedSize === 0xffffffff && field + 8 <= extra.length) {
+                entry.compressedSize = Number(extra.readBigUInt64LE(field));
+            }
+            return;
+        }
+        i += 4 + length;
+    }
+}
+
+async function listZip(handle, size) {
+    const { count, directorySize, directoryOffset } = await readZipDirectoryLocation(handle, size);
+    if (directorySize > MAX_DIRECTORY_BYTES || directoryOffset + directorySize > size) {
+        throw new Error('ZIP directory is too large or damaged');
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    const entries = [];
+    let entryCount = 0;
+    let totalSize = 0;
+    let encrypted = false;
+    const names = [];
+
+    for (let i = 0; i + 46 <= directory.length && entryCount < count; entryCount++) {
+        if (directory.readUInt32LE(i) !== ZIP_CENTRAL_SIG) break;
+        const flags = directory.readUInt16LE(i + 8);
+        const nameLength = directory.readUInt16LE(i + 28);
+        const extraLength = directory.readUInt16LE(i + 30);
+        const commentLength = directory.readUInt16LE(i + 32);
+        const nameBytes = directory.subarray(i + 46, i + 46 + nameLength);
+        // Bit 11 marks UTF-8 names; older tools wrote the DOS code page
+        const name = nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1');
+        const entry = {
+            name,
+            directory: name.endsWith('/'),
+            size: directory.readUInt32LE(i + 24),
+            compressedSize: directory.readUInt32LE(i + 20),
+            modified: dosDate(directory.readUInt16LE(i + 12), directory.readUInt16LE(i + 14)),
+            encrypted: !!(flags & 0x1)
+        };
+        readZip64Sizes(directory.subarray(i + 46 + nameLength, i + 46 + nameLength + extraLength), entry);
+        i += 46 + nameLength + extraLength + commentLength;
+
+        totalSize += entry.directory ? 0 : entry.size;
+        encrypted = encrypted || entry.encrypted;
+        names.push(name);
+        if (entries.length < MAX_ARCHIVE_ENTRIES) {
+            entries.push(entry);
+        }
+    }
+    return { format: 'zip', entries, entryCount, totalSize, encrypted, names };
+}
+
+// ===== RAR =====
+// Only the block headers are read, which is all a listing needs. Archives
+// with encrypted headers can't be listed without the password.
+
+async function listRar4(handle, size) {
+    const entries = [];
+    const names = [];
+    let entryCount = 0;
+    let totalSize = 0;
+    let encrypted = false;
+    let position = RAR4_SIG.length;
+
+    while (position + 7 <= size) {
+        const head = await readAt(handle, position, 11);
+        if (head.length < 7) break;
+        const type = head[2];
+        const flags = head.readUInt16LE(3);
+        const headerSize = head.readUInt16LE(5);
+        if (headerSize < 7) {
+            throw new Error('RAR archive is damaged');
+        }
+        let dataSize = flags & 0x8000 && head.length >= 11 ? head.readUInt32LE(7) : 0;
+
+        if (type === 0x73 && flags & 0x0080) {
+            throw new Error('RAR archive is password-protected; its file list is encrypted');
+        }
+        if (type === 0x7b) break; // end of archive
+
+        if (type === 0x74) {
+            const header = await readAt(handle, position, headerSize);
+            const large = flags & 0x100;
+            const nameOffset = large ? 40 : 32;
+            if (header.length < nameOffset) break;
+            if (large) {
+                dataSize += header.readUInt32LE(32) * 0x100000000;
+            }
+            let unpackedSize = header.readUInt32LE(11);
+            if (large) {
+                unpackedSize += header.readUInt32LE(36) * 0x100000000;
+            }
+            // Unicode names follow a NUL after a plain-ASCII copy
+            let nameBytes = header.subarray(nameOffset, nameOffset + header.readUInt16LE(26));
+            const nul = nameBytes.indexOf(0);
+            if (nul >= 0) nameBytes = nameBytes.subarray(0, nul);
+            const name = nameBytes.toString('latin1').replace(/\\/g, '/');
+            const ftime = header.readUInt32LE(20);
+
+            const entry = {
+                name,
+                directory: (flags & 0xe0) === 0xe0,
+                size: unpackedSize,
+                compressedSize: dataSize,
+                modified: dosDate(ftime & 0xffff, ftime >>> 16),
+                encrypted: !!(flags & 0x04)
+            };
+            entryCount++;
+            totalSize += entry.directory ? 0 : entry.size;
+            encrypted = encrypted || entry.encrypted;
+            names.push(name);
+            if (entries.length < MAX_ARCHIVE_ENTRIES) {
+                entries.push(entry);
+            }
+        }
+        position += headerSize + dataSize;
+    }
+    return { format: 'rar', entries, entryCount, totalSize, encrypted, names };
+}
+
+// RAR5 numbers are little-endian base-128 varints
+function readVint(buffer, offset) {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = offset; i < buffer.length && i < offset + 10; i++) {
+        value += (buffer[i] & 0x7f) * multiplier;
+        multiplier *= 128;
+        if (!(buffer[i] & 0x80)) {
+            return { value, next: i + 1 };
+        }
+    }
+    throw new Error('RAR archive is damaged');
+}
+
+async function listRar5(handle, size) {
+    const entries = [];
+    const names = [];
+    let entryCount = 0;
+    let totalSize = 0;
+    let position = RAR5_SIG.length;
+
+    while (position + 7 <= size) {
+        const start = await readAt(handle, position + 4, 3);
+        const headerSize = readVint(start, 0);
+        const headerStart = position + 4 + headerSize.next;
+        const header = await readAt(handle, headerStart, headerSize.value);
+        if (header.length < headerSize.value) break;
+
+        const type = readVint(header, 0);
+        const flags = readVint(header, type.next);
+        let offset = flags.next;
+        if (flags.value & 0x1) offset = readVint(header, offset).next; // extra area size
+        let dataSize = 0;
+        if (flags.value & 0x2) {
+            const data = readVint(header, offset);
+            dataSize = data.value;
+            offset = data.next;
+        }
+
+        if (type.value === 4) {
+            throw new Error('RAR archive is password-protected; its file list is encrypted');
+        }
+        if (type.value === 5) break; // end of archive
+
+        if (type.value === 2) {
+            const fileFlags = readVint(header, offset);
+            const unpacked = readVint(header, fileFlags.next);
+            offset = readVint(header, unpacked.next).next; // attributes
+            let modified = null;
+            if (fileFlags.value & 0x2) {
+                modified = new Date(header.readUInt32LE(offset) * 1000).toISOString();
+                offset += 4;
+            }
+            if (fileFlags.value & 0x4) offset += 4; // data CRC32
+            offset = readVint(header, offset).next; // compression info
+            offset = readVint(header, offset).next; // host OS
+            const nameLength = readVint(header, offset);
+            const name = header.toString('utf8', nameLength.next, nameLength.next + nameLength.value);
+
+            const entry = {
+                name,
+                directory: !!(fileFlags.value & 0x1),
+                size: unpacked.value,
+                compressedSize: dataSize,
+                modified,
+                encrypted: false
+            };
+            entryCount++;
+            totalSize += entry.directory ? 0 : entry.size;
+            names.push(name);
+            if (entries.length < MAX_ARCHIVE_ENTRIES) {
+                entries.push(entry);
+            }
+        }
+        position = headerStart + headerSize.value + dataSize;
+    }
+    return { format: 'rar', entries, entryCount, totalSize, encrypted: false, names };
+}
+
+// "12 × Adobe Lightroom / Camera Raw (.xmp)" per kind of preset in the pack
+function summarizeContents(names) {
+    const counts = new Map();
+    for (const name of names) {
+        const ext = extensionOf(name);
+        if (name.endsWith('/') || !PRESET_APPS[ext]) continue;
+        counts.set(ext, (counts.get(ext) || 0) + 1);
+    }
+    return [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([ext, count]) => ({ ext, app: PRESET_APPS[ext], count }));
+}
+
+function archiveTarget(contents) {
+    const apps = [...new Set(contents.map((item) => item.app))];
+    if (apps.length === 0) return null;
+    return { app: apps.join(', ') };
+}
+
+// ===== Text =====
+
+function decodeText(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.toString('utf8', 3);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.toString('utf16le', 2);
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        const swapped = Buffer.from(buffer.subarray(2, 2 + ((buffer.length - 2) & ~1)));
+        return swapped.swap16().toString('utf16le');
+    }
+    if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+        return null;
+    }
+    return buffer.toString('utf8');
+}
+
+function detectLanguage(ext, text) {
+    const start = text.trimStart();
+    if (ext === 'json' || ((start.startsWith('{') || start.startsWith('[')) && isJson(text))) {
+        return 'json';
+    }
+    if (XML_EXTENSIONS.includes(ext) || start.startsWith('<?xml') || /^<[A-Za-z!]/.test(start)) {
+        return 'xml';
+    }
+    return 'text';
+}
+
+function isJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Re-indents markup two spaces per level. Elements holding only text stay on
+// one line, and attributes that were split over lines get one line each.
+function prettyXml(text) {
+    const tokens = text.match(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<[^>]+>|[^<]+/g) || [];
+    const lines = [];
+    const indent = (depth) => '  '.repeat(depth);
+    const tag = (token, depth) => token.trim().split(/\s*\n\s*/).join(`\n${indent(depth + 1)}`);
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.startsWith('</')) {
+            depth = Math.max(depth - 1, 0);
+            lines.push(indent(depth) + token.trim());
+        } else if (/^<[^!?]/.test(token) && !token.endsWith('/>')) {
+            const next = tokens[i + 1];
+            const after = tokens[i + 2];
+            if (next && next.startsWith('</')) {
+                lines.push(indent(depth) + tag(token, depth) + next.trim());
+                i += 1;
+            } else if (next && !next.startsWith('<') && after && after.startsWith('</') && !next.includes('\n')) {
+                lines.push(indent(depth) + tag(token, depth) + next.trim() + after.trim());
+                i += 2;
+            } else {
+                lines.push(indent(depth) + tag(token, depth));
+                depth++;
+            }
+        } else if (token.startsWith('<')) {
+            lines.push(indent(depth) + tag(token, depth));
+        } else if (token.trim()) {
+            token.trim().split(/\s*\n\s*/).forEach((line) => lines.push(indent(depth) + line));
+        }
+    }
+    return lines.join('\n');
+}
+
+function prettyPrint(language, text, truncated) {
+    if (language === 'json' && !truncated) {
+        try {
+            return JSON.stringify(JSON.parse(text), null, 2);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (language === 'xml') {
+        return prettyXml(text);
+    }
+    return null;
+}
+
+// ===== Target application =====
+
+function xmlValue(text, name) {
+    const pattern = new RegExp(`${name}(?:\\s*=\\s*"([^"]*)"|>([^<]*)<)`);
+    const match = text.match(pattern);
+    return match ? (match[1] !== undefined ? match[1] : match[2]).trim() : null;
+}
+
+function detectTextTarget(ext, language, text) {
+    if (/xmlns:crs=|crs:Version/.test(text)) {
+        const creator = xmlValue(text, 'xmp:CreatorTool');
+        const version = xmlValue(text, 'crs:Version');
+        const type = xmlValue(text, 'crs:PresetType');
+        return {
+            app: creator || PRESET_APPS.xmp,
+            version: version ? `Camera Raw ${version}` : null,
+            detail: type ? `${type} preset` : 'Develop settings'
+        };
+    }
+    if (/<PremiereData\b/.test(text)) {
+        const version = text.match(/<PremiereData\b[^>]*\bVersion="([^"]*)"/);
+        return { app: PRESET_APPS.prfpset, version: version ? `Premiere data version ${version[1]}` : null };
+    }
+    if (ext === 'look' && /<look\b/i.test(text)) {
+        return { app: PRESET_APPS.look };
+    }
+    if (ext === 'lrtemplate' || /^\s*s\s*=\s*\{[\s\S]*internalName\s*=/.test(text)) {
+        const type = text.match(/\btype\s*=\s*"([^"]*)"/);
+        const version = text.match(/\bversion\s*=\s*(\d+)/);
+        return {
+            app: PRESET_APPS.lrtemplate,
+            version: version ? `Template version ${version[1]}` : null,
+            detail: type ? `${type} preset` : null
+        };
+    }
+    if (ext === 'cube') {
+        const size3d = text.match(/^\s*LUT_3D_SIZE\s+(\d+)/m);
+        const size1d = text.match(/^\s*LUT_1D_SIZE\s+(\d+)/m);
+        const title = text.match(/^\s*TITLE\s+"([^"]*)"/m);
+        const grid = size3d ? `3D, ${size3d[1]}×${size3d[1]}×${size3d[1]}` : (size1d ? `1D, ${size1d[1]} entries` : null);
+        return { app: PRESET_APPS.cube, detail: [grid, title && title[1]].filter(Boolean).join(' · ') || null };
+    }
+    if (ext === '3dl') {
+        const mesh = text.split('\n').find((line) => /^\s*\d+(\s+\d+)+\s*$/.test(line));
+        return { app: PRESET_APPS['3dl'], detail: mesh ? `3D, ${mesh.trim().split(/\s+/).length} points per axis` : null };
+    }
+    if (language === 'json') {
+        try {
+            const data = JSON.parse(text);
+            if (data && typeof data === 'object' && !Array.isArray(data)) {
+                const app = ['application', 'app', 'generator', 'host', 'software'].map((key) => data[key]).find((value) => typeof value === 'string');
+                const version = ['appVersion', 'applicationVersion', 'minVersion', 'version'].map((key) => data[key]).find((value) => typeof value === 'string' || typeof value === 'number');
+                if (app) {
+                    return { app, version: version !== undefined ? String(version) : null };
+                }
+            }
+        } catch (e) {
+            // Truncated or not really JSON
+        }
+    }
+    return null;
+}
+
+// Binary presets identified by their signature
+function detectBinaryTarget(head) {
+    const magic = head.toString('latin1', 0, 4);
+    const form = head.toString('latin1', 8, 12);
+    if (magic === 'RIFX' && form === 'FaFX') {
+        return { app: PRESET_APPS.ffx, detail: 'Animation preset' };
+    }
+    if (magic === 'RIFX' && form === 'Egg!') {
+        return { app: PRESET_APPS.aep, detail: 'Project' };
+    }
+    if (magic === '8BGR') {
+        return { app: PRESET_APPS.grd, detail: 'Gradients' };
+    }
+    if (magic === '8BPT') {
+        return { app: PRESET_APPS.pat, detail: 'Patterns' };
+    }
+    if (magic === '8BSL' || head.toString('latin1', 4, 8) === '8BSL') {
+        return { app: PRESET_APPS.asl, detail: 'Layer styles' };
+    }
+    return null;
+}
+
+// ===== Entry point =====
+
+// `ext` is the asset's own, which wins over the file name's
+async function inspectFile(filePath, ext) {
+    ext = typeof ext === 'string' && ext ? ext.toLowerCase() : extensionOf(filePath);
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const head = await readAt(handle, 0, Math.min(size, MAX_TEXT_BYTES));
+
+        let archive = null;
+        if (head.length >= 4 && (head.readUInt32LE(0) === ZIP_LOCAL_SIG || head.readUInt32LE(0) === ZIP_EMPTY_SIG)) {
+            archive = await listZip(handle, size);
+        } else if (head.subarray(0, RAR5_SIG.length).equals(RAR5_SIG)) {
+            archive = await listRar5(handle, size);
+        } else if (head.subarray(0, RAR4_SIG.length).equals(RAR4_SIG)) {
+            archive = await listRar4(handle, size);
+        }
+        if (archive) {
+            const { names, ...listing } = archive;
+            const contents = summarizeContents(names);
+            return {
+                kind: 'archive',
+                ...listing,
+                truncated: listing.entryCount > listing.entries.length,
+                contents,
+                target: archiveTarget(contents),
+                size
+            };
+        }
+
+        const decoded = decodeText(head);
+        if (decoded === null) {
+            return { kind: 'binary', target: detectBinaryTarget(head), size };
+        }
+
+        const truncated = size > head.length;
+        // Don't end on half a line
+        const text = truncated ? decoded.slice(0, decoded.lastIndexOf('\n') + 1 || decoded.length) : decoded;
+        const language = detectLanguage(ext, text);
+        const pretty = prettyPrint(language, text, truncated);
+        return {
+            kind: 'text',
+            language,
+            text: pretty || text,
+            pretty: !!pretty,
+            truncated,
+            target: detectTextTarget(ext, language, text),
+            size
+        };
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = { inspectFile };
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Metadata straight from a font file: names, weight, embedding rights,
+// variation axes and the characters it covers. Reads TrueType/OpenType,
+// WOFF (zlib per table) and WOFF2 (one Brotli stream). Only the name, OS/2,
+// fvar and cmap tables are needed, and WOFF2 never transforms those.
+
+const WANTED_TABLES = ['name', 'OS/2', 'fvar', 'cmap'];
+const MAX_FONT_BYTES = 50 * 1024 * 1024;
+
+// WOFF2 known-table tags, indexed by the low six bits of the flags byte
+const WOFF2_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+    'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+    'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+    'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+    'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+const WEIGHT_NAMES = {
+    100: 'Thin', 200: 'Extra Light', 300: 'Light', 400: 'Regular', 500: 'Medium',
+    600: 'Semi Bold', 700: 'Bold', 800: 'Extra Bold', 900: 'Black'
+};
+
+function tagAt(buf, offset) {
+    return buf.toString('latin1', offset, offset + 4);
+}
+
+function sfntTables(buf) {
+    const tables = new Map();
+    const numTables = buf.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const tag = tagAt(buf, record);
+        const offset = buf.readUInt32BE(record + 8);
+        const length = buf.readUInt32BE(record + 12);
+        if (WANTED_TABLES.includes(tag) && offset + length <= buf.length) {
+            tables.set(tag, buf.subarray(offset, offset + length));
+        }
+    }
+    return tables;
+}
+
+function woffTables(buf) {
+    const tables = new Map();
+    const numTables = buf.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        const tag = tagAt(buf, entry);
+        const offset = buf.readUInt32BE(entry + 4);
+        const compLength = buf.readUInt32BE(entry + 8);
+        const origLength = buf.readUInt32BE(entry + 12);
+        if (WANTED_TABLES.includes(tag) && offset + compLength <= buf.length) {
+            const data = buf.subarray(offset, offset + compLength);
+            tables.set(tag, compLength < origLength ? zlib.inflateSync(data) : data);
+        }
+    }
+    return tables;
+}
+
+function readUIntBase128(buf, cursor) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        const byte = buf[cursor.offset++];
+        if (byte === undefined || (i === 0 && byte === 0x80)) {
+            throw new Error('Corrupt WOFF2 table directory');
+        }
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            return value;
+        }
+    }
+    throw new Error('Corrupt WOFF2 table directory');
+}
+
+function woff2Tables(buf) {
+    if (tagAt(buf, 4) === 'ttcf') {
+        throw new Error('Font collections are not supported');
+    }
+
+    const numTables = buf.readUInt16BE(12);
+    const compressedLength = buf.readUInt32BE(20);
+    const cursor = { offset: 48 };
+    const entries = [];
+    for (let i = 0; i < numTables; i++) {
+        const flags = buf[cursor.offset++];
+        let tag = WOFF2_TAGS[flags & 0x3f];
+        if ((flags & 0x3f) === 63) {
+            tag = tagAt(buf, cursor.offset);
+            cursor.offset += 4;
+        }
+        const version = flags >> 6;
+        const origLength = readUIntBase128(buf, cursor);
+        // glyf and loca use version 3 for "not transformed", every other table version 0
+        const transformed = tag === 'glyf' || tag === 'loca' ? version !== 3 : version !== 0;
+        const length = transformed ? readUIntBase128(buf, cursor) : origLength;
+        entries.push({ tag, length });
+    }
+
+    // Tables follow each other in the decompressed stream without padding
+    const stream = zlib.brotliDecompressSync(buf.subarray(cursor.offset, cursor.offset + compressedLength));
+    const tables = new Map();
+    let offset = 0;
+    for (const { tag, length } of entries) {
+        if (WANTED_TABLES.includes(tag) && offset + length <= stream.length) {
+            tables.set(tag, stream.subarray(offset, offset + length));
+        }
+        offset += length;
+    }
+    return tables;
+}
+
+function readTables(buf) {
+    const signature = tagAt(buf, 0);
+    if (signature === 'wOFF') return woffTables(buf);
+    if (signature === 'wOF2') return woff2Tables(buf);
+    if (isSfnt(buf)) return sfntTables(buf);
+    if (signature === 'ttcf') throw new Error('Font collections are not supported');
+    throw new Error('Not a font file');
+}
+
+// Windows English names first, then any Windows, Unicode and Mac names
+function parseNames(table) {
+    const names = {};
+    const ranks = {};
+    const count = table.readUInt16BE(2);
+    const stringOffset = table.readUInt16BE(4);
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platform = table.readUInt16BE(record);
+        const encoding = table.readUInt16BE(record + 2);
+        const language = table.readUInt16BE(record + 4);
+        const nameId = table.readUInt16BE(record + 6);
+        const length = table.readUInt16BE(record + 8);
+        const start = stringOffset + table.readUInt16BE(record + 10);
+        if (start + length > table.length) continue;
+
+        let rank;
+        if (platform === 3 && language === 0x409) rank = 4;
+        else if (platform === 3) rank = 3;
+        else if (platform === 0) rank = 2;
+        else if (platform === 1 && encoding === 0) rank = 1;
+        else continue;
+        if ((ranks[nameId] || 0) >= rank) continue;
+
+        const bytes = Buffer.from(table.subarray(start, start + (platform === 1 ? length : length & ~1)));
+        names[nameId] = platform === 1 ? bytes.toString('latin1') : bytes.swap16().toString('utf16le');
+        ranks[nameId] = rank;
+    }
+    return names;
+}
+
+function embeddingRights(fsType) {
+    if (fsType & 0x0008) return 'Editable embedding';
+    if (fsType & 0x0004) return 'Preview & print embedding';
+    if (fsType & 0x0002) return 'Restricted embedding';
+    return 'Installable embedding';
+}
+
+function parseAxes(table) {
+    const axesOffset = table.readUInt16BE(4);
+    const axisCount = table.readUInt16BE(8);
+    const axisSize = table.readUInt16BE(10);
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+        const record = axesOffset + i * axisSize;
+        if (record + 20 > table.length) break;
+        axes.push({
+            tag: tagAt(table, record),
+            min: table.readInt32BE(record + 4) / 65536,
+            default: table.readInt32BE(record + 8) / 65536,
+            max: table.readInt32BE(record + 12) / 65536
+        });
+    }
+    return { axes, instances: table.readUInt16BE(12) };
+}
+
+// Covered code points as sorted [start, end] ranges
+function parseCoverage(table) {
+    const numTables = table.readUInt16BE(2);
+    const subtables = [];
+    for (let i = 0; i < numTables; i++) {
+        const record = 4 + i * 8;
+        subtables.push({
+            platform: table.readUInt16BE(record),
+            encoding: table.readUInt16BE(record + 2),
+            offset: table.readUInt32BE(record + 4)
+        });
+    }
+
+    const full = subtables.find((s) => table.readUInt16BE(s.offset) === 12 && (s.platform === 0 || (s.platform === 3 && s.encoding === 10)));
+    const bmp = subtables.find((s) => table.readUInt16BE(s.offset) === 4 && (s.platform === 0 || (s.platform === 3 && s.encoding === 1)));
+    const codePoints = [];
+
+    if (full) {
+        const numGroups = table.readUInt32BE(full.offset + 12);
+        for (let i = 0; i < numGroups; i++) {
+            const group = full.offset + 16 + i * 12;
+            const start = table.readUInt32BE(group);
+            const end = table.readUInt32BE(group + 4);
+            const firstGlyph = table.readUInt32BE(group + 8);
+            for (let c = start; c <= end; c++) {
+                if (firstGlyph + (c - start) !== 0) codePoints.push(c);
+            }
+        }
+    } else if (bmp) {
+        const base = bmp.offset;
+        const segCount = table.readUInt16BE(base + 6) / 2;
+        const endCodes = base + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const deltas = startCodes + segCount * 2;
+        const rangeOffsets = deltas + segCount * 2;
+        for (let seg = 0; seg < segCount; seg++) {
+            const start = table.readUInt16BE(startCodes + seg * 2);
+            const end = table.readUInt16BE(endCodes + seg * 2);
+            const delta = table.readInt16BE(deltas + seg * 2);
+            const rangeOffset = table.readUInt16BE(rangeOffsets + seg * 2);
+            for (let c = start; c <= end && c !== 0xffff; c++) {
+                let glyph;
+                if (rangeOffset === 0) {
+                    glyph = (c + delta) & 0xffff;
+                } else {
+                    const address = rangeOffsets + seg * 2 + rangeOffset + (c - start) * 2;
+                    glyph = address + 2 <= table.length ? table.readUInt16BE(address) : 0;
+                    if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+                }
+                if (glyph !== 0) codePoints.push(c);
+            }
+        }
+    }
+
+    codePoints.sort((a, b) => a - b);
+    const ranges = [];
+    for (const c of codePoints) {
+        // Control characters have no glyph worth showing
+        if (c < 0x20 || (c >= 0x7f && c < 0xa0)) continue;
+        const last = ranges[ranges.length - 1];
+        if (last && c <= last[1] + 1) {
+            last[1] = Math.max(last[1], c);
+        } else {
+            ranges.push([c, c]);
+        }
+    }
+    return ranges;
+}
+
+function isSfnt(buf) {
+    const signature = tagAt(buf, 0);
+    return signature === 'OTTO' || signature === 'true' || buf.readUInt32BE(0) === 0x00010000;
+}
+
+// The flavor says which outlines the font has: 'OTTO' is CFF (PostScript),
+// anything else TrueType. WOFF and WOFF2 keep it at the same offset.
+function outlineFormat(buf) {
+    const signature = tagAt(buf, 0);
+    const flavor = signature === 'wOFF' || signature === 'wOF2' ? tagAt(buf, 4) : signature;
+    return flavor === 'OTTO' ? 'CFF' : 'TrueType';
+}
+
+function nameFields(names) {
+    return {
+        family: names[16] || names[1] || null,
+        style: names[17] || names[2] || null,
+        fullName: names[4] || null
+    };
+}
+
+function parseFont(buf) {
+    const tables = readTables(buf);
+    const names = tables.has('name') ? parseNames(tables.get('name')) : {};
+    const os2 = tables.get('OS/2');
+    const weight = os2 && os2.length >= 10 ? os2.readUInt16BE(4) : null;
+
+    return {
+        ...nameFields(names),
+        outlines: outlineFormat(buf),
+        version: names[5] ? names[5].replace(/^Version\s+/i, '') : null,
+        designer: names[9] || null,
+        copyright: names[0] || null,
+        license: names[13] || null,
+        licenseUrl: names[14] || null,
+        weight,
+        weightName: weight ? WEIGHT_NAMES[Math.round(weight / 100) * 100] || null : null,
+        embedding: os2 && os2.length >= 10 ? embeddingRights(os2.readUInt16BE(8)) : null,
+        variable: tables.has('fvar') ? parseAxes(tables.get('fvar')) : null,
+        coverage: tables.has('cmap') ? parseCoverage(tables.get('cmap')) : []
+    };
+}
+
+async function readFontInfo(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > MAX_FONT_BYTES) {
+        throw new Error('Font file is too large to inspect');
+    }
+    try {
+        return parseFont(await fs.promises.readFile(filePath));
+    } catch (err) {
+        // Truncated files surface as out-of-range reads
+        throw err instanceof RangeError ? new Error('Font file is damaged') : err;
+    }
+}
+
+// Only the family, style and full name, reading just the table directory and
+// the name table. For going through the fonts already installed, which are
+// plain TrueType/OpenType files; anything else gives null.
+async function readFontNames(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(12);
+        const { bytesRead } = await handle.read(header, 0, header.length, 0);
+        if (bytesRead < header.length || !isSfnt(header)) {
+            return null;
+        }
+        const directory = Buffer.alloc(header.readUInt16BE(4) * 16);
+        await handle.read(directory, 0, directory.length, header.length);
+        for (let record = 0; record + 16 <= directory.length; record += 16) {
+            if (tagAt(directory, record) !== 'name') continue;
+            const length = directory.readUInt32BE(record + 12);
+            if (length > MAX_FONT_BYTES) return null;
+            const table = Buffer.alloc(length);
+            const read = await handle.read(table, 0, length, directory.readUInt32BE(record + 8));
+            return read.bytesRead === length ? nameFields(parseNames(table)) : null;
+        }
+        return null;
+    } catch (err) {
+        if (err instanceof RangeError) return null;
+        throw err;
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = { readFontInfo, readFontNames, parseFont };
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { readFontInfo, readFontNames } = require('./font-info');
+
+// Installs fonts for the current user only, so no admin rights are needed:
+//   Linux:   ~/.local/share/fonts (or $XDG_DATA_HOME/fonts), then fc-cache
+//   macOS:   ~/Library/Fonts
+//   Windows: %LOCALAPPDATA%\Microsoft\Windows\Fonts plus a value under
+//            HKCU\...\Fonts, which is what makes Windows load it
+// A font counts as installed when a file of the same name or a font with the
+// same name (family and style) is in the user or system font folders.
+// Fonts the app installed are remembered so only those can be uninstalled:
+//   installed-fonts.json: { fonts: [{ id, title, path, registryName, installedAt }] }
+
+const INSTALLABLE_EXTENSIONS = ['ttf', 'otf'];
+const WINDOWS_FONTS_KEY = 'HKCU\\Software\\Microsoft\\Windows NT\\CurrentVersion\\Fonts';
+const COMMAND_TIMEOUT_MS = 30000;
+const FONT_FILE_PATTERN = /\.(ttf|otf)$/i;
+// Linux keeps fonts a few folders down, e.g. /usr/share/fonts/truetype/dejavu
+const MAX_SCAN_DEPTH = 4;
+
+let storeFile = null;
+let state = { fonts: [] };
+// Promise of Map<name key, path>; built on first use, dropped when we install or uninstall
+let installedByName = null;
+
+function initFontInstall(userDataDir) {
+    storeFile = path.join(userDataDir, 'installed-fonts.json');
+    const stored = readJsonFile(storeFile, {});
+    state = { fonts: Array.isArray(stored.fonts) ? stored.fonts : [] };
+}
+
+function save() {
+    writeJsonFile(storeFile, state);
+}
+
+function userFontDir() {
+    if (process.platform === 'win32') {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+        return path.join(localAppData, 'Microsoft', 'Windows', 'Fonts');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Fonts');
+    }
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'fonts');
+}
+
+// Fonts installed for everyone
+function systemFontDirs() {
+    if (process.platform === 'win32') {
+        return [path.join(process.env.WINDIR || 'C:\\Windows', 'Fonts')];
+    }
+    if (process.platform === 'darwin') {
+        return ['/Library/Fonts', '/System/Library/Fonts'];
+    }
+    return ['/usr/share/fonts', '/usr/local/share/fonts'];
+}
+
+function fontFileName(asset) {
+    return path.basename(String(asset.filename)).replace(/[^a-zA-Z0-9._ -]/g, '_');
+}
+
+// "Inter Bold" and "Inter" + "Bold" are the same font; full names vary
+// between foundries, so both forms are compared
+function nameKeys(names) {
+    const keys = [names.fullName, names.family && `${names.family} ${names.style || 'Regular'}`];
+    return keys.filter(Boolean).map((key) => key.trim().toLowerCase().replace(/\s+/g, ' '));
+}
+
+async function collectFontFiles(dir, depth, files) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && depth < MAX_SCAN_DEPTH) {
+            await collectFontFiles(fullPath, depth + 1, files);
+        } else if (entry.isFile() && FONT_FILE_PATTERN.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Fonts another program installs while the app runs are seen after a restart
+function installedFontsByName() {
+    if (!installedByName) {
+        installedByName = (async () => {
+            const byName = new Map();
+            for (const dir of [userFontDir(), ...systemFontDirs()]) {
+                for (const file of await collectFontFiles(dir, 0, [])) {
+                    const names = await readFontNames(file).catch(() => null);
+                    if (!names) continue;
+                    nameKeys(names).filter((key) => !byName.has(key)).forEach((key) => byName.set(key, file));
+                }
+            }
+            return byName;
+        })();
+    }
+    return installedByName;
+}
+
+function installedStatus(filePath) {
+    const forUser = filePath.startsWith(userFontDir() + path.sep);
+    return {
+        installed: true,
+        byApp: false,
+        path: filePath,
+        message: forUser ? 'Already installed for this user' : 'Already installed for all users'
+    };
+}
+
+function findRecord(asset) {
+    return state.fonts.find((record) => record.id === String(asset.id)) || null;
+}
+
+function runCommand(file, args) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(String(stderr).trim() || error.message));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// Running apps only see a new font once fontconfig has rebuilt its cache.
+// Not fatal: the font is on disk and the next login picks it up anyway.
+async function refreshFontCache(dir) {
+    if (process.platform !== 'linux') {
+        return;
+    }
+    try {
+        await runCommand('fc-cache', ['-f', dir]);
+    } catch (err) {
+        console.warn('fc-cache failed:', err.message);
+    }
+}
+
+// { installed, byApp, path?, message? } without touching anything. Matching
+// by font name needs the asset's file, so it is skipped until one is at hand.
+async function getFontInstallStatus(asset, sourcePath = null) {
+    const record = findRecord(asset);
+    if (record) {
+        if (fs.existsSync(record.path)) {
+            return { installed: true, byApp: true, path: record.path };
+        }
+        // Removed behind our back
+        state.fonts = state.fonts.filter((item) => item !== record);
+        save();
+    }
+
+    const fileName = fontFileName(asset);
+    const userPath = path.join(userFontDir(), fileName);
+    if (fs.existsSync(userPath)) {
+        return installedStatus(userPath);
+    }
+
+    for (const dir of systemFontDirs()) {
+        const candidates = [path.join(dir, fileName)];
+        if (process.platform === 'linux') {
+            const subdirs = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+            subdirs.filter((entry) => entry.isDirectory())
+                .forEach((entry) => candidates.push(path.join(dir, entry.name, fileName)));
+        }
+        const found = candidates.find((candidate) => fs.existsSync(candidate));
+        if (found) {
+            return installedStatus(found);
+        }
+    }
+
+    const names = sourcePath ? await readFontNames(sourcePath).catch(() => null) : null;
+    if (names) {
+        const byName = await installedFontsByName();
+        const found = nameKeys(names).map((key) => byName.get(key)).find(Boolean);
+        if (found && fs.existsSync(found)) {
+            return installedStatus(found);
+        }
+    }
+    return { installed: false, byApp: false };
+}
+
+async function installFont(asset, sourcePath) {
+    const ext = path.extname(sourcePath).slice(1).toLowerCase();
+    if (!INSTALLABLE_EXTENSIONS.includes(ext)) {
+        throw new Error('Only TrueType and OpenType fonts can be installed; WOFF files are for the web');
+    }
+
+    const status = await getFontInstallStatus(asset, sourcePath);
+    if (status.installed) {
+        return status;
+    }
+
+    const dir = userFontDir();
+    const target = path.join(dir, fontFileName(asset));
+    // Reject anything that is not a readable font before it lands in the font folder
+    const info = await readFontInfo(sourcePath);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.copyFile(sourcePath, target, fs.constants.COPYFILE_EXCL);
+
+    let registryName = null;
+    try {
+        if (process.platform === 'win32') {
+            // The suffix names the outline format, as the Fonts control panel writes it
+            const format = ext === 'otf' || info.outlines === 'CFF' ? 'OpenType' : 'TrueType';
+            registryName = `${info.fullName || path.basename(target, path.extname(target))} (${format})`;
+            await runCommand('reg', ['add', WINDOWS_FONTS_KEY, '/v', registryName, '/t', 'REG_SZ', '/d', target, '/f']);
+        }
+    } catch (err) {
+        await fs.promises.unlink(target).catch(() => {});
+        throw err;
+    }
+    await refreshFontCache(dir);
+    installedByName = null;
+
+    state.fonts = state.fonts.filter((record) => record.id !== String(asset.id));
+    state.fonts.push({
+        id: String(asset.id),
+        title: String(asset.title || ''),
+        path: target,
+        registryName,
+        installedAt: Date.now()
+    });
+    save();
+    return { installed: true, byApp: true, path: target };
+}
+
+// Only fonts this app installed; anything else may belong to another program
+async function uninstallFont(asset) {
+    const record = findRecord(asset);
+    if (!record) {
+        throw new Error('This font was not installed by the app');
+    }
+
+    if (record.registryName) {
+        await runCommand('reg', ['delete', WINDOWS_FONTS_KEY, '/v', record.registryName, '/f']).catch((err) => {
+            console.warn('Could not remove font registry value:', err.message);
+        });
+    }
+    try {
+        await fs.promises.unlink(record.path);
+    } catch (err) {
+        // On Windows a font in use by a running app stays locked until it closes
+        if (err.code !== 'ENOENT') {
+            throw err.code === 'EBUSY' || err.code === 'EPERM'
+                ? new Error('The font is in use; close the apps using it and try again')
+                : err;
+        }
+    }
+    await refreshFontCache(path.dirname(record.path));
+    installedByName = null;
+
+    state.fonts = state.fonts.filter((item) => item !== record);
+    save();
+    return { installed: false, byApp: false };
+}
+
+module.exports = { initFontInstall, getFontInstallStatus, installFont, uninstallFont };
@@ -0,0 +1,74 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const MAX_ENTRIES = 500;
+const ACTIONS = ['copy', 'download', 'preview'];
+
+// Newest first: [{ id, action, asset: { id, title, url, filename, ext, category, size }, path, timestamp }]
+let storeFile = null;
+let entries = [];
+const listeners = [];
+
+function initHistory(userDataDir) {
+    storeFile = path.join(userDataDir, 'history.json');
+    const stored = readJsonFile(storeFile, {});
+    entries = Array.isArray(stored.entries) ? stored.entries : [];
+}
+
+function getHistory() {
+    return entries;
+}
+
+function onHistoryChanged(callback) {
+    listeners.push(callback);
+}
+
+function save() {
+    try {
+        writeJsonFile(storeFile, { entries });
+    } catch (err) {
+        console.error('Failed to save history:', err);
+    }
+    listeners.forEach((callback) => callback(entries));
+}
+
+function addHistoryEntry(action, asset, filePath = null) {
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown history action "${action}"`);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        action,
+        asset: {
+            id: asset.id,
+            title: asset.title,
+            url: asset.url,
+            filename: asset.filename,
+            ext: asset.ext,
+            category: asset.category,
+            size: asset.size
+        },
+        path: filePath,
+        timestamp: Date.now()
+    };
+
+    entries.unshift(entry);
+    entries.length = Math.min(entries.length, MAX_ENTRIES);
+    save();
+    return entry;
+}
+
+function findHistoryEntry(entryId) {
+    return entries.find((entry) => entry.id === entryId) || null;
+}
+
+// Clears everything, or only the entries for one action
+function clearHistory(action = null) {
+    entries = action ? entries.filter((entry) => entry.action !== action) : [];
+    save();
+    return entries;
+}
+
+module.exports = { initHistory, getHistory, onHistoryChanged, addHistoryEntry, findHistoryEntry, clearHistory };
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, err);
+        }
+        return fallback;
+    }
+}
+
+// Write through a temp file so a crash mid-write never leaves a truncated file behind
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
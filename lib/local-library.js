@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { addAssetResolver, assetUrl } = require('./asset-protocol');
+
+// Local folder libraries: directories on disk indexed into catalog-shaped
+// assets and kept current with file watchers. Files are served through
+// rd-asset://local/<id> and used in place - they never go through the
+// download queue or the asset cache.
+
+const PROTOCOL_HOST = 'local';
+const ID_PREFIX = 'local:';
+const MAX_FILES_PER_FOLDER = 50000;
+const RESCAN_DELAY_MS = 1000;
+
+// Linux has no recursive fs.watch in this Node version, so every directory
+// gets its own watcher there
+const RECURSIVE_WATCH = process.platform === 'darwin' || process.platform === 'win32';
+
+const CATEGORY_BY_EXT = {
+    mp3: 'sfx', wav: 'sfx', ogg: 'sfx', flac: 'sfx', m4a: 'sfx', aif: 'sfx', aiff: 'sfx',
+    mp4: 'animations', webm: 'animations', mov: 'animations',
+    png: 'images', jpg: 'images', jpeg: 'images', gif: 'images', webp: 'images', svg: 'images',
+    ttf: 'fonts', otf: 'fonts', woff: 'fonts', woff2: 'fonts',
+    cube: 'presets', '3dl': 'presets', look: 'presets', ffx: 'presets', prfpset: 'presets', xmp: 'presets'
+};
+
+let storeFile = null;
+let folders = []; // { id, path, addedAt }
+const libraries = new Map(); // folder id -> { assets, dirs, watchers, dirty, timer, error }
+const listeners = [];
+
+function initLocalLibrary(userDataDir) {
+    storeFile = path.join(userDataDir, 'local-libraries.json');
+    const stored = readJsonFile(storeFile, {});
+    folders = Array.isArray(stored.folders) ? stored.folders : [];
+
+    addAssetResolver(PROTOCOL_HOST, (id) => {
+        const asset = findLocalAsset(`${ID_PREFIX}${id}`);
+        return asset ? asset.path : null;
+    });
+
+    folders.forEach(startLibrary);
+}
+
+function onLocalLibraryChanged(callback) {
+    listeners.push(callback);
+}
+
+function notifyChange() {
+    const assets = getLocalAssets();
+    listeners.forEach((callback) => callback(assets));
+}
+
+function save() {
+    writeJsonFile(storeFile, { folders });
+}
+
+function getLocalFolders() {
+    return folders.map((folder) => {
+        const library = libraries.get(folder.id);
+        return {
+            ...folder,
+            fileCount: library ? library.assets.size : 0,
+            error: library ? library.error : null
+        };
+    });
+}
+
+function getLocalAssets() {
+    const assets = [];
+    for (const library of libraries.values()) {
+        assets.push(...library.assets.values());
+    }
+    return assets;
+}
+
+function isLocalAssetId(id) {
+    return String(id).startsWith(ID_PREFIX);
+}
+
+function findLocalAsset(id) {
+    for (const library of libraries.values()) {
+        const asset = library.assets.get(String(id));
+        if (asset) return asset;
+    }
+    return null;
+}
+
+function isInside(child, parent) {
+    const relative = path.relative(parent, child);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function addLocalFolder(dirPath) {
+    const resolved = path.resolve(dirPath);
+    let stat;
+    try {
+        stat = fs.statSync(resolved);
+    } catch (e) {
+        throw new Error(`${resolved} does not exist`);
+    }
+    if (!stat.isDirectory()) {
+        throw new Error(`${resolved} is not a folder`);
+    }
+
+    const overlap = folders.find((folder) => folder.path === resolved
+        || isInside(resolved, folder.path) || isInside(folder.path, resolved));
+    if (overlap) {
+        throw new Error(`Overlaps the library at ${overlap.path}`);
+    }
+
+    const folder = { id: crypto.randomUUID(), path: resolved, addedAt: Date.now() };
+    folders.push(folder);
+    save();
+    startLibrary(folder);
+    return getLocalFolders();
+}
+
+function removeLocalFolder(folderId) {
+    const index = folders.findIndex((folder) => folder.id === folderId);
+    if (index === -1) {
+        throw new Error('Library folder not found');
+    }
+
+    folders.splice(index, 1);
+    save();
+    stopLibrary(folderId);
+    notifyChange();
+    return getLocalFolders();
+}
+
+function startLibrary(folder) {
+    libraries.set(folder.id, {
+        assets: new Map(),
+        dirs: new Set(),
+        watchers: new Map(), // dir -> FSWatcher
+        dirty: new Set(),
+        timer: null,
+        scanning: false,
+        rescan: false,
+        error: null
+    });
+    markDirty(folder, folder.path, 0);
+}
+
+function stopLibrary(folderId) {
+    const library = libraries.get(folderId);
+    if (!library) return;
+    clearTimeout(library.timer);
+    library.watchers.forEach((watcher) => watcher.close());
+    libraries.delete(folderId);
+}
+
+function markDirty(folder, dir, delay = RESCAN_DELAY_MS) {
+    const library = libraries.get(folder.id);
+    if (!library) return;
+    library.dirty.add(dir);
+    clearTimeout(library.timer);
+    library.timer = setTimeout(() => runRefresh(folder), delay);
+}
+
+// One pass per library at a time. Changes that come in during a pass stay
+// dirty and get a follow-up pass once it ends.
+async function runRefresh(folder) {
+    const library = libraries.get(folder.id);
+    if (!library) return;
+    if (library.scanning) {
+        library.rescan = true;
+        return;
+    }
+
+    library.scanning = true;
+    try {
+        do {
+            library.rescan = false;
+            await refreshDirs(folder);
+        } while (library.rescan && libraries.get(folder.id) === library);
+    } catch (err) {
+        console.error(`Failed to scan ${folder.path}:`, err);
+    } finally {
+        library.scanning = false;
+    }
+}
+
+function assetFromFile(filePath, stat) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const hash = crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 20);
+    const title = path.basename(filePath, path.extname(filePath)).replace(/[_-]+/g, ' ').trim();
+
+    return {
+        id: `${ID_PREFIX}${hash}`,
+        title: title || path.basename(filePath),
+        filename: path.basename(filePath),
+        ext,
+        size: stat.size,
+        url: assetUrl(PROTOCOL_HOST, hash),
+        category: CATEGORY_BY_EXT[ext] || 'other',
+        source: 'local',
+        sourceName: 'Local',
+        path: filePath,
+        modifiedAt: stat.mtimeMs
+    };
+}
+
+// Index `dir` and everything below it. Hidden entries and symlinked folders
+// are skipped, the latter so a link cannot loop the walk.
+async function walk(dir, library) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        return;
+    }
+    library.dirs.add(dir);
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            await walk(entryPath, library);
+        } else if (entry.isFile() || entry.isSymbolicLink()) {
+            if (library.assets.size >= MAX_FILES_PER_FOLDER) {
+                library.error = `Only the first ${MAX_FILES_PER_FOLDER} files are indexed`;
+                return;
+            }
+            try {
+                const stat = await fs.promises.stat(entryPath);
+                if (stat.isFile()) {
+                    const asset = assetFromFile(entryPath, stat);
+                    library.assets.set(asset.id, asset);
+                }
+            } catch (e) {
+                // Broken link or removed mid-scan
+            }
+        }
+    }
+}
+
+// Re-index the directories that changed since the last pass. Each dirty
+// directory is rescanned from scratch, which also picks up new subfolders.
+async function refreshDirs(folder) {
+    const library = libraries.get(folder.id);
+    if (!library) return;
+
+    const dirty = [...library.dirty].sort();
+    library.dirty.clear();
+    const roots = dirty.filter((dir, i) => !dirty.slice(0, i).some((parent) => dir === parent || isInside(dir, parent)));
+
+    if (!fs.existsSync(folder.path)) {
+        library.error = 'Folder is missing';
+    } else if (roots.includes(folder.path)) {
+        library.error = null;
+    }
+
+    for (const root of roots) {
+        for (const [id, asset] of library.assets) {
+            if (isInside(asset.path, root)) library.assets.delete(id);
+        }
+        for (const dir of library.dirs) {
+            if (dir === root || isInside(dir, root)) library.dirs.delete(dir);
+        }
+        await walk(root, library);
+    }
+
+    if (libraries.get(folder.id) !== library) return; // removed while scanning
+    syncWatchers(folder, library);
+    notifyChange();
+}
+
+function watch(folder, dir, options) {
+    try {
+        const watcher = fs.watch(dir, { persistent: false, ...options }, (eventType, filename) => {
+            // Recursive watchers report paths relative to the root
+            const changed = filename && options.recursive ? path.dirname(path.join(dir, filename.toString())) : dir;
+            markDirty(folder, changed);
+        });
+        // Forget the dead watcher so the rescan sets up a new one
+        watcher.on('error', () => {
+            watcher.close();
+            const library = libraries.get(folder.id);
+            if (library && library.watchers.get(dir) === watcher) {
+                library.watchers.delete(dir);
+            }
+            markDirty(folder, dir);
+        });
+        return watcher;
+    } catch (e) {
+        return null;
+    }
+}
+
+function syncWatchers(folder, library) {
+    const wanted = RECURSIVE_WATCH ? new Set(library.dirs.has(folder.path) ? [folder.path] : []) : library.dirs;
+
+    for (const [dir, watcher] of library.watchers) {
+        if (!wanted.has(dir)) {
+            watcher.close();
+            library.watchers.delete(dir);
+        }
+    }
+    for (const dir of wanted) {
+        if (library.watchers.has(dir)) continue;
+        const watcher = watch(folder, dir, { recursive: RECURSIVE_WATCH });
+        if (watcher) library.watchers.set(dir, watcher);
+    }
+
+    // A missing root cannot be watched; poll for it to come back (e.g. a NAS)
+    if (!library.dirs.has(folder.path)) {
+        markDirty(folder, folder.path, 30 * 1000);
+    }
+}
+
+module.exports = {
+    initLocalLibrary,
+    onLocalLibraryChanged,
+    getLocalFolders,
+    getLocalAssets,
+    isLocalAssetId,
+    findLocalAsset,
+    addLocalFolder,
+    removeLocalFolder
+};
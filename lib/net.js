@@ -0,0 +1,333 @@
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+const tls = require('tls');
+
+// Shared HTTP client for the main process. Follows redirects (with a cap,
+// no https -> http downgrades and the caller's URL check on every hop), goes
+// through an explicit, environment or system proxy, and trusts an optional
+// extra CA bundle on top of the built-in roots. Proxies may be http:// or
+// https://; with an https:// proxy the connection to the proxy itself is TLS
+// too. SOCKS proxies are not supported and are skipped in PAC results.
+
+const DEFAULT_MAX_REDIRECTS = 5;
+// requestBuffer holds the whole body in memory; catalogs stay well below this
+const DEFAULT_MAX_BUFFER_BYTES = 50 * 1024 * 1024;
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+let config = {
+    proxy: 'system', // 'system' | 'none' | 'http://host:port' | 'https://host:port'
+    caBundlePath: null,
+    resolveSystemProxy: null // async (url) => PAC-style string, e.g. "PROXY host:8080; DIRECT"
+};
+let caCache = { path: null, ca: null };
+
+function configureNetwork(overrides) {
+    config = { ...config, ...overrides };
+}
+
+function getCa() {
+    if (!config.caBundlePath) {
+        return undefined;
+    }
+    if (caCache.path !== config.caBundlePath) {
+        const extra = fs.readFileSync(config.caBundlePath, 'utf8');
+        caCache = { path: config.caBundlePath, ca: [...tls.rootCertificates, extra] };
+    }
+    return caCache.ca;
+}
+
+function envValue(...names) {
+    for (const name of names) {
+        if (process.env[name]) return process.env[name];
+    }
+    return null;
+}
+
+// NO_PROXY entries: "*", "host", ".domain", "domain:port"
+function bypassesProxy(target) {
+    const noProxy = envValue('NO_PROXY', 'no_proxy');
+    if (!noProxy) return false;
+
+    return noProxy.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean).some((entry) => {
+        if (entry === '*') return true;
+        const [host, port] = entry.split(':');
+        if (port && port !== (target.port || (target.protocol === 'https:' ? '443' : '80'))) return false;
+        const bare = host.replace(/^\*?\./, '');
+        return target.hostname === bare || target.hostname.endsWith(`.${bare}`);
+    });
+}
+
+function parseProxyUrl(value) {
+    const url = new URL(value.includes('://') ? value : `http://${value}`);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported proxy protocol ${url.protocol}`);
+    }
+    return url;
+}
+
+function proxyPort(proxy) {
+    return proxy.port || (proxy.protocol === 'https:' ? 443 : 80);
+}
+
+// Basic credentials from a user:pass@ proxy URL, or null
+function proxyAuthorization(proxy) {
+    if (!proxy.username) {
+        return null;
+    }
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+// First usable entry of a PAC result such as "HTTPS a:443; PROXY b:8080; DIRECT".
+// Returns undefined when no entry is usable, e.g. only SOCKS.
+function parsePacResult(rules) {
+    for (const entry of String(rules || '').split(';')) {
+        const [type, hostPort] = entry.trim().split(/\s+/);
+        switch ((type || '').toUpperCase()) {
+            case 'DIRECT': return null;
+            case 'PROXY': return parseProxyUrl(`http://${hostPort}`);
+            case 'HTTPS': return parseProxyUrl(`https://${hostPort}`);
+            default: // SOCKS and friends
+        }
+    }
+    return undefined;
+}
+
+// Returns a URL for the proxy to use for `target`, or null to connect directly
+async function resolveProxy(target) {
+    if (config.proxy === 'none' || bypassesProxy(target)) {
+        return null;
+    }
+
+    if (config.proxy && config.proxy !== 'system') {
+        return parseProxyUrl(config.proxy);
+    }
+
+    const fromEnv = target.protocol === 'https:'
+        ? envValue('HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy')
+        : envValue('HTTP_PROXY', 'http_proxy');
+    if (fromEnv) {
+        return parseProxyUrl(fromEnv);
+    }
+
+    if (config.resolveSystemProxy) {
+        const proxy = parsePacResult(await config.resolveSystemProxy(target.href));
+        if (proxy !== undefined) {
+            return proxy;
+        }
+    }
+
+    return null;
+}
+
+// Open a CONNECT tunnel through the proxy and start TLS inside it
+function openTunnel(proxy, target, timeout) {
+    return new Promise((resolve, reject) => {
+        const port = target.port || 443;
+        const headers = { Host: `${target.hostname}:${port}` };
+        const authorization = proxyAuthorization(proxy);
+        if (authorization) {
+            headers['Proxy-Authorization'] = authorization;
+        }
+
+        const connect = (proxy.protocol === 'https:' ? https : http).request({
+            host: proxy.hostname,
+            port: proxyPort(proxy),
+            method: 'CONNECT',
+            path: `${target.hostname}:${port}`,
+            headers,
+            timeout,
+            ca: proxy.protocol === 'https:' ? getCa() : undefined
+        });
+
+        connect.on('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                return reject(new Error(`Proxy refused tunnel (HTTP ${response.statusCode})`));
+            }
+            resolve(tls.connect({ socket, servername: target.hostname, ca: getCa() }));
+        });
+        connect.on('timeout', () => connect.destroy(new Error('Proxy connection timed out')));
+        connect.on('error', reject);
+        connect.end();
+    });
+}
+
+async function sendOnce(target, { method, headers, timeout, onRequest }) {
+    const proxy = await resolveProxy(target);
+    const isHttps = target.protocol === 'https:';
+    const requestOptions = {
+        method,
+        headers: { ...headers },
+        timeout
+    };
+
+    if (proxy && isHttps) {
+        const socket = await openTunnel(proxy, target, timeout);
+        Object.assign(requestOptions, {
+            hostname: target.hostname,
+            port: target.port || 443,
+            path: `${target.pathname}${target.search}`,
+            createConnection: () => socket,
+            agent: false
+        });
+    } else if (proxy) {
+        // Plain HTTP through a proxy: absolute-form request target
+        Object.assign(requestOptions, {
+            hostname: proxy.hostname,
+            port: proxyPort(proxy),
+            path: target.href,
+            ca: proxy.protocol === 'https:' ? getCa() : undefined
+        });
+        requestOptions.headers.Host = target.host;
+        const authorization = proxyAuthorization(proxy);
+        if (authorization) {
+            requestOptions.headers['Proxy-Authorization'] = authorization;
+        }
+    } else {
+        Object.assign(requestOptions, {
+            hostname: target.hostname,
+            port: target.port || (isHttps ? 443 : 80),
+            path: `${target.pathname}${target.search}`,
+            ca: isHttps ? getCa() : undefined
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        // The tunnel socket is already TLS; otherwise speak TLS to whoever we connect to
+        const secure = proxy ? !isHttps && proxy.protocol === 'https:' : isHttps;
+        const request = (secure ? https : http).request(requestOptions, resolve);
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+        request.end();
+        if (onRequest) {
+            onRequest(request);
+        }
+    });
+}
+
+// Issue a request and follow redirects. Resolves with the final response
+// (an http.IncomingMessage) and its URL as `response.url`. `onRequest` is
+// called with each underlying ClientRequest so the caller can abort it.
+// `allowUrl(url)`, when given, must accept the URL and every redirect target.
+async function request(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        timeout = 30000,
+        maxRedirects = DEFAULT_MAX_REDIRECTS,
+        onRequest = null,
+        allowUrl = null
+    } = options;
+
+    let target = new URL(url);
+    let currentMethod = method;
+
+    for (let redirects = 0; ; redirects++) {
+        if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+            throw new Error(`Unsupported URL protocol ${target.protocol}`);
+        }
+        if (allowUrl && !allowUrl(target.href)) {
+            throw Object.assign(new Error(`${target.origin} is not an allowed asset host`), { permanent: true });
+        }
+
+        const response = await sendOnce(target, {
+            method: currentMethod,
+            headers,
+            timeout,
+            onRequest
+        });
+
+        if (!REDIRECT_CODES.includes(response.statusCode) || !response.headers.location) {
+            response.url = target.href;
+            return response;
+        }
+
+        response.resume();
+        if (redirects >= maxRedirects) {
+            throw Object.assign(new Error(`Too many redirects (more than ${maxRedirects})`), { permanent: true });
+        }
+
+        const next = new URL(response.headers.location, target);
+        if (target.protocol === 'https:' && next.protocol === 'http:') {
+            throw Object.assign(new Error(`Refusing redirect from HTTPS to insecure ${next.origin}`), { permanent: true });
+        }
+        if (response.statusCode === 303) {
+            currentMethod = 'GET';
+        }
+        target = next;
+    }
+}
+
+// Convenience wrapper that buffers the body. Bodies over `maxBytes` are
+// aborted rather than read to the end.
+async function requestBuffer(url, options = {}) {
+    const { maxBytes = DEFAULT_MAX_BUFFER_BYTES, ...requestOptions } = options;
+    const response = await request(url, requestOptions);
+    const tooLarge = () => {
+        response.destroy();
+        return Object.assign(new Error(`Response is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`), { permanent: true });
+    };
+
+    if (Number(response.headers['content-length']) > maxBytes) {
+        throw tooLarge();
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    return {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        url: response.url,
+        body: Buffer.concat(chunks)
+    };
+}
+
+// ===== Content-Type / extension consistency =====
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/force-download', 'application/download'];
+
+const EXPECTED_TYPES = {
+    image: ['image/'],
+    video: ['video/', 'application/mp4'],
+    audio: ['audio/', 'application/ogg', 'video/ogg', 'video/mp4'],
+    font: ['font/', 'application/font', 'application/x-font', 'application/vnd.ms-opentype', 'application/vnd.ms-fontobject'],
+    archive: ['application/zip', 'application/x-zip', 'application/x-rar', 'application/vnd.rar', 'application/x-7z']
+};
+
+const EXTENSION_KINDS = {
+    png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', svg: 'image',
+    mp4: 'video', webm: 'video', mov: 'video',
+    mp3: 'audio', wav: 'audio', ogg: 'audio', flac: 'audio', m4a: 'audio',
+    ttf: 'font', otf: 'font', woff: 'font', woff2: 'font',
+    zip: 'archive', rar: 'archive', '7z': 'archive'
+};
+
+// Throws when the server says a file is something the extension says it is
+// not - typically an HTML error page or captive portal served with a 200
+function checkContentType(ext, contentType) {
+    const kind = EXTENSION_KINDS[String(ext || '').toLowerCase()];
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!kind || !type || GENERIC_TYPES.includes(type)) {
+        return;
+    }
+
+    // Some hosts serve SVG as XML
+    if (String(ext).toLowerCase() === 'svg' && (type === 'text/xml' || type === 'application/xml')) {
+        return;
+    }
+
+    if (!EXPECTED_TYPES[kind].some((prefix) => type.startsWith(prefix))) {
+        const err = new Error(`Server sent ${type} for a .${ext} file`);
+        err.permanent = true;
+        throw err;
+    }
+}
+
+module.exports = { configureNetwork, request, requestBuffer, checkContentType };
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { requestBuffer } = require('./net');
+const { assetUrl } = require('./asset-protocol');
+
+// Asset source providers. Each provider type knows how to fetch its raw
+// catalog (with a validator for cheap revalidation); normalizeAssets() turns
+// any supported shape into the flat asset list the renderer searches.
+//
+// Supported shapes, for both manifests and static index files:
+//   { "categories": { "sfx": [ { id, title, url, filename, ext, size }, ... ] } }
+//   { "assets": [ { id, title, url, category, ... }, ... ] }   or a bare array
+
+const DEFAULT_PROVIDER_ID = 'renderdragon';
+const DEFAULT_API_BASE = 'https://hamburger-api.powernplant101-c6b.workers.dev';
+const PROVIDER_TYPES = ['renderdragon', 'manifest', 'static'];
+const IN_PLACE_HOST = 'source';
+const MAX_ID_LENGTH = 200;
+const RESERVED_IDS = ['local'];
+
+const DEFAULT_PROVIDERS = [{
+    id: DEFAULT_PROVIDER_ID,
+    name: 'RenderDragon',
+    type: 'renderdragon',
+    location: DEFAULT_API_BASE,
+    enabled: true,
+    categoryMap: {},
+    include: [],
+    exclude: []
+}];
+
+// ===== Validation (used by the settings store) =====
+
+function slugList(value, label) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map((item) => String(item).trim().toLowerCase()).filter(Boolean))].map((item) => {
+        if (!/^[a-z0-9_-]+$/.test(item)) throw new Error(`${label}: "${item}" is not a valid category name`);
+        return item;
+    });
+}
+
+function validateLocation(type, value, name) {
+    const location = String(value || '').trim();
+    if (!location) {
+        throw new Error(`${name}: location is required`);
+    }
+
+    if (type === 'static') {
+        let filePath = location;
+        if (location.startsWith('file:')) {
+            try {
+                filePath = fileURLToPath(location);
+            } catch (e) {
+                throw new Error(`${name}: "${location}" is not a valid file URL`);
+            }
+        }
+        if (!path.isAbsolute(filePath)) throw new Error(`${name}: index file must be an absolute path`);
+        return path.normalize(filePath);
+    }
+
+    let url;
+    try {
+        url = new URL(location);
+    } catch (e) {
+        throw new Error(`${name}: "${location}" is not a valid URL`);
+    }
+    if (url.protocol !== 'https:') throw new Error(`${name}: URL must use https`);
+    return url.href.replace(/\/+$/, '');
+}
+
+function validateProviders(value) {
+    if (!Array.isArray(value)) {
+        throw new Error('Sources must be a list');
+    }
+
+    const seen = new Set();
+    return value.map((raw, index) => {
+        const provider = raw && typeof raw === 'object' ? raw : {};
+        const name = String(provider.name || '').trim() || `Source ${index + 1}`;
+        const id = String(provider.id || '').trim().toLowerCase();
+
+        if (!/^[a-z0-9-]+$/.test(id)) throw new Error(`${name}: ID may only contain a-z, 0-9 and -`);
+        if (RESERVED_IDS.includes(id)) throw new Error(`${name}: ID "${id}" is reserved`);
+        if (seen.has(id)) throw new Error(`${name}: ID "${id}" is used twice`);
+        seen.add(id);
+
+        if (!PROVIDER_TYPES.includes(provider.type)) {
+            throw new Error(`${name}: type must be one of ${PROVIDER_TYPES.join(', ')}`);
+        }
+
+        const categoryMap = {};
+        const mapEntries = typeof provider.categoryMap === 'string'
+            ? provider.categoryMap.split(',').filter((pair) => pair.trim()).map((pair) => pair.split('='))
+            : Object.entries(provider.categoryMap || {});
+        for (const [from, to] of mapEntries) {
+            const [source] = slugList([from || ''], `${name} category map`);
+            const [target] = slugList([to || ''], `${name} category map`);
+            if (!source || !target) throw new Error(`${name}: category map entries look like "from=to"`);
+            categoryMap[source] = target;
+        }
+
+        return {
+            id,
+            name,
+            type: provider.type,
+            location: validateLocation(provider.type, provider.location, name),
+            enabled: provider.enabled !== false,
+            categoryMap,
+            include: slugList(provider.include, `${name} include`),
+            exclude: slugList(provider.exclude, `${name} exclude`)
+        };
+    });
+}
+
+// ===== Fetching =====
+
+// Resolves with { notModified: true } or { body, etag, lastModified }
+async function fetchRemote(url, cache) {
+    const headers = { Accept: 'application/json' };
+    if (cache && cache.etag) headers['If-None-Match'] = cache.etag;
+    if (cache && cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+
+    const response = await requestBuffer(url, { headers });
+    if (response.statusCode === 304 && cache) {
+        return { notModified: true };
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw new Error(`HTTP status code ${response.statusCode}`);
+    }
+
+    return {
+        body: response.body.toString('utf8'),
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+    };
+}
+
+// A static index on a share has no ETag; size + mtime stand in for one
+async function fetchStatic(filePath, cache) {
+    const stat = await fs.promises.stat(filePath);
+    const etag = `${stat.size}-${stat.mtimeMs}`;
+    if (cache && cache.etag === etag) {
+        return { notModified: true };
+    }
+    return { body: await fs.promises.readFile(filePath, 'utf8'), etag, lastModified: null };
+}
+
+async function fetchProviderCatalog(provider, cache) {
+    const result = provider.type === 'static'
+        ? await fetchStatic(provider.location, cache)
+        : await fetchRemote(provider.type === 'renderdragon' ? `${provider.location}/all` : provider.location, cache);
+
+    if (result.notModified) {
+        return result;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(result.body);
+    } catch (e) {
+        throw new Error(`Catalog is not valid JSON: ${e.message}`);
+    }
+    if (!isValidCatalog(data)) {
+        throw new Error('Catalog has neither "categories" nor "assets"');
+    }
+    return { data, etag: result.etag, lastModified: result.lastModified };
+}
+
+function isValidCatalog(data) {
+    return Array.isArray(data) || (!!data && (
+        (typeof data.categories === 'object' && data.categories !== null) || Array.isArray(data.assets)
+    ));
+}
+
+// ===== Normalisation =====
+
+function* rawEntries(data) {
+    if (Array.isArray(data) || Array.isArray(data.assets)) {
+        for (const file of Array.isArray(data) ? data : data.assets) {
+            yield [file && file.category, file];
+        }
+        return;
+    }
+    for (const [category, files] of Object.entries(data.categories)) {
+        if (!Array.isArray(files)) continue;
+        for (const file of files) {
+            yield [category, file];
+        }
+    }
+}
+
+// Where an entry's file lives. Static indexes may use paths relative to the
+// index file, which are served in place like local library files.
+function resolveEntryLocation(provider, file) {
+    const raw = [file.url, file.path].find((value) => typeof value === 'string' && value) || '';
+    if (/^https?:\/\//i.test(raw)) {
+        // Normalised, so quotes and spaces arrive percent-encoded
+        try {
+            return { url: new URL(raw).href, path: null };
+        } catch (e) {
+            return null;
+        }
+    }
+    if (provider.type !== 'static' || !raw) {
+        return null;
+    }
+    try {
+        const filePath = raw.startsWith('file:')
+            ? fileURLToPath(raw)
+            : path.resolve(path.dirname(provider.location), decodeURIComponent(raw));
+        return { url: null, path: filePath };
+    } catch (e) {
+        return null;
+    }
+}
+
+function filenameFromLocation(location) {
+    if (location.path) {
+        return path.basename(location.path);
+    }
+    try {
+        return decodeURIComponent(path.posix.basename(new URL(location.url).pathname)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isValidId(id) {
+    return (typeof id === 'string' && id.trim() !== '' && id.length <= MAX_ID_LENGTH)
+        || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// Catalog entries are untrusted input: anything malformed is skipped and
+// counted rather than passed on to the renderer
+function normalizeAssets(provider, data) {
+    const isDefault = provider.id === DEFAULT_PROVIDER_ID;
+    const assets = [];
+    let skipped = 0;
+
+    for (const [group, file] of rawEntries(data)) {
+        if (!file || typeof file !== 'object') {
+            skipped++;
+            continue;
+        }
+
+        const sourceCategory = String(group || file.category || 'other').toLowerCase();
+        // Own keys only: a category called "constructor" is just a name
+        const category = Object.hasOwn(provider.categoryMap, sourceCategory)
+            ? provider.categoryMap[sourceCategory]
+            : sourceCategory;
+        if (provider.include.length > 0 && !provider.include.includes(category)) continue;
+        if (provider.exclude.includes(category)) continue;
+
+        const location = resolveEntryLocation(provider, file);
+        const filename = file.filename || (location && filenameFromLocation(location));
+        const rawId = file.id !== undefined && file.id !== null ? file.id : filename;
+        if (!location || typeof filename !== 'string' || !filename || !isValidId(rawId)) {
+            skipped++;
+            continue;
+        }
+
+        // Non-default sources are namespaced so ids cannot collide, e.g. "studio:123"
+        const id = isDefault ? rawId : `${provider.id}:${rawId}`;
+        const ext = String(file.ext || path.extname(filename)).replace(/^\./, '').toLowerCase();
+        if (!/^[a-z0-9]{0,16}$/.test(ext)) {
+            skipped++;
+            continue;
+        }
+
+        const asset = {
+            ...file,
+            id,
+            title: String(file.title || path.basename(filename, path.extname(filename))),
+            filename,
+            ext,
+            size: Math.max(Number(file.size) || 0, 0),
+            url: location.url || assetUrl(IN_PLACE_HOST, String(id)),
+            category,
+            source: provider.id
+        };
+        if (location.path) {
+            asset.path = location.path;
+        } else {
+            delete asset.path;
+        }
+        if (!isDefault) {
+            asset.sourceName = provider.name;
+        }
+        assets.push(asset);
+    }
+
+    return { assets, skipped };
+}
+
+module.exports = {
+    DEFAULT_PROVIDER_ID,
+    DEFAULT_API_BASE,
+    DEFAULT_PROVIDERS,
+    IN_PLACE_HOST,
+    validateProviders,
+    fetchProviderCatalog,
+    isValidCatalog,
+    normalizeAssets
+};
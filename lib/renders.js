@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files rendered in the preview: trimmed audio clips (WAV) and converted
+// images. The renderer produces the bytes; here they get a real file in
+// userData/renders, so the clipboard and history have something to point at.
+// Each render sits in its own folder to keep a readable file name, and the
+// oldest are pruned unless history still points at them.
+//
+// rendered: { type: 'clip', data, start, end } with times in seconds, or
+//           { type: 'image', data, format, width, height }
+
+const MAX_RENDERS = 50;
+const MAX_RENDER_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_RENDER_BYTES = 512 * 1024 * 1024;
+
+const IMAGE_FORMATS = {
+    png: (data) => data.readUInt32BE(0) === 0x89504e47,
+    jpeg: (data) => data[0] === 0xff && data[1] === 0xd8,
+    webp: (data) => data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP'
+};
+
+let rendersDir = null;
+let isInUse = () => false;
+
+// `inUse(filePath)` says whether something (history) still refers to a render
+function initRenders(userDataDir, inUse = isInUse) {
+    rendersDir = path.join(userDataDir, 'renders');
+    isInUse = inUse;
+    fs.mkdirSync(rendersDir, { recursive: true });
+    pruneRenders();
+}
+
+// 83.5 -> "1m23.5s"
+function formatClipTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).replace(/\.0$/, '');
+    return minutes > 0 ? `${minutes}m${rest}s` : `${rest}s`;
+}
+
+function renderFilename(asset, rendered) {
+    const stem = path.basename(String(asset.filename || 'asset'), path.extname(String(asset.filename || '')))
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') || 'asset';
+    if (rendered.type === 'clip') {
+        return `${stem} (${formatClipTime(rendered.start)}-${formatClipTime(rendered.end)}).wav`;
+    }
+    return `${stem} (${rendered.width}x${rendered.height}).${rendered.format === 'jpeg' ? 'jpg' : rendered.format}`;
+}
+
+function validateRender(rendered) {
+    if (!rendered || !(rendered.data instanceof Uint8Array)) {
+        throw new Error('Invalid render');
+    }
+    const data = Buffer.from(rendered.data.buffer, rendered.data.byteOffset, rendered.data.byteLength);
+    if (data.length < 44 || data.length > MAX_RENDER_BYTES) {
+        throw new Error('Invalid render size');
+    }
+
+    if (rendered.type === 'clip') {
+        if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+            throw new Error('Clip is not a WAV file');
+        }
+        const start = Number(rendered.start);
+        const end = Number(rendered.end);
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+            throw new Error('Invalid clip region');
+        }
+        return { type: 'clip', data, start, end };
+    }
+
+    if (rendered.type === 'image') {
+        const check = IMAGE_FORMATS[rendered.format];
+        if (!check || !check(data)) {
+            throw new Error('Image does not match its format');
+        }
+        const width = Number(rendered.width);
+        const height = Number(rendered.height);
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error('Invalid image size');
+        }
+        return { type: 'image', data, format: rendered.format, width, height };
+    }
+
+    throw new Error(`Unknown render type "${rendered.type}"`);
+}
+
+// Takes a validated render; resolves with the file path
+async function saveRender(asset, rendered) {
+    const dir = path.join(rendersDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const filePath = path.join(dir, renderFilename(asset, rendered));
+    await fs.promises.writeFile(filePath, rendered.data);
+    pruneRenders();
+    return filePath;
+}
+
+function pruneRenders() {
+    let dirs;
+    try {
+        dirs = fs.readdirSync(rendersDir).map((name) => {
+            const dir = path.join(rendersDir, name);
+            return { dir, mtime: fs.statSync(dir).mtimeMs };
+        });
+    } catch (err) {
+        console.error('Failed to read renders folder:', err.message);
+        return;
+    }
+
+    const now = Date.now();
+    dirs.sort((a, b) => b.mtime - a.mtime)
+        .filter((entry, index) => index >= MAX_RENDERS || now - entry.mtime > MAX_RENDER_AGE_MS)
+        .filter((entry) => !fs.readdirSync(entry.dir).some((name) => isInUse(path.join(entry.dir, name))))
+        .forEach((entry) => fs.rm(entry.dir, { recursive: true, force: true }, () => {}));
+}
+
+function isRenderPath(filePath) {
+    return !!rendersDir && path.dirname(path.dirname(path.resolve(filePath))) === rendersDir;
+}
+
+module.exports = { initRenders, validateRender, renderFilename, saveRender, isRenderPath };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { DEFAULT_PROVIDERS, validateProviders } = require('./providers');
+
+// Application settings persisted to userData/settings.json. Every key is
+// described by the schema below; stored values that no longer validate fall
+// back to their default instead of failing startup. `protected` keys widen
+// what the app may fetch, so the renderer cannot set them through
+// update-settings; main.js asks the user to confirm them instead.
+
+const SCHEMA = {
+    globalShortcut: {
+        section: 'General', label: 'Global shortcut', type: 'shortcut',
+        default: 'CommandOrControl+Space'
+    },
+    hideOnBlur: {
+        section: 'General', label: 'Hide when the window loses focus', type: 'boolean',
+        default: true
+    },
+    windowWidth: {
+        section: 'Window', label: 'Width', type: 'integer', unit: 'px',
+        default: 800, min: 480, max: 3840
+    },
+    windowHeight: {
+        section: 'Window', label: 'Height', type: 'integer', unit: 'px',
+        default: 600, min: 360, max: 2160
+    },
+    resizable: {
+        section: 'Window', label: 'Resizable', type: 'boolean',
+        default: false
+    },
+    keyBindings: {
+        section: 'Keyboard', label: 'Shortcuts', type: 'keybindings',
+        default: {}
+    },
+    providers: {
+        section: 'Sources', label: 'Asset sources', type: 'providers',
+        default: DEFAULT_PROVIDERS, protected: true
+    },
+    proxy: {
+        section: 'Network', label: 'Proxy (system, none, http:// or https://host:port)', type: 'proxy',
+        default: 'system'
+    },
+    caBundlePath: {
+        section: 'Network', label: 'Extra CA bundle (PEM file)', type: 'file',
+        default: ''
+    },
+    extraAllowedOrigins: {
+        section: 'Network', label: 'Extra allowed asset origins (comma separated)', type: 'origins',
+        default: [], protected: true
+    },
+    downloadTimeoutSeconds: {
+        section: 'Downloads', label: 'Timeout', type: 'integer', unit: 's',
+        default: 30, min: 5, max: 600
+    },
+    maxDownloadSizeMb: {
+        section: 'Downloads', label: 'Maximum file size', type: 'integer', unit: 'MB',
+        default: 500, min: 1, max: 10240
+    },
+    maxConcurrentDownloads: {
+        section: 'Downloads', label: 'Parallel downloads', type: 'integer',
+        default: 3, min: 1, max: 8
+    },
+    assetCacheLimitMb: {
+        section: 'Downloads', label: 'Offline cache size', type: 'integer', unit: 'MB',
+        default: 2048, min: 100, max: 102400
+    }
+};
+
+let settingsFile = null;
+let settings = defaults();
+const listeners = [];
+
+function defaults() {
+    const values = {};
+    for (const [key, field] of Object.entries(SCHEMA)) {
+        values[key] = JSON.parse(JSON.stringify(field.default));
+    }
+    return values;
+}
+
+function initSettings(userDataDir) {
+    settingsFile = path.join(userDataDir, 'settings.json');
+    const stored = readJsonFile(settingsFile, {});
+    settings = defaults();
+
+    // The single API base setting became the default source's location
+    if (stored.apiBase && !stored.providers) {
+        stored.providers = DEFAULT_PROVIDERS.map((provider) => ({ ...provider, location: stored.apiBase }));
+    }
+
+    for (const key of Object.keys(SCHEMA)) {
+        if (!(key in stored)) continue;
+        try {
+            settings[key] = validateSetting(key, stored[key]);
+        } catch (err) {
+            console.error(`Ignoring stored setting ${key}:`, err.message);
+        }
+    }
+}
+
+function getSettings() {
+    return { ...settings };
+}
+
+// Field descriptions, for building the settings panel
+function getSettingsSchema() {
+    return SCHEMA;
+}
+
+function onSettingsChanged(callback) {
+    listeners.push(callback);
+}
+
+// Returns the normalised value or throws with a message fit for the UI
+function validateSetting(key, value) {
+    const field = SCHEMA[key];
+    if (!field) {
+        throw new Error(`Unknown setting "${key}"`);
+    }
+
+    switch (field.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') throw new Error(`${field.label} must be on or off`);
+            return value;
+
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number)) throw new Error(`${field.label} must be a whole number`);
+            if (number < field.min || number > field.max) {
+                throw new Error(`${field.label} must be between ${field.min} and ${field.max}`);
+            }
+            return number;
+        }
+
+        case 'shortcut': {
+            const accelerator = String(value || '').trim();
+            if (!accelerator) throw new Error('Shortcut cannot be empty');
+            if (!/^([A-Za-z]+\+)*[^+\s]+$/.test(accelerator) || !accelerator.includes('+')) {
+                throw new Error('Shortcut needs at least one modifier, e.g. CommandOrControl+Space');
+            }
+            return accelerator;
+        }
+
+        case 'providers':
+            return validateProviders(value);
+
+        // Action id -> accelerators; only actions whose defaults were changed
+        case 'keybindings': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('Shortcuts must map actions to key combinations');
+            }
+            const bindings = {};
+            for (const [actionId, keys] of Object.entries(value)) {
+                if (!/^[a-z][a-z0-9.-]*$/.test(actionId) || !Array.isArray(keys)) {
+                    throw new Error(`Invalid shortcuts for "${actionId}"`);
+                }
+                const accelerators = keys.map((key) => String(key).trim()).filter(Boolean);
+                if (accelerators.length > 4 || accelerators.some((key) => key.length > 40 || !/^([A-Za-z]+\+)*[^+\s]+$/.test(key))) {
+                    throw new Error(`Invalid shortcut for "${actionId}"`);
+                }
+                bindings[actionId] = [...new Set(accelerators)];
+            }
+            return bindings;
+        }
+
+        case 'proxy': {
+            const proxy = String(value || '').trim() || 'system';
+            if (proxy === 'system' || proxy === 'none') return proxy;
+            const url = parseUrl(proxy.includes('://') ? proxy : `http://${proxy}`, field.label);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error('Only http:// and https:// proxies are supported');
+            }
+            return url.href.replace(/\/+$/, '');
+        }
+
+        case 'file': {
+            const filePath = String(value || '').trim();
+            if (filePath && !fs.existsSync(filePath)) throw new Error(`${filePath} does not exist`);
+            return filePath;
+        }
+
+        case 'origins': {
+            const list = Array.isArray(value) ? value : String(value || '').split(',');
+            const origins = [];
+            for (const item of list.map((entry) => String(entry).trim()).filter(Boolean)) {
+                const url = parseUrl(item, field.label);
+                if (url.protocol !== 'https:') throw new Error(`${item} must use https`);
+                if (!origins.includes(url.origin)) origins.push(url.origin);
+            }
+            return origins;
+        }
+
+        default:
+            throw new Error(`Unsupported setting type ${field.type}`);
+    }
+}
+
+function parseUrl(value, label) {
+    try {
+        return new URL(String(value || '').trim());
+    } catch (e) {
+        throw new Error(`${label} is not a valid URL`);
+    }
+}
+
+// Validate and persist a partial update. Nothing is written if any key fails.
+function updateSettings(patch) {
+    const next = { ...settings };
+    const changed = [];
+
+    for (const [key, value] of Object.entries(patch || {})) {
+        const normalised = validateSetting(key, value);
+        if (JSON.stringify(normalised) !== JSON.stringify(settings[key])) {
+            next[key] = normalised;
+            changed.push(key);
+        }
+    }
+
+    if (changed.length > 0) {
+        writeJsonFile(settingsFile, next);
+        settings = next;
+        listeners.forEach((callback) => callback(getSettings(), changed));
+    }
+    return getSettings();
+}
+
+function getDefaultSettings() {
+    return defaults();
+}
+
+module.exports = {
+    initSettings,
+    getSettings,
+    getSettingsSchema,
+    getDefaultSettings,
+    onSettingsChanged,
+    validateSetting,
+    updateSettings
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { addAssetResolver, assetUrl } = require('./asset-protocol');
+const { addDerivedCacheDir, recordDerivedFiles, touchDerivedFiles } = require('./derived-cache');
+
+// Video thumbnails: a JPEG strip of evenly spaced frames plus a small JSON
+// file with the duration and which frame makes the best poster. The renderer
+// grabs the frames (it has the decoder); they are kept in userData/thumbnails
+// and served back as rd-asset://thumb/<key>, under the derived cache's size cap.
+
+const THUMB_HOST = 'thumb';
+const MAX_FRAMES = 60;
+const MAX_STRIP_BYTES = 10 * 1024 * 1024;
+
+let thumbDir = null;
+
+function initThumbnails(userDataDir) {
+    thumbDir = path.join(userDataDir, 'thumbnails');
+    addDerivedCacheDir(thumbDir);
+
+    addAssetResolver(THUMB_HOST, (key) => {
+        if (!/^[0-9a-f]{40}$/.test(key)) {
+            return null;
+        }
+        const stripPath = path.join(thumbDir, `${key}.jpg`);
+        return fs.existsSync(stripPath) ? stripPath : null;
+    });
+}
+
+// A changed file (new URL or size) gets fresh thumbnails
+function keyFor(asset) {
+    return crypto.createHash('sha1').update(`${asset.id}\n${asset.url}\n${asset.size || 0}`).digest('hex');
+}
+
+function getThumbnail(asset) {
+    const key = keyFor(asset);
+    const meta = readJsonFile(path.join(thumbDir, `${key}.json`), null);
+    if (!meta || !fs.existsSync(path.join(thumbDir, `${key}.jpg`))) {
+        return null;
+    }
+    touchDerivedFiles(thumbDir, key);
+    return { ...meta, url: assetUrl(THUMB_HOST, key) };
+}
+
+// thumbnail: { data: JPEG Uint8Array, frames, frameWidth, frameHeight, poster, duration }
+function saveThumbnail(asset, thumbnail) {
+    const { data, frames, frameWidth, frameHeight, poster, duration } = thumbnail || {};
+    if (!(data instanceof Uint8Array) || data.length < 3 || data.length > MAX_STRIP_BYTES
+        || data[0] !== 0xff || data[1] !== 0xd8) {
+        throw new Error('Thumbnail strip is not a JPEG');
+    }
+    const counts = [frames, frameWidth, frameHeight];
+    if (!counts.every((n) => Number.isInteger(n) && n > 0) || frames > MAX_FRAMES
+        || !Number.isInteger(poster) || poster < 0 || poster >= frames) {
+        throw new Error('Invalid thumbnail layout');
+    }
+
+    const key = keyFor(asset);
+    fs.writeFileSync(path.join(thumbDir, `${key}.jpg`), data);
+    writeJsonFile(path.join(thumbDir, `${key}.json`), {
+        frames,
+        frameWidth,
+        frameHeight,
+        poster,
+        duration: Number(duration) || null
+    });
+    recordDerivedFiles(thumbDir, key, [`${key}.jpg`, `${key}.json`]);
+}
+
+module.exports = { initThumbnails, getThumbnail, saveThumbnail };
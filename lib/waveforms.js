@@ -0,0 +1,54 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { addDerivedCacheDir, recordDerivedFiles, touchDerivedFiles } = require('./derived-cache');
+
+// Waveform peaks, one small file per asset in userData/waveforms. The
+// renderer decodes the audio (it has the decoder); the main process only
+// stores the result, quantised to one byte per peak, under the derived
+// cache's size cap.
+
+const MAX_PEAKS = 2048;
+
+let waveformDir = null;
+
+function initWaveforms(userDataDir) {
+    waveformDir = path.join(userDataDir, 'waveforms');
+    addDerivedCacheDir(waveformDir);
+}
+
+// A changed file (new URL or size) gets a fresh waveform
+function keyFor(asset) {
+    return crypto.createHash('sha1').update(`${asset.id}\n${asset.url}\n${asset.size || 0}`).digest('hex');
+}
+
+function getWaveform(asset) {
+    const key = keyFor(asset);
+    const stored = readJsonFile(path.join(waveformDir, `${key}.json`), null);
+    if (!stored || typeof stored.peaks !== 'string') {
+        return null;
+    }
+    touchDerivedFiles(waveformDir, key);
+    const bytes = Buffer.from(stored.peaks, 'base64');
+    return {
+        peaks: Array.from(bytes, (byte) => byte / 255),
+        duration: stored.duration
+    };
+}
+
+function saveWaveform(asset, waveform) {
+    const { peaks, duration } = waveform || {};
+    if (!Array.isArray(peaks) || peaks.length === 0 || peaks.length > MAX_PEAKS) {
+        throw new Error('Invalid waveform');
+    }
+
+    const bytes = Buffer.from(peaks.map((peak) => Math.round(Math.min(Math.max(Number(peak) || 0, 0), 1) * 255)));
+    const key = keyFor(asset);
+    writeJsonFile(path.join(waveformDir, `${key}.json`), {
+        peaks: bytes.toString('base64'),
+        duration: Number(duration) || null
+    });
+    recordDerivedFiles(waveformDir, key, [`${key}.json`]);
+}
+
+module.exports = { initWaveforms, getWaveform, saveWaveform };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { once } = require('events');
+
+// Minimal streaming ZIP writer. Entries are stored uncompressed - assets are
+// mostly already-compressed media - and sizes/CRCs go in data descriptors so
+// files can be streamed without buffering them in memory.
+
+const MAX_ZIP32 = 0xffffffff;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer, crc = 0) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, date: day };
+}
+
+function createZipWriter(filePath) {
+    const stream = fs.createWriteStream(filePath);
+    const centralEntries = [];
+    let offset = 0;
+    let streamError = null;
+
+    stream.on('error', (err) => {
+        streamError = err;
+    });
+
+    async function write(buffer) {
+        if (streamError) throw streamError;
+        offset += buffer.length;
+        if (!stream.write(buffer)) {
+            await once(stream, 'drain');
+        }
+    }
+
+    async function addFile(name, sourcePath) {
+        if (centralEntries.length >= 0xffff) {
+            throw new Error('ZIP archives are limited to 65535 files');
+        }
+
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = dosDateTime(new Date());
+        const headerOffset = offset;
+        const flags = 0x0808; // data descriptor follows, UTF-8 names
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        await write(header);
+        await write(nameBuffer);
+
+        let crc = 0;
+        let size = 0;
+        for await (const chunk of fs.createReadStream(sourcePath)) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            await write(chunk);
+        }
+
+        if (size > MAX_ZIP32 || offset > MAX_ZIP32) {
+            throw new Error('ZIP archive exceeds 4 GB');
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(size, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await write(descriptor);
+
+        centralEntries.push({ nameBuffer, flags, time, date, crc, size, headerOffset });
+    }
+
+    async function finish() {
+        const directoryOffset = offset;
+
+        for (const entry of centralEntries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);
+            record.writeUInt16LE(20, 6);
+            record.writeUInt16LE(entry.flags, 8);
+            record.writeUInt16LE(0, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.size, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            record.writeUInt32LE(entry.headerOffset, 42);
+            await write(record);
+            await write(entry.nameBuffer);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(centralEntries.length, 8);
+        end.writeUInt16LE(centralEntries.length, 10);
+        end.writeUInt32LE(offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await write(end);
+
+        stream.end();
+        await once(stream, 'finish');
+    }
+
+    function abort() {
+        stream.destroy();
+        fs.unlink(filePath, () => {});
+    }
+
+    return { addFile, finish, abort };
+}
+
+module.exports = { createZipWriter, crc32 };
@@ -1,14 +1,66 @@
-const { app, BrowserWindow, globalShortcut, ipcMain, dialog, clipboard, nativeImage } = require('electron');
+const { app, BrowserWindow, globalShortcut, ipcMain, dialog, clipboard, nativeImage, session } = require('electron');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
 const os = require('os');
+const { Readable } = require('stream');
+const {
+    initCatalog,
+    setProviders,
+    getCachedCatalog,
+    getSourceStatus,
+    findCatalogAsset,
+    revalidateCatalog,
+    getCatalogOrigins
+} = require('./lib/catalog');
+const {
+    initAssetCache,
+    setCacheLimit,
+    onCacheChanged,
+    getCachedAssetIds,
+    getCachedFile,
+    ensureCached,
+    clearAssetCache,
+    flushAssetCache
+} = require('./lib/asset-cache');
+const favorites = require('./lib/favorites');
+const annotations = require('./lib/annotations');
+const history = require('./lib/history');
+const { createZipWriter } = require('./lib/zip');
+const downloads = require('./lib/downloads');
+const { configureNetwork, request: netRequest } = require('./lib/net');
+const settings = require('./lib/settings');
+const { registerAssetScheme, handleAssetProtocol, addAssetResolver, mimeTypeFor } = require('./lib/asset-protocol');
+const { APP_SCHEME, appUrl, buildContentSecurityPolicy, handleAppProtocol } = require('./lib/app-protocol');
+const localLibrary = require('./lib/local-library');
+const waveforms = require('./lib/waveforms');
+const thumbnails = require('./lib/thumbnails');
+const { setDerivedCacheLimit, clearDerivedCaches } = require('./lib/derived-cache');
+const { readFontInfo } = require('./lib/font-info');
+const { inspectFile } = require('./lib/file-inspect');
+const fontInstall = require('./lib/font-install');
+const renders = require('./lib/renders');
+const { CLIPBOARD_FORMATS, FILE_FORMATS, DATA_URI_MAX_BYTES, copyFileToClipboard, copyAs } = require('./lib/clipboard');
 
 let mainWindow = null;
 let isVisible = false;
+let openDialogs = 0;
+let dragInProgress = false;
+let registeredShortcut = null;
+let shortcutError = null;
+let resizeTimer = null;
+
+registerAssetScheme(APP_SCHEME);
 
 const TEMP_DIR = path.join(os.tmpdir(), 'renderdragon-assets-temp');
+const CATALOG_RECHECK_MS = 10 * 60 * 1000;
+const MAX_DRAG_FILES = 200;
+const MAX_DRAG_ICON_CHARS = 512 * 1024;
+// Thumbnails and waveforms may use this fraction of the offline cache size
+const DERIVED_CACHE_SHARE = 0.1;
+
+// Asset hosts trusted even before the catalog has loaded
+const DEFAULT_ALLOWED_ORIGINS = ['https://raw.githubusercontent.com'];
 
 function cleanTempDir() {
     try {
@@ -29,20 +81,18 @@ function cleanTempDir() {
     }
 }
 
-function sanitizeFilename(filename) {
-    const base = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
-    const ext = path.extname(base);
-    const name = path.basename(base, ext);
-    return `${name}_${Date.now()}${ext}`;
-}
-
 function createWindow() {
+    const { windowWidth, windowHeight, resizable } = settings.getSettings();
+    const schema = settings.getSettingsSchema();
+
     mainWindow = new BrowserWindow({
-        width: 800,
-        height: 600,
+        width: windowWidth,
+        height: windowHeight,
+        minWidth: schema.windowWidth.min,
+        minHeight: schema.windowHeight.min,
         frame: false,
         transparent: true,
-        resizable: false,
+        resizable,
         skipTaskbar: true,
         alwaysOnTop: true,
         show: false,
@@ -53,12 +103,36 @@ function createWindow() {
         }
     });
 
-    mainWindow.loadFile(path.join(__dirname, 'renderer', 'index.html'));
+    // Nothing in the page links anywhere, so any navigation or popup is
+    // something a catalog entry should not have been able to cause
+    mainWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+    mainWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+    mainWindow.loadURL(appUrl('index.html'));
 
-    // Hide when loses focus
+    // Hide when loses focus, except to our own file dialogs and to the app
+    // a file is being dragged into
     mainWindow.on('blur', () => {
+        if (openDialogs > 0 || dragInProgress || !settings.getSettings().hideOnBlur) return;
         hideWindow();
     });
+    mainWindow.on('focus', () => {
+        dragInProgress = false;
+    });
+
+    // Remember the size the user drags a resizable window to
+    mainWindow.on('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (!mainWindow || !mainWindow.isResizable()) return;
+            const [width, height] = mainWindow.getSize();
+            try {
+                settings.updateSettings({ windowWidth: width, windowHeight: height });
+            } catch (err) {
+                console.error('Failed to save window size:', err.message);
+            }
+        }, 500);
+    });
 
     // Center window on screen
     mainWindow.center();
@@ -71,6 +145,12 @@ function showWindow() {
         mainWindow.focus();
         mainWindow.webContents.send('window-shown');
         isVisible = true;
+
+        // Long-running sessions pick up catalog changes when the launcher is reopened
+        const cached = getCachedCatalog();
+        if (cached && Date.now() - cached.checkedAt > CATALOG_RECHECK_MS) {
+            refreshCatalogInBackground();
+        }
     }
 }
 
@@ -90,135 +170,444 @@ function toggleWindow() {
     }
 }
 
-// Helper function to download file to path
-function downloadToFile(url, filepath, options = {}) {
-    const { timeout = 30000, maxSizeBytes = 500 * 1024 * 1024 } = options;
+// Swap the global shortcut. The old binding stays active until the new one
+// registers, so a conflict never leaves the launcher unreachable.
+function bindGlobalShortcut(accelerator) {
+    if (accelerator === registeredShortcut) {
+        return null;
+    }
 
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        const request = protocol.get(url, (response) => {
-            if (response.statusCode < 200 || response.statusCode >= 300) {
-                return reject(new Error(`HTTP status code ${response.statusCode}`));
-            }
+    let registered;
+    try {
+        registered = globalShortcut.register(accelerator, toggleWindow);
+    } catch (err) {
+        return `${accelerator} is not a valid shortcut`;
+    }
+    if (!registered) {
+        return `${accelerator} is already in use by another application`;
+    }
 
-            const contentLength = parseInt(response.headers['content-length'], 10);
-            if (!isNaN(contentLength) && contentLength > maxSizeBytes) {
-                return reject(new Error(`File size (${contentLength} bytes) exceeds limit of ${maxSizeBytes} bytes`));
-            }
+    if (registeredShortcut) {
+        globalShortcut.unregister(registeredShortcut);
+    }
+    registeredShortcut = accelerator;
+    return null;
+}
 
-            const file = fs.createWriteStream(filepath);
-            let receivedBytes = 0;
-
-            let rejected = false;
-            response.on('data', (chunk) => {
-                receivedBytes += chunk.length;
-                if (!rejected && receivedBytes > maxSizeBytes) {
-                    rejected = true;
-                    response.destroy();
-                    file.close(() => {
-                        fs.unlink(filepath, () => {});
-                    });
-                    reject(new Error(`File size exceeds limit of ${maxSizeBytes} bytes`));
-                }
-            });
+// Push settings into the modules that use them. `changed` lists the keys to
+// apply; at startup that is every key.
+function applySettings(values, changed) {
+    const has = (...keys) => keys.some((key) => changed.includes(key));
 
-            response.pipe(file);
+    if (mainWindow && has('windowWidth', 'windowHeight', 'resizable')) {
+        mainWindow.setResizable(values.resizable);
+        const [width, height] = mainWindow.getSize();
+        if (width !== values.windowWidth || height !== values.windowHeight) {
+            mainWindow.setSize(values.windowWidth, values.windowHeight);
+            mainWindow.center();
+        }
+    }
 
-            file.on('finish', () => {
-                file.close();
-                resolve({ success: true, path: filepath });
-            });
+    if (has('downloadTimeoutSeconds', 'maxDownloadSizeMb', 'maxConcurrentDownloads')) {
+        downloads.configureDownloads({
+            timeout: values.downloadTimeoutSeconds * 1000,
+            maxSizeBytes: values.maxDownloadSizeMb * 1024 * 1024,
+            maxConcurrent: values.maxConcurrentDownloads
+        });
+    }
 
-            file.on('error', (err) => {
-                fs.unlink(filepath, () => {});
-                reject(err);
-            });
+    if (has('proxy', 'caBundlePath')) {
+        configureNetwork({
+            proxy: values.proxy,
+            caBundlePath: values.caBundlePath || null,
+            resolveSystemProxy: (url) => session.defaultSession.resolveProxy(url)
         });
+    }
+
+    if (has('assetCacheLimitMb')) {
+        setCacheLimit(values.assetCacheLimitMb * 1024 * 1024);
+        setDerivedCacheLimit(values.assetCacheLimitMb * 1024 * 1024 * DERIVED_CACHE_SHARE);
+    }
+
+    // Mapping changes apply to cached data straight away; new or moved
+    // sources arrive with the revalidation
+    if (has('providers') && setProviders(values.providers)) {
+        const cached = getCachedCatalog();
+        sendCatalogUpdate(cached || { assets: [], fetchedAt: null, sources: getSourceStatus() });
+        refreshCatalogInBackground();
+    }
+}
+
+// Validate every key, bind the new shortcut (only the OS can say whether it
+// is free), then persist. A failed save puts the old shortcut back so the
+// live binding and the stored one never disagree.
+function changeSettings(patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        patch[key] = settings.validateSetting(key, value);
+    }
+
+    const previousShortcut = registeredShortcut;
+    if (patch.globalShortcut) {
+        const error = bindGlobalShortcut(patch.globalShortcut);
+        if (error) {
+            throw new Error(error);
+        }
+    }
+
+    let values;
+    try {
+        values = settings.updateSettings(patch);
+    } catch (err) {
+        if (registeredShortcut !== previousShortcut) {
+            globalShortcut.unregister(registeredShortcut);
+            registeredShortcut = null;
+            if (previousShortcut) {
+                bindGlobalShortcut(previousShortcut);
+            }
+        }
+        throw new Error(`Could not save settings: ${err.message}`);
+    }
+
+    if (patch.globalShortcut) {
+        shortcutError = null;
+    }
+    return values;
+}
 
-        request.on('timeout', () => {
-            request.destroy();
-            fs.unlink(filepath, () => {});
-            reject(new Error('Request timed out'));
+function sendCatalogUpdate(catalog) {
+    if (mainWindow) {
+        mainWindow.webContents.send('catalog-updated', {
+            assets: catalog.assets,
+            fetchedAt: catalog.fetchedAt,
+            sources: catalog.sources
         });
+    }
+}
 
-        request.on('error', (err) => {
-            fs.unlink(filepath, () => {});
-            reject(err);
+// Revalidate the catalog and push it to the renderer only if it changed
+function refreshCatalogInBackground() {
+    revalidateCatalog()
+        .then(({ changed, catalog }) => {
+            if (changed) {
+                sendCatalogUpdate(catalog);
+            }
+        })
+        .catch((err) => {
+            console.error('Catalog revalidation failed:', err.message);
         });
+}
+
+function isValidAsset(asset) {
+    return !!asset && typeof asset.url === 'string' && typeof asset.filename === 'string';
+}
 
-        if (timeout) {
-            request.setTimeout(timeout);
+// The renderer hands us whole asset objects, so only fetch URLs that point at
+// hosts the catalog itself uses
+function isAllowedAssetUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    if (parsed.protocol !== 'https:') {
+        return false;
+    }
+    return DEFAULT_ALLOWED_ORIGINS.includes(parsed.origin)
+        || settings.getSettings().extraAllowedOrigins.includes(parsed.origin)
+        || getCatalogOrigins().has(parsed.origin);
+}
+
+// https origins the page may load images, media and fonts from. Fixed per
+// page load in its content policy; the renderer falls back to rd-asset:// for
+// origins a source added since then.
+let pageMediaOrigins = null;
+
+function getMediaOrigins() {
+    const origins = new Set([
+        ...DEFAULT_ALLOWED_ORIGINS,
+        ...settings.getSettings().extraAllowedOrigins,
+        ...getCatalogOrigins()
+    ]);
+    return [...origins].filter((origin) => /^https:\/\/[a-z0-9.-]+(:\d+)?$/i.test(origin));
+}
+
+function checkAsset(asset) {
+    if (!isValidAsset(asset)) {
+        return 'Invalid asset';
+    }
+    if (localLibrary.isLocalAssetId(asset.id)) {
+        return localLibrary.findLocalAsset(asset.id) ? null : 'File is no longer in a local library';
+    }
+    if (findInPlaceFile(asset)) {
+        return null;
+    }
+    if (!isAllowedAssetUrl(asset.url)) {
+        return 'Asset URL is not from a catalog origin';
+    }
+    return null;
+}
+
+// Catalog entries from a static index on a share point at files on disk
+function findInPlaceFile(asset) {
+    const known = findCatalogAsset(asset.id);
+    return known && known.path ? known.path : null;
+}
+
+// The link the url and markdown copy formats use. Library and share files
+// have no public URL, so they get a file:// one.
+function shareableUrl(asset) {
+    const local = localLibrary.isLocalAssetId(asset.id) ? localLibrary.findLocalAsset(asset.id) : null;
+    const filePath = local ? local.path : findInPlaceFile(asset);
+    return filePath ? pathToFileURL(filePath).href : asset.url;
+}
+
+// Resolve an asset to a local file, downloading it into the asset cache on a miss.
+// Library and share files are used in place; the path comes from our index, never the renderer.
+async function getAssetFile(asset) {
+    if (localLibrary.isLocalAssetId(asset.id)) {
+        const local = localLibrary.findLocalAsset(asset.id);
+        if (!local) {
+            throw new Error('File is no longer in a local library');
         }
+        return local.path;
+    }
+
+    const inPlace = findInPlaceFile(asset);
+    if (inPlace) {
+        return inPlace;
+    }
+
+    return ensureCached(asset, (url, filepath) => downloads.enqueueDownload({
+        url,
+        dest: filepath,
+        title: asset.title,
+        assetId: asset.id,
+        ext: asset.ext,
+        allowUrl: isAllowedAssetUrl
+    }).promise);
+}
+
+// The asset's file if it is already on this machine; never fetches
+function findLocalFile(asset) {
+    if (localLibrary.isLocalAssetId(asset.id)) {
+        const local = localLibrary.findLocalAsset(asset.id);
+        return local ? local.path : null;
+    }
+    return findInPlaceFile(asset) || getCachedFile(asset);
+}
+
+// Passes a ranged request straight through to the asset's host. Used for
+// tile previews, which read a few parts of a file (video frames) or one file
+// to draw it (waveforms): neither should occupy the download queue, show up
+// as a transfer or fill the offline cache.
+async function streamRemoteAsset(asset, range) {
+    if (!isAllowedAssetUrl(asset.url)) {
+        return null;
+    }
+
+    const response = await netRequest(asset.url, {
+        headers: range ? { Range: range } : {},
+        timeout: settings.getSettings().downloadTimeoutSeconds * 1000,
+        allowUrl: isAllowedAssetUrl
     });
+    if (response.statusCode !== 200 && response.statusCode !== 206) {
+        response.resume();
+        return new Response(`HTTP status code ${response.statusCode}`, { status: 502 });
+    }
+
+    const headers = {
+        'Content-Type': mimeTypeFor(asset.filename),
+        'Accept-Ranges': 'bytes',
+        'Access-Control-Allow-Origin': '*'
+    };
+    ['content-length', 'content-range'].forEach((name) => {
+        if (response.headers[name]) headers[name] = response.headers[name];
+    });
+    return new Response(Readable.toWeb(response), { status: response.statusCode, headers });
 }
 
-// Helper function to copy file to clipboard
-function copyFileToClipboard(filePath) {
-    return new Promise((resolve) => {
-        if (process.platform === 'win32') {
-            const { exec } = require('child_process');
-            // Use PowerShell to set file drop list
-            // Using single quotes for path in PowerShell requires escaping single quotes as ''
-            const safePath = filePath.replace(/'/g, "''");
-            const psScript = `
-                Add-Type -AssemblyName System.Windows.Forms;
-                [System.Collections.Specialized.StringCollection]$files = New-Object System.Collections.Specialized.StringCollection;
-                $files.Add('${safePath}');
-                [System.Windows.Forms.Clipboard]::SetFileDropList($files);
-            `;
-            // Encode command to avoid issues with special characters
-            const encodedCommand = Buffer.from(psScript, 'utf16le').toString('base64');
-            exec(`powershell -EncodedCommand ${encodedCommand}`, { timeout: 10000 }, (error) => {
-                if (error) {
-                    console.error('PowerShell error:', error);
-                    resolve({ success: false, message: error.message });
-                } else {
-                    resolve({ success: true, type: 'file', path: filePath });
-                }
-            });
-        } else if (process.platform === 'darwin') {
-            const { exec } = require('child_process');
-            // Use AppleScript to set clipboard to POSIX file
-            // Properly escape the path for AppleScript by using \x22 for quotes
-            const safePath = filePath.replace(/"/g, '\\x22');
-            // Use printf-style escaping to avoid shell injection
-            const script = `set the clipboard to POSIX file "${safePath}"`;
-            exec(`osascript -e "${script}"`, { timeout: 10000 }, (error) => {
-                if (error) {
-                    resolve({ success: false, message: error.message });
-                } else {
-                    resolve({ success: true, type: 'file', path: filePath });
-                }
-            });
-        } else {
-            // Linux and others - Try to set text/uri-list
-            try {
-                // Write to clipboard as text/uri-list and plain text together
-                const uriList = Buffer.from(`file://${filePath}\r\n`);
-                clipboard.write({
-                    'text/uri-list': uriList,
-                    text: filePath
-                });
+// Native file dialogs take focus from the launcher; keep it open behind them
+async function showFileDialog(method, options) {
+    openDialogs++;
+    try {
+        return await dialog[method](mainWindow, options);
+    } finally {
+        openDialogs--;
+        if (mainWindow && isVisible) {
+            mainWindow.focus();
+        }
+    }
+}
+
+// Resolves with whether the user allowed the listed origins or locations;
+// an empty list needs no confirmation
+async function confirmNewLocations(message, locations) {
+    if (locations.length === 0) {
+        return true;
+    }
+    const { response } = await showFileDialog('showMessageBox', {
+        type: 'warning',
+        buttons: ['Allow', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        message,
+        detail: locations.join('\n')
+    });
+    return response === 0;
+}
+
+function checkDragAssets(assets) {
+    if (!Array.isArray(assets) || assets.length === 0 || !assets.every(isValidAsset)) {
+        return 'Nothing to drag';
+    }
+    if (assets.length > MAX_DRAG_FILES) {
+        return `At most ${MAX_DRAG_FILES} files can be dragged at once`;
+    }
+    return assets.map(checkAsset).find(Boolean) || null;
+}
+
+// Catalog filenames are untrusted: keep the base name and strip characters
+// that are invalid on any of our platforms
+function safeExportName(filename) {
+    const base = path.basename(String(filename || 'asset')).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+    return base || 'asset';
+}
+
+// "name.ext", then "name (2).ext", ... skipping names already used in this export
+function uniqueExportName(filename, taken, dir = null) {
+    const ext = path.extname(filename);
+    const stem = path.basename(filename, ext);
+    let candidate = filename;
+    for (let n = 2; taken.has(candidate.toLowerCase()) || (dir && fs.existsSync(path.join(dir, candidate))); n++) {
+        candidate = `${stem} (${n})${ext}`;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Export several assets into a folder or a single ZIP, reporting progress per file.
+// A failed asset is recorded and skipped; only a broken archive aborts the run.
+async function exportAssets(assets, mode, targetPath, onProgress) {
+    const failed = [];
+    const taken = new Set();
+    const zip = mode === 'zip' ? createZipWriter(targetPath) : null;
+    let exported = 0;
 
-                resolve({ success: true, type: 'file', path: filePath });
+    try {
+        for (let i = 0; i < assets.length; i++) {
+            const asset = assets[i];
+            onProgress({ done: i, total: assets.length, current: asset.title, failed: failed.length });
+
+            let cachedPath;
+            try {
+                cachedPath = await getAssetFile(asset);
             } catch (err) {
-                resolve({ success: false, message: err.message });
+                failed.push({ id: asset.id, title: asset.title, message: err.message });
+                continue;
+            }
+
+            if (zip) {
+                await zip.addFile(uniqueExportName(safeExportName(asset.filename), taken), cachedPath);
+                // No standalone file to re-copy later, so history points back at the cache
+                history.addHistoryEntry('download', asset, null);
+            } else {
+                try {
+                    const name = uniqueExportName(safeExportName(asset.filename), taken, targetPath);
+                    const destination = path.join(targetPath, name);
+                    await fs.promises.copyFile(cachedPath, destination);
+                    history.addHistoryEntry('download', asset, destination);
+                } catch (err) {
+                    failed.push({ id: asset.id, title: asset.title, message: err.message });
+                    continue;
+                }
             }
+            exported++;
         }
-    });
+
+        if (zip) {
+            await zip.finish();
+        }
+    } catch (err) {
+        if (zip) {
+            zip.abort();
+        }
+        throw err;
+    }
+
+    onProgress({ done: assets.length, total: assets.length, current: null, failed: failed.length });
+    return { exported, failed };
 }
 
 app.whenReady().then(() => {
     cleanTempDir();
-    createWindow();
+    settings.initSettings(app.getPath('userData'));
+    const initialSettings = settings.getSettings();
 
-    // Register global shortcut (Ctrl+Space)
-    const registered = globalShortcut.register('CommandOrControl+Space', () => {
-        toggleWindow();
+    initCatalog(app.getPath('userData'), initialSettings.providers);
+    initAssetCache(app.getPath('userData'), { maxBytes: initialSettings.assetCacheLimitMb * 1024 * 1024 });
+    applySettings(initialSettings, Object.keys(initialSettings));
+    settings.onSettingsChanged((values, changed) => {
+        applySettings(values, changed);
+        if (mainWindow) {
+            mainWindow.webContents.send('settings-changed', values);
+        }
+    });
+    favorites.initFavorites(app.getPath('userData'));
+    annotations.initAnnotations(app.getPath('userData'));
+    history.initHistory(app.getPath('userData'));
+    history.onHistoryChanged((entries) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('history-changed', entries);
+        }
     });
+    downloads.onTransfersChanged((transfer) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('transfer-updated', transfer);
+        }
+    });
+    handleAssetProtocol();
+    handleAppProtocol(path.join(__dirname, 'renderer'), () => {
+        pageMediaOrigins = getMediaOrigins();
+        return buildContentSecurityPolicy(pageMediaOrigins);
+    });
+    localLibrary.initLocalLibrary(app.getPath('userData'));
+    waveforms.initWaveforms(app.getPath('userData'));
+    thumbnails.initThumbnails(app.getPath('userData'));
+    fontInstall.initFontInstall(app.getPath('userData'));
+    renders.initRenders(app.getPath('userData'), (filePath) => history.getHistory().some((entry) => entry.path === filePath));
 
-    if (!registered) {
-        console.error('Failed to register global shortcut');
+    // rd-asset://asset/<id> is any known asset as a local file (cached on
+    // first use), so the renderer can read bytes without CORS or CSP trouble
+    addAssetResolver('asset', (id) => {
+        const asset = localLibrary.findLocalAsset(id) || findCatalogAsset(id);
+        return asset ? getAssetFile(asset) : null;
+    });
+    // rd-asset://stream/<id> is the same asset for previews that should not
+    // download it: files already here come from disk, others are streamed
+    addAssetResolver('stream', (id, request) => {
+        const asset = localLibrary.findLocalAsset(id) || findCatalogAsset(id);
+        if (!asset) return null;
+        return findLocalFile(asset) || streamRemoteAsset(asset, request.headers.get('Range'));
+    });
+    localLibrary.onLocalLibraryChanged((assets) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('local-assets-changed', assets);
+        }
+    });
+    onCacheChanged((assetIds) => {
+        if (mainWindow) {
+            mainWindow.webContents.send('asset-cache-changed', assetIds);
+        }
+    });
+    createWindow();
+
+    // Without a working shortcut the launcher could never be opened, so show
+    // it straight away and let the settings panel explain the conflict
+    shortcutError = bindGlobalShortcut(initialSettings.globalShortcut);
+    if (shortcutError) {
+        console.error('Failed to register global shortcut:', shortcutError);
+        mainWindow.once('ready-to-show', showWindow);
     }
 
     // IPC handlers
@@ -226,11 +615,43 @@ app.whenReady().then(() => {
         hideWindow();
     });
 
-    ipcMain.handle('download-asset', async (event, url, filename) => {
+    // Serve the last good catalog straight away and revalidate behind it.
+    // Only a first run with no cache has to wait for the network.
+    ipcMain.handle('get-catalog', async () => {
+        const cached = getCachedCatalog();
+        if (cached) {
+            refreshCatalogInBackground();
+            return { success: true, assets: cached.assets, sources: cached.sources, fetchedAt: cached.fetchedAt, fromCache: true };
+        }
+
+        try {
+            const { catalog } = await revalidateCatalog();
+            return { success: true, assets: catalog.assets, sources: catalog.sources, fetchedAt: catalog.fetchedAt, fromCache: false };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-source-status', () => {
+        return getSourceStatus();
+    });
+
+    // With `rendered` (a trimmed clip or converted image from the preview)
+    // that is saved instead of the original file
+    ipcMain.handle('download-asset', async (event, asset, rendered = null) => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+
         try {
-            const result = await dialog.showSaveDialog(mainWindow, {
-                defaultPath: filename,
-                filters: [{ name: 'All Files', extensions: ['*'] }]
+            const validRender = rendered ? renders.validateRender(rendered) : null;
+            const defaultPath = validRender ? renders.renderFilename(asset, validRender) : asset.filename;
+            const result = await showFileDialog('showSaveDialog', {
+                defaultPath,
+                filters: validRender
+                    ? [{ name: validRender.type === 'clip' ? 'WAV Audio' : 'Image', extensions: [path.extname(defaultPath).slice(1)] }]
+                    : [{ name: 'All Files', extensions: ['*'] }]
             });
 
             if (result.canceled || !result.filePath) {
@@ -238,7 +659,13 @@ app.whenReady().then(() => {
             }
 
             try {
-                await downloadToFile(url, result.filePath);
+                if (validRender) {
+                    await fs.promises.writeFile(result.filePath, validRender.data);
+                } else {
+                    const cachedPath = await getAssetFile(asset);
+                    await fs.promises.copyFile(cachedPath, result.filePath);
+                }
+                history.addHistoryEntry('download', asset, result.filePath);
                 return { success: true, path: result.filePath };
             } catch (err) {
                 return { success: false, message: err.message };
@@ -248,17 +675,494 @@ app.whenReady().then(() => {
         }
     });
 
-    // Copy to clipboard handler
-    ipcMain.handle('copy-to-clipboard', async (event, url, filename, ext) => {
+    // `format` is one of CLIPBOARD_FORMATS. Renders only exist as local
+    // files, so they have no URL to link to.
+    ipcMain.handle('copy-to-clipboard', async (event, asset, rendered = null, format = 'file') => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        if (!CLIPBOARD_FORMATS.includes(format)) {
+            return { success: false, message: `Unknown clipboard format "${format}"` };
+        }
+        if (rendered && !FILE_FORMATS.includes(format)) {
+            return { success: false, message: 'Rendered files can only be copied as a file, path or data URI' };
+        }
+        // Checked up front so a large asset is not downloaded just to fail
+        if (format === 'data-uri' && !rendered && asset.size > DATA_URI_MAX_BYTES) {
+            return { success: false, message: `Data URIs are limited to files up to ${DATA_URI_MAX_BYTES / 1024} KB` };
+        }
+
+        try {
+            let filePath = null;
+            if (rendered) {
+                filePath = await renders.saveRender(asset, renders.validateRender(rendered));
+            } else if (FILE_FORMATS.includes(format)) {
+                filePath = await getAssetFile(asset);
+            }
+
+            const result = await copyAs(format, { asset, url: shareableUrl(asset), filePath });
+            if (result.success) {
+                history.addHistoryEntry('copy', asset, filePath);
+            }
+            return result;
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // Image data rather than a file, for targets that only paste bitmaps.
+    // nativeImage cannot read WebP, so the renderer always sends PNG here.
+    ipcMain.handle('copy-image', (event, asset, rendered) => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+
+        try {
+            const image = renders.validateRender(rendered);
+            if (image.type !== 'image' || image.format !== 'png') {
+                throw new Error('Bitmap copies must be PNG');
+            }
+            const bitmap = nativeImage.createFromBuffer(image.data);
+            if (bitmap.isEmpty()) {
+                throw new Error('Could not read the image');
+            }
+            clipboard.writeImage(bitmap);
+            history.addHistoryEntry('copy', asset, null);
+            return { success: true, type: 'image' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // Re-copy a history entry, reusing its file when it is still on disk
+    ipcMain.handle('copy-from-history', async (event, entryId) => {
+        const entry = history.findHistoryEntry(entryId);
+        if (!entry) {
+            return { success: false, message: 'History entry not found' };
+        }
+
+        const reusable = entry.path && fs.existsSync(entry.path);
+        // A trimmed clip or exported image: the original is not a substitute
+        if (entry.path && !reusable && renders.isRenderPath(entry.path)) {
+            return { success: false, message: 'The rendered file is gone. Open the preview to render it again.' };
+        }
+        const invalid = reusable ? null : checkAsset(entry.asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+
+        try {
+            const filePath = reusable ? entry.path : await getAssetFile(entry.asset);
+            const result = await copyFileToClipboard(filePath);
+            if (result.success) {
+                history.addHistoryEntry('copy', entry.asset, filePath);
+            }
+            return result;
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('export-assets', async (event, assets, mode) => {
+        if (!Array.isArray(assets) || assets.length === 0 || !assets.every(isValidAsset)) {
+            return { success: false, message: 'Nothing to export' };
+        }
+        const invalid = assets.map(checkAsset).find(Boolean);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+
+        try {
+            let targetPath;
+            if (mode === 'zip') {
+                const result = await showFileDialog('showSaveDialog', {
+                    defaultPath: `renderdragon-assets-${assets.length}.zip`,
+                    filters: [{ name: 'ZIP Archive', extensions: ['zip'] }]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, message: 'Export canceled' };
+                }
+                targetPath = result.filePath;
+            } else {
+                const result = await showFileDialog('showOpenDialog', {
+                    title: `Export ${assets.length} assets`,
+                    properties: ['openDirectory', 'createDirectory']
+                });
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, message: 'Export canceled' };
+                }
+                targetPath = result.filePaths[0];
+            }
+
+            const report = await exportAssets(assets, mode, targetPath, (progress) => {
+                event.sender.send('export-progress', progress);
+            });
+
+            return { success: report.exported > 0, path: targetPath, ...report };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // Sent synchronously from the preload so the first tiles already know
+    // which asset URLs the page may load directly
+    ipcMain.on('get-content-policy', (event) => {
+        event.returnValue = { mediaOrigins: pageMediaOrigins || getMediaOrigins() };
+    });
+
+    ipcMain.handle('get-settings', () => {
+        return {
+            settings: settings.getSettings(),
+            schema: settings.getSettingsSchema(),
+            shortcutError
+        };
+    });
+
+    ipcMain.handle('update-settings', (event, patch) => {
+        try {
+            const schema = settings.getSettingsSchema();
+            const blocked = Object.keys(patch || {}).find((key) => schema[key] && schema[key].protected);
+            if (blocked) {
+                return { success: false, message: `${schema[blocked].label} can only be changed after confirming` };
+            }
+            return { success: true, settings: changeSettings({ ...patch }) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // New asset origins are confirmed in a native dialog the page cannot
+    // answer for itself; removing origins needs no confirmation
+    ipcMain.handle('set-allowed-origins', async (event, value) => {
+        try {
+            const origins = settings.validateSetting('extraAllowedOrigins', value);
+            const current = settings.getSettings().extraAllowedOrigins;
+            const added = origins.filter((origin) => !current.includes(origin));
+            const allowed = await confirmNewLocations(
+                `Allow downloads from ${added.length === 1 ? 'this origin' : 'these origins'}?`, added);
+            if (!allowed) {
+                return { success: false, message: 'Canceled' };
+            }
+            return { success: true, settings: changeSettings({ extraAllowedOrigins: origins }) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // A remote source allows every origin its catalog lists, so newly added
+    // or re-enabled remote locations are confirmed the same way
+    ipcMain.handle('set-providers', async (event, value) => {
+        try {
+            const providers = settings.validateSetting('providers', value);
+            const remoteLocations = (list) => list
+                .filter((provider) => provider.enabled && provider.type !== 'static')
+                .map((provider) => provider.location);
+            const current = remoteLocations(settings.getSettings().providers);
+            const added = [...new Set(remoteLocations(providers))].filter((location) => !current.includes(location));
+            const allowed = await confirmNewLocations(
+                `Load assets from ${added.length === 1 ? 'this source' : 'these sources'}?`, added);
+            if (!allowed) {
+                return { success: false, message: 'Canceled' };
+            }
+            return { success: true, settings: changeSettings({ providers }) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('reset-settings', () => {
+        try {
+            return { success: true, settings: changeSettings(settings.getDefaultSettings()) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-local-assets', () => {
+        return localLibrary.getLocalAssets();
+    });
+
+    ipcMain.handle('get-local-folders', () => {
+        return localLibrary.getLocalFolders();
+    });
+
+    ipcMain.handle('add-local-folder', async () => {
+        try {
+            const result = await showFileDialog('showOpenDialog', {
+                title: 'Add local library folder',
+                properties: ['openDirectory']
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, message: 'Canceled' };
+            }
+            return { success: true, folders: localLibrary.addLocalFolder(result.filePaths[0]) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('remove-local-folder', (event, folderId) => {
+        try {
+            return { success: true, folders: localLibrary.removeLocalFolder(folderId) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-waveform', (event, asset) => {
+        return isValidAsset(asset) ? waveforms.getWaveform(asset) : null;
+    });
+
+    ipcMain.handle('save-waveform', (event, asset, waveform) => {
+        if (!isValidAsset(asset)) {
+            return { success: false, message: 'Invalid asset' };
+        }
+        try {
+            waveforms.saveWaveform(asset, waveform);
+            return { success: true };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-video-thumbnail', (event, asset) => {
+        return isValidAsset(asset) ? thumbnails.getThumbnail(asset) : null;
+    });
+
+    ipcMain.handle('save-video-thumbnail', (event, asset, thumbnail) => {
+        if (!isValidAsset(asset)) {
+            return { success: false, message: 'Invalid asset' };
+        }
+        try {
+            thumbnails.saveThumbnail(asset, thumbnail);
+            return { success: true };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-font-info', async (event, asset) => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        try {
+            return { success: true, info: await readFontInfo(await getAssetFile(asset)) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // Archive listings, pretty-printed text and the target app of presets
+    ipcMain.handle('inspect-file', async (event, asset) => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        try {
+            return { success: true, info: await inspectFile(await getAssetFile(asset), asset.ext) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('get-font-install-status', async (event, asset) => {
+        if (!isValidAsset(asset)) {
+            return { success: false, message: 'Invalid asset' };
+        }
+        try {
+            return { success: true, ...await fontInstall.getFontInstallStatus(asset, findLocalFile(asset)) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('install-font', async (event, asset) => {
+        const invalid = checkAsset(asset);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        try {
+            return { success: true, ...await fontInstall.installFont(asset, await getAssetFile(asset)) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('uninstall-font', async (event, asset) => {
+        if (!isValidAsset(asset)) {
+            return { success: false, message: 'Invalid asset' };
+        }
+        try {
+            return { success: true, ...await fontInstall.uninstallFont(asset) };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    // The renderer asks for a tile's file as soon as it is pressed, so that a
+    // drag starting a moment later finds it on disk
+    // Fetches the files a drag is about to need, so they are on disk by the
+    // time the renderer asks for the drag itself
+    ipcMain.handle('prepare-drag', async (event, assets) => {
+        const invalid = checkDragAssets(assets);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        const results = await Promise.allSettled(assets.map((asset) => getAssetFile(asset)));
+        const failed = results.find((result) => result.status === 'rejected');
+        return failed ? { success: false, message: failed.reason.message } : { success: true };
+    });
+
+    // Native file drag out of the window. startDrag only works while the
+    // mouse button is down, so there is no waiting for downloads here: if a
+    // file is not on disk yet, the ids come back as `missing` and the
+    // renderer shows those tiles as still downloading.
+    ipcMain.handle('start-drag', (event, assets, icon) => {
+        const invalid = checkDragAssets(assets);
+        if (invalid) {
+            return { success: false, message: invalid };
+        }
+        if (typeof icon !== 'string' || !icon.startsWith('data:image/png;base64,') || icon.length > MAX_DRAG_ICON_CHARS) {
+            return { success: false, message: 'Invalid drag icon' };
+        }
+        const image = nativeImage.createFromDataURL(icon);
+        if (image.isEmpty()) {
+            return { success: false, message: 'Invalid drag icon' };
+        }
+
+        // Dropping into another app focuses it; the renderer calls end-drag
+        // (or the window regains focus) once the pointer is back
+        const files = assets.map(findLocalFile);
+        const missing = assets.filter((asset, index) => !files[index]).map((asset) => String(asset.id));
+        if (missing.length > 0) {
+            return { success: false, missing, message: 'Still downloading; drag again when it is ready' };
+        }
+        dragInProgress = true;
+        try {
+            event.sender.startDrag({ file: files[0], files, icon: image });
+            return { success: true, count: files.length };
+        } catch (error) {
+            dragInProgress = false;
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('end-drag', () => {
+        dragInProgress = false;
+    });
+
+    ipcMain.handle('list-transfers', () => {
+        return downloads.listTransfers();
+    });
+
+    ipcMain.handle('cancel-transfer', (event, transferId) => {
+        return downloads.cancelTransfer(transferId);
+    });
+
+    ipcMain.handle('clear-finished-transfers', () => {
+        return downloads.clearFinishedTransfers();
+    });
+
+    ipcMain.handle('get-history', () => {
+        return history.getHistory();
+    });
+
+    ipcMain.handle('record-preview', (event, asset) => {
+        if (isValidAsset(asset)) {
+            history.addHistoryEntry('preview', asset);
+        }
+    });
+
+    ipcMain.handle('clear-history', (event, action) => {
+        return history.clearHistory(action || null);
+    });
+
+    ipcMain.handle('get-cached-assets', () => {
+        return getCachedAssetIds();
+    });
+
+    ipcMain.handle('clear-asset-cache', () => {
         try {
-            const cleanFilename = sanitizeFilename(filename);
-            const tempPath = path.join(TEMP_DIR, cleanFilename);
+            clearAssetCache();
+            clearDerivedCaches();
+            return { success: true };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
 
-            // Download to file directly
-            await downloadToFile(url, tempPath);
+    // Favorites and collections. Every change answers with the full state.
+    const handleFavoritesChange = (channel, update) => {
+        ipcMain.handle(channel, (event, ...args) => {
+            try {
+                return { success: true, favorites: update(...args) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+    };
+
+    handleFavoritesChange('get-favorites', () => favorites.getFavorites());
+    handleFavoritesChange('set-favorite', (asset, favorite) => favorites.setFavorite(asset, favorite));
+    handleFavoritesChange('create-collection', (name) => favorites.createCollection(name));
+    handleFavoritesChange('rename-collection', (id, name) => favorites.renameCollection(id, name));
+    handleFavoritesChange('delete-collection', (id) => favorites.deleteCollection(id));
+    handleFavoritesChange('set-in-collection', (id, asset, member) => favorites.setInCollection(id, asset, member));
+    handleFavoritesChange('prune-favorites', (knownIds) => favorites.pruneFavorites(knownIds));
+
+    // Tags and notes. Changes answer with every annotation, like favorites.
+    const handleAnnotationsChange = (channel, update) => {
+        ipcMain.handle(channel, (event, ...args) => {
+            try {
+                return { success: true, annotations: update(...args) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+    };
+
+    handleAnnotationsChange('get-annotations', () => annotations.getAnnotations());
+    handleAnnotationsChange('set-annotation', (asset, annotation) => annotations.setAnnotation(asset, annotation || {}));
 
-            // Copy file to clipboard (always as file drop for all types)
-            return await copyFileToClipboard(tempPath);
+    ipcMain.handle('export-annotations', async () => {
+        try {
+            const result = await showFileDialog('showSaveDialog', {
+                title: 'Export tags and notes',
+                defaultPath: 'renderdragon-tags.json',
+                filters: [{ name: 'JSON', extensions: ['json'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: false, message: 'Canceled' };
+            }
+            await fs.promises.writeFile(result.filePath, JSON.stringify(annotations.exportAnnotations(), null, 2));
+            return { success: true, path: result.filePath };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    });
+
+    ipcMain.handle('import-annotations', async () => {
+        try {
+            const result = await showFileDialog('showOpenDialog', {
+                title: 'Import tags and notes',
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+                properties: ['openFile']
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, message: 'Canceled' };
+            }
+
+            let data;
+            try {
+                data = JSON.parse(await fs.promises.readFile(result.filePaths[0], 'utf8'));
+            } catch (error) {
+                return { success: false, message: 'The file is not valid JSON' };
+            }
+            const report = annotations.importAnnotations(data);
+            return { success: true, ...report, annotations: annotations.getAnnotations() };
         } catch (error) {
             return { success: false, message: error.message };
         }
@@ -272,6 +1176,7 @@ app.whenReady().then(() => {
 });
 
 app.on('will-quit', () => {
+    flushAssetCache();
     cleanTempDir();
     globalShortcut.unregisterAll();
 });
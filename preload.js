@@ -1,9 +1,62 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
+    contentPolicy: ipcRenderer.sendSync('get-content-policy'),
     hideWindow: () => ipcRenderer.invoke('hide-window'),
-    downloadAsset: (url, filename) => ipcRenderer.invoke('download-asset', url, filename),
-    copyToClipboard: (url, filename, ext) => ipcRenderer.invoke('copy-to-clipboard', url, filename, ext),
+    getCatalog: () => ipcRenderer.invoke('get-catalog'),
+    getSourceStatus: () => ipcRenderer.invoke('get-source-status'),
+    downloadAsset: (asset, rendered) => ipcRenderer.invoke('download-asset', asset, rendered),
+    copyToClipboard: (asset, rendered, format) => ipcRenderer.invoke('copy-to-clipboard', asset, rendered, format),
+    copyImage: (asset, rendered) => ipcRenderer.invoke('copy-image', asset, rendered),
+    getCachedAssets: () => ipcRenderer.invoke('get-cached-assets'),
+    clearAssetCache: () => ipcRenderer.invoke('clear-asset-cache'),
+    getFavorites: () => ipcRenderer.invoke('get-favorites'),
+    setFavorite: (asset, favorite) => ipcRenderer.invoke('set-favorite', asset, favorite),
+    createCollection: (name) => ipcRenderer.invoke('create-collection', name),
+    renameCollection: (id, name) => ipcRenderer.invoke('rename-collection', id, name),
+    deleteCollection: (id) => ipcRenderer.invoke('delete-collection', id),
+    setInCollection: (id, asset, member) => ipcRenderer.invoke('set-in-collection', id, asset, member),
+    pruneFavorites: (knownIds) => ipcRenderer.invoke('prune-favorites', knownIds),
+    getAnnotations: () => ipcRenderer.invoke('get-annotations'),
+    setAnnotation: (asset, annotation) => ipcRenderer.invoke('set-annotation', asset, annotation),
+    exportAnnotations: () => ipcRenderer.invoke('export-annotations'),
+    importAnnotations: () => ipcRenderer.invoke('import-annotations'),
+    exportAssets: (assets, mode) => ipcRenderer.invoke('export-assets', assets, mode),
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    updateSettings: (patch) => ipcRenderer.invoke('update-settings', patch),
+    setAllowedOrigins: (origins) => ipcRenderer.invoke('set-allowed-origins', origins),
+    setProviders: (providers) => ipcRenderer.invoke('set-providers', providers),
+    resetSettings: () => ipcRenderer.invoke('reset-settings'),
+    getLocalAssets: () => ipcRenderer.invoke('get-local-assets'),
+    getLocalFolders: () => ipcRenderer.invoke('get-local-folders'),
+    addLocalFolder: () => ipcRenderer.invoke('add-local-folder'),
+    removeLocalFolder: (folderId) => ipcRenderer.invoke('remove-local-folder', folderId),
+    getWaveform: (asset) => ipcRenderer.invoke('get-waveform', asset),
+    saveWaveform: (asset, waveform) => ipcRenderer.invoke('save-waveform', asset, waveform),
+    getVideoThumbnail: (asset) => ipcRenderer.invoke('get-video-thumbnail', asset),
+    saveVideoThumbnail: (asset, thumbnail) => ipcRenderer.invoke('save-video-thumbnail', asset, thumbnail),
+    getFontInfo: (asset) => ipcRenderer.invoke('get-font-info', asset),
+    inspectFile: (asset) => ipcRenderer.invoke('inspect-file', asset),
+    getFontInstallStatus: (asset) => ipcRenderer.invoke('get-font-install-status', asset),
+    installFont: (asset) => ipcRenderer.invoke('install-font', asset),
+    uninstallFont: (asset) => ipcRenderer.invoke('uninstall-font', asset),
+    prepareDrag: (assets) => ipcRenderer.invoke('prepare-drag', assets),
+    startDrag: (assets, icon) => ipcRenderer.invoke('start-drag', assets, icon),
+    endDrag: () => ipcRenderer.invoke('end-drag'),
+    listTransfers: () => ipcRenderer.invoke('list-transfers'),
+    cancelTransfer: (transferId) => ipcRenderer.invoke('cancel-transfer', transferId),
+    clearFinishedTransfers: () => ipcRenderer.invoke('clear-finished-transfers'),
+    getHistory: () => ipcRenderer.invoke('get-history'),
+    recordPreview: (asset) => ipcRenderer.invoke('record-preview', asset),
+    copyFromHistory: (entryId) => ipcRenderer.invoke('copy-from-history', entryId),
+    clearHistory: (action) => ipcRenderer.invoke('clear-history', action),
     onWindowShown: (callback) => ipcRenderer.on('window-shown', callback),
-    onWindowHidden: (callback) => ipcRenderer.on('window-hidden', callback)
+    onWindowHidden: (callback) => ipcRenderer.on('window-hidden', callback),
+    onCatalogUpdated: (callback) => ipcRenderer.on('catalog-updated', callback),
+    onAssetCacheChanged: (callback) => ipcRenderer.on('asset-cache-changed', callback),
+    onHistoryChanged: (callback) => ipcRenderer.on('history-changed', callback),
+    onExportProgress: (callback) => ipcRenderer.on('export-progress', callback),
+    onTransferUpdated: (callback) => ipcRenderer.on('transfer-updated', callback),
+    onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', callback),
+    onLocalAssetsChanged: (callback) => ipcRenderer.on('local-assets-changed', callback)
 });
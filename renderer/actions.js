@@ -0,0 +1,331 @@
+// ===== Actions =====
+// Everything the keyboard and the command palette can do, in one list. Each
+// action has default shortcuts in Electron accelerator form (the format
+// acceleratorFromEvent produces); the keyBindings setting replaces them per
+// action, and an empty list leaves the action to the palette.
+//   { id, title, keys, run(e), when?(), inInputs?, confirm? }
+// `when` hides an action that has nothing to act on; `inInputs` lets its
+// shortcut fire while typing in a text field. `confirm` says what a
+// destructive action does; it only runs once that has been confirmed.
+
+const COPY_ACTION_TITLES = {
+    file: 'Copy focused asset',
+    url: 'Copy URL of focused asset',
+    markdown: 'Copy focused asset as Markdown / HTML',
+    path: 'Copy local path of focused asset',
+    'data-uri': 'Copy focused asset as a data URI'
+};
+
+// Same modifiers as copyFormatFromEvent
+const COPY_ACTION_KEYS = {
+    file: ['CommandOrControl+C'],
+    url: ['CommandOrControl+Shift+C'],
+    markdown: ['CommandOrControl+Alt+C'],
+    path: ['CommandOrControl+Alt+Shift+C']
+};
+
+const actions = [];
+
+function registerAction(action) {
+    actions.push({ keys: [], when: () => true, ...action });
+}
+
+function getActions() {
+    return actions;
+}
+
+function findAction(id) {
+    return actions.find(action => action.id === id) || null;
+}
+
+function getActionKeys(action) {
+    const overrides = appSettings.keyBindings || {};
+    return Array.isArray(overrides[action.id]) ? overrides[action.id] : action.keys;
+}
+
+// "CommandOrControl+Shift+C" -> "Ctrl+Shift+C", or "Cmd+Shift+C" on macOS
+function formatShortcut(accelerator) {
+    const command = navigator.platform.startsWith('Mac') ? 'Cmd' : 'Ctrl';
+    return accelerator.replace('CommandOrControl', command);
+}
+
+// Every entry point runs actions through here, so none can skip `confirm`
+function runAction(action, e = null, { confirmed = false } = {}) {
+    if (!action.when()) return false;
+    if (action.confirm && !confirmed) {
+        confirmInPalette(action);
+        return true;
+    }
+    action.run(e);
+    return true;
+}
+
+// The action bound to a keydown, if any. Returns true when one ran.
+function runShortcut(e, { typing = false } = {}) {
+    const accelerator = acceleratorFromEvent(e);
+    if (!accelerator) return false;
+
+    const action = actions.find(item =>
+        (!typing || item.inInputs) && getActionKeys(item).includes(accelerator) && item.when()
+    );
+    if (!action) return false;
+
+    e.preventDefault();
+    return runAction(action, e);
+}
+
+function getFocusedAsset() {
+    return filteredAssets[focusedIndex] || null;
+}
+
+function isPreviewOpen() {
+    return previewModal.classList.contains('active');
+}
+
+// Grid moves; Shift extends the multi-selection from where the focus started
+function focusAction(id, title, keys, target) {
+    registerAction({
+        id,
+        title,
+        keys: [...keys, ...keys.map(key => `Shift+${key}`)],
+        when: () => filteredAssets.length > 0 && !isPreviewOpen(),
+        run: (e) => {
+            const extend = !!(e && e.shiftKey);
+            if (extend && selectionAnchor < 0) {
+                selectionAnchor = Math.max(focusedIndex, 0);
+            }
+            const index = target(getColumnsCount(), filteredAssets.length - 1);
+            moveFocus(Math.min(Math.max(index, 0), filteredAssets.length - 1), extend);
+        }
+    });
+}
+
+function focusedAssetAction(action) {
+    registerAction({
+        ...action,
+        when: () => !!getFocusedAsset() && !isPreviewOpen(),
+        run: (e) => action.run(getFocusedAsset(), e)
+    });
+}
+
+function setupActions() {
+    registerAction({
+        id: 'palette.open',
+        title: 'Command palette',
+        keys: ['CommandOrControl+K', 'CommandOrControl+Shift+P'],
+        inInputs: true,
+        when: () => !isCommandPaletteOpen() && !isSettingsOpen(),
+        run: () => openCommandPalette()
+    });
+
+    registerAction({
+        id: 'window.back',
+        title: 'Close preview, clear selection or hide window',
+        keys: ['Esc'],
+        inInputs: true,
+        run: () => {
+            if (isSettingsOpen()) {
+                toggleSettingsPanel(false);
+            } else if (isPreviewOpen()) {
+                hidePreview();
+            } else if (selectedAssets.size > 0) {
+                clearSelection();
+            } else {
+                window.api.hideWindow();
+            }
+        }
+    });
+
+    registerAction({
+        id: 'search.focus',
+        title: 'Focus search',
+        keys: ['CommandOrControl+F', '/'],
+        when: () => !isPreviewOpen(),
+        run: () => {
+            searchInput.focus();
+            searchInput.select();
+        }
+    });
+
+    focusAction('focus.right', 'Focus next asset', ['Right'], () => focusedIndex + 1);
+    focusAction('focus.left', 'Focus previous asset', ['Left'], () => focusedIndex - 1);
+    focusAction('focus.down', 'Focus asset below', ['Down'], (cols) => focusedIndex + cols);
+    focusAction('focus.up', 'Focus asset above', ['Up'], (cols) => focusedIndex - cols);
+    focusAction('focus.page-down', 'Page down', ['PageDown'], (cols) => Math.max(focusedIndex, 0) + cols * getPageRows());
+    focusAction('focus.page-up', 'Page up', ['PageUp'], (cols) => focusedIndex - cols * getPageRows());
+    focusAction('focus.first', 'Focus first result', ['Home'], () => 0);
+    focusAction('focus.last', 'Focus last result', ['End'], (cols, last) => last);
+
+    focusedAssetAction({ id: 'asset.preview', title: 'Preview focused asset', keys: ['Enter'], run: (asset) => showPreview(asset) });
+    focusedAssetAction({
+        id: 'asset.download',
+        title: 'Download focused asset',
+        keys: ['CommandOrControl+S', 'CommandOrControl+D'],
+        run: (asset) => downloadAsset(asset)
+    });
+    focusedAssetAction({ id: 'asset.favorite', title: 'Favorite focused asset', run: (asset) => toggleFavorite(asset) });
+
+    COPY_FORMATS.forEach(({ format }) => {
+        focusedAssetAction({
+            id: `copy.${format}`,
+            title: COPY_ACTION_TITLES[format],
+            keys: COPY_ACTION_KEYS[format] || [],
+            run: (asset) => copyAsset(asset, null, format)
+        });
+    });
+
+    registerAction({
+        id: 'selection.all',
+        title: 'Select all results',
+        keys: ['CommandOrControl+A'],
+        when: () => filteredAssets.length > 0 && !isPreviewOpen(),
+        run: () => selectAllResults()
+    });
+    registerAction({
+        id: 'selection.clear',
+        title: 'Clear selection',
+        when: () => selectedAssets.size > 0,
+        run: () => clearSelection()
+    });
+
+    filterBtns.forEach(btn => {
+        const category = btn.dataset.category;
+        registerAction({
+            id: `category.${category}`,
+            title: `Switch to ${btn.textContent.trim().toLowerCase()}`,
+            run: () => selectCategory(category)
+        });
+    });
+
+    registerAction({
+        id: 'settings.open',
+        title: 'Open settings',
+        keys: ['CommandOrControl+,'],
+        inInputs: true,
+        run: () => toggleSettingsPanel(true)
+    });
+    registerAction({
+        id: 'tags.import',
+        title: 'Import tags and notes',
+        run: () => {
+            toggleSettingsPanel(true);
+            importTagsAndNotes();
+        }
+    });
+    registerAction({
+        id: 'tags.export',
+        title: 'Export tags and notes',
+        run: () => {
+            toggleSettingsPanel(true);
+            exportTagsAndNotes();
+        }
+    });
+    registerAction({ id: 'transfers.toggle', title: 'Show or hide transfers', run: () => toggleTransfersPanel() });
+    registerAction({
+        id: 'cache.clear',
+        title: 'Clear offline cache',
+        confirm: 'Removes every downloaded file kept for offline use, and saved thumbnails and waveforms',
+        run: () => clearOfflineCache()
+    });
+    registerAction({ id: 'window.hide', title: 'Hide window', run: () => window.api.hideWindow() });
+}
+
+async function clearOfflineCache() {
+    const result = await window.api.clearAssetCache();
+    if (!result.success) {
+        console.error('Failed to clear the offline cache:', result.message);
+    }
+}
+
+// ===== Shortcut Editor =====
+// Settings section listing every action. Focus a binding and press keys to
+// replace it; Backspace leaves the action without a shortcut. A combination
+// moves away from whichever action had it before.
+function createKeyBindingsSection() {
+    const overrides = appSettings.keyBindings || {};
+    return el('section', { className: 'settings-section key-bindings' },
+        el('h3', {}, 'Keyboard shortcuts'),
+        ...actions.map(action => {
+            const keys = getActionKeys(action);
+            return el('div', { className: 'setting-row' },
+                el('label', {}, action.title),
+                el('div', { className: 'setting-control' },
+                    el('button', {
+                        className: 'binding-input',
+                        dataset: { action: action.id },
+                        title: 'Click, then press a key combination; Backspace removes it'
+                    }, ...(keys.length > 0
+                        ? keys.map(key => el('kbd', {}, formatShortcut(key)))
+                        : [el('span', { className: 'binding-none' }, 'None')])),
+                    el('button', {
+                        className: 'selection-btn binding-reset',
+                        dataset: { action: action.id },
+                        disabled: !Array.isArray(overrides[action.id])
+                    }, 'Reset')
+                )
+            );
+        }),
+        el('div', { className: 'setting-error key-bindings-error' })
+    );
+}
+
+function refreshKeyBindingsSection() {
+    const section = settingsPanel.querySelector('.key-bindings');
+    if (section) {
+        section.replaceWith(createKeyBindingsSection());
+    }
+}
+
+async function saveKeyBinding(actionId, keys) {
+    const next = { ...(appSettings.keyBindings || {}) };
+    if (keys === null) {
+        delete next[actionId];
+    } else {
+        actions.forEach(action => {
+            const current = getActionKeys(action);
+            if (action.id !== actionId && current.some(key => keys.includes(key))) {
+                next[action.id] = current.filter(key => !keys.includes(key));
+            }
+        });
+        next[actionId] = keys;
+    }
+
+    const result = await window.api.updateSettings({ keyBindings: next });
+    if (!result.success) {
+        settingsPanel.querySelector('.key-bindings-error').textContent = result.message;
+        return;
+    }
+    applyRendererSettings(result.settings);
+    refreshKeyBindingsSection();
+    settingsPanel.querySelector(`.binding-input[data-action="${actionId}"]`)?.focus();
+}
+
+function setupKeyBindingEditor() {
+    settingsPanel.addEventListener('click', (e) => {
+        const reset = e.target.closest('.binding-reset');
+        if (reset) {
+            saveKeyBinding(reset.dataset.action, null);
+        }
+    });
+
+    settingsPanel.addEventListener('keydown', (e) => {
+        const recorder = e.target.closest('.binding-input');
+        if (!recorder || e.key === 'Tab') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            recorder.blur();
+            return;
+        }
+        if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+            saveKeyBinding(recorder.dataset.action, []);
+            return;
+        }
+
+        const accelerator = acceleratorFromEvent(e);
+        if (accelerator) {
+            saveKeyBinding(recorder.dataset.action, [accelerator]);
+        }
+    });
+}
@@ -0,0 +1,275 @@
+// ===== Tags & Notes =====
+// The team's own tags and notes per asset. State lives in the main process
+// (userData/annotations.json) and every change comes back as the full set,
+// like favorites. Tiles show tags as chips, the search box filters on them
+// with #tag, and the preview has the editor.
+
+const NOTE_SAVE_DELAY_MS = 600;
+
+let annotationsById = {};
+let annotatedAsset = null;
+let noteSaveTimer = null;
+
+const previewAnnotations = document.getElementById('previewAnnotations');
+
+async function loadAnnotations() {
+    try {
+        applyAnnotationsResult(await window.api.getAnnotations());
+    } catch (error) {
+        console.error('Failed to load tags and notes:', error);
+    }
+}
+
+function applyAnnotationsResult(result) {
+    if (!result.success) {
+        setAnnotationError(result.message);
+        return false;
+    }
+
+    annotationsById = result.annotations;
+    gridTiles.forEach(tile => {
+        const asset = getTileAsset(tile);
+        if (asset) renderTileTags(tile, asset);
+    });
+    if (annotatedAsset) {
+        renderEditorTags(annotatedAsset);
+    }
+    if (queryUsesAnnotations()) {
+        filterAssets({ preserveScroll: true });
+    }
+    return true;
+}
+
+function getAnnotation(asset) {
+    const id = String(asset.id);
+    return Object.hasOwn(annotationsById, id) ? annotationsById[id] : null;
+}
+
+function getAssetTags(asset) {
+    const annotation = getAnnotation(asset);
+    return annotation ? annotation.tags : [];
+}
+
+function getAssetNote(asset) {
+    const annotation = getAnnotation(asset);
+    return annotation ? annotation.note : '';
+}
+
+// Every tag in use, for suggestions
+function getKnownTags() {
+    const tags = new Set();
+    Object.values(annotationsById).forEach(annotation => annotation.tags.forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+// Whether the current results depend on tags or notes
+function queryUsesAnnotations() {
+    const query = parseQuery(getAssetSearchText().trim());
+    return query.tags.length > 0 || query.excludedTags.length > 0 ||
+        query.phrases.length > 0 || query.excludedTerms.length > 0;
+}
+
+function searchByTag(tag) {
+    searchInput.value = `#${tag}`;
+    filterAssets();
+}
+
+async function saveAnnotation(asset, changes) {
+    const annotation = { tags: getAssetTags(asset), note: getAssetNote(asset), ...changes };
+    try {
+        if (applyAnnotationsResult(await window.api.setAnnotation(assetRef(asset), annotation))) {
+            setAnnotationError(null);
+        }
+    } catch (error) {
+        console.error('Failed to save tags and notes:', error);
+    }
+}
+
+// ===== Tile Chips =====
+function createTagChips(asset) {
+    const tags = getAssetTags(asset);
+    if (tags.length === 0) return null;
+
+    return el('div', { className: 'asset-tags' },
+        ...tags.map(tag => el('button', { className: 'tag-chip', title: `Show assets tagged #${tag}`, dataset: { tag } }, `#${tag}`))
+    );
+}
+
+function renderTileTags(tile, asset) {
+    tile.querySelector('.asset-tags')?.remove();
+    const chips = createTagChips(asset);
+    if (chips) {
+        tile.querySelector('.asset-meta').after(chips);
+    }
+}
+
+// ===== Preview Editor =====
+function renderAnnotationEditor(asset) {
+    flushNoteSave();
+    annotatedAsset = asset;
+
+    const tagInput = el('input', {
+        className: 'tag-input',
+        placeholder: 'Add tag…',
+        spellcheck: false
+    });
+    tagInput.setAttribute('list', 'annotationTagSuggestions');
+
+    previewAnnotations.replaceChildren(
+        el('div', { className: 'annotation-tags' }, el('div', { className: 'annotation-chips' }), tagInput),
+        el('datalist', { id: 'annotationTagSuggestions' }),
+        el('textarea', { className: 'note-input', placeholder: 'Notes', rows: 2, value: getAssetNote(asset) }),
+        el('div', { className: 'setting-error annotation-error' })
+    );
+    renderEditorTags(asset);
+}
+
+// Only the chips and suggestions: the inputs keep focus and what is typed
+function renderEditorTags(asset) {
+    const chips = previewAnnotations.querySelector('.annotation-chips');
+    if (!chips) return;
+
+    chips.replaceChildren(...getAssetTags(asset).map(tag =>
+        el('span', { className: 'tag-chip', dataset: { tag } },
+            `#${tag}`,
+            el('button', { className: 'tag-remove', title: `Remove #${tag}` }, '×')
+        )
+    ));
+    previewAnnotations.querySelector('#annotationTagSuggestions').replaceChildren(
+        ...getKnownTags().map(tag => el('option', { value: tag }))
+    );
+}
+
+function setAnnotationError(message) {
+    const error = previewAnnotations.querySelector('.annotation-error');
+    if (error) {
+        error.textContent = message || '';
+    } else if (message) {
+        console.error('Tags update failed:', message);
+    }
+}
+
+function flushNoteSave() {
+    if (noteSaveTimer === null) return;
+    clearTimeout(noteSaveTimer);
+    noteSaveTimer = null;
+
+    const input = previewAnnotations.querySelector('.note-input');
+    if (annotatedAsset && input && input.value.trim() !== getAssetNote(annotatedAsset)) {
+        saveAnnotation(annotatedAsset, { note: input.value });
+    }
+}
+
+function clearAnnotationEditor() {
+    flushNoteSave();
+    annotatedAsset = null;
+    previewAnnotations.replaceChildren();
+}
+
+function addTagsFromInput(input) {
+    // "horror, used-in-ep12" adds both
+    const added = input.value.split(/[\s,]+/).map(tag => tag.replace(/^#+/, '').toLowerCase()).filter(Boolean);
+    input.value = '';
+    if (added.length === 0 || !annotatedAsset) return;
+
+    const tags = getAssetTags(annotatedAsset);
+    saveAnnotation(annotatedAsset, { tags: [...tags, ...added.filter(tag => !tags.includes(tag))] });
+}
+
+function setupAnnotations() {
+    previewAnnotations.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.tag-remove');
+        if (!removeBtn || !annotatedAsset) return;
+
+        const tag = removeBtn.closest('.tag-chip').dataset.tag;
+        saveAnnotation(annotatedAsset, { tags: getAssetTags(annotatedAsset).filter(item => item !== tag) });
+    });
+
+    previewAnnotations.addEventListener('keydown', (e) => {
+        const input = e.target.closest('.tag-input');
+        if (!input || !annotatedAsset) return;
+
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTagsFromInput(input);
+        } else if (e.key === 'Backspace' && !input.value) {
+            const tags = getAssetTags(annotatedAsset);
+            if (tags.length > 0) {
+                saveAnnotation(annotatedAsset, { tags: tags.slice(0, -1) });
+            }
+        }
+    });
+
+    // Picking a suggestion from the list fires change without a key press
+    previewAnnotations.addEventListener('change', (e) => {
+        const input = e.target.closest('.tag-input');
+        if (input && getKnownTags().includes(input.value.toLowerCase())) {
+            addTagsFromInput(input);
+        }
+    });
+
+    previewAnnotations.addEventListener('input', (e) => {
+        if (!e.target.closest('.note-input')) return;
+        clearTimeout(noteSaveTimer);
+        noteSaveTimer = setTimeout(flushNoteSave, NOTE_SAVE_DELAY_MS);
+    });
+
+    previewAnnotations.addEventListener('focusout', (e) => {
+        if (e.target.closest('.note-input')) {
+            flushNoteSave();
+        }
+    });
+
+    settingsPanel.addEventListener('click', (e) => {
+        if (e.target.closest('.import-annotations')) {
+            importTagsAndNotes();
+        } else if (e.target.closest('.export-annotations')) {
+            exportTagsAndNotes();
+        }
+    });
+}
+
+// ===== Import / Export =====
+function createAnnotationsSection() {
+    return el('section', { className: 'settings-section' },
+        el('h3', {}, 'Tags and notes'),
+        el('p', { className: 'annotations-hint' },
+            "Share tag sets with teammates. Importing adds their tags to yours and fills in notes you don't have."),
+        el('div', { className: 'annotations-status', id: 'annotationsStatus' }),
+        el('div', {},
+            el('button', { className: 'selection-btn import-annotations' }, 'Import…'),
+            ' ',
+            el('button', { className: 'selection-btn export-annotations' }, 'Export…')
+        )
+    );
+}
+
+function setAnnotationsStatus(message, isError = false) {
+    const status = document.getElementById('annotationsStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+async function exportTagsAndNotes() {
+    const result = await window.api.exportAnnotations();
+    if (result.success) {
+        setAnnotationsStatus(`Saved to ${result.path}`);
+    } else if (result.message !== 'Canceled') {
+        setAnnotationsStatus(result.message, true);
+    }
+}
+
+async function importTagsAndNotes() {
+    const result = await window.api.importAnnotations();
+    if (!result.success) {
+        if (result.message !== 'Canceled') {
+            setAnnotationsStatus(result.message, true);
+        }
+        return;
+    }
+
+    applyAnnotationsResult(result);
+    const skipped = result.skipped > 0 ? `, ${result.skipped} unreadable ${result.skipped === 1 ? 'entry' : 'entries'} skipped` : '';
+    setAnnotationsStatus(`Updated ${result.updated} ${result.updated === 1 ? 'asset' : 'assets'}${skipped}`);
+}
@@ -1,6 +1,4 @@
 // ===== Constants =====
-const API_BASE = 'https://hamburger-api.powernplant101-c6b.workers.dev';
-const ITEMS_PER_PAGE = 30;
 
 // Category shortcuts mapping
 const CATEGORY_SHORTCUTS = {
@@ -10,24 +8,32 @@ const CATEGORY_SHORTCUTS = {
     'm': 'music',      // M for music (primary)
     'c': 'mcicons',    // C for minecraft icons
     'p': 'presets',
-    's': 'sfx'
+    's': 'sfx',
+    '*': 'favorites',
+    'r': 'recent'
 };
 
+// Filter-button categories that select by user state rather than asset.category
+const PSEUDO_CATEGORIES = ['favorites', 'recent'];
+
 // ===== State =====
+let remoteAssets = [];
+let knownCategories = new Set(Object.values(CATEGORY_SHORTCUTS));
 let allAssets = [];
 let filteredAssets = [];
-let displayedCount = 0;
 let currentCategory = 'all';
-let isLoading = false;
 let searchTimeout = null;
 let focusedIndex = -1;
+let cachedAssetIds = new Set();
+let searchMatches = new Map(); // asset -> title character indices matched by the query
 
 // ===== DOM Elements =====
 const searchInput = document.getElementById('searchInput');
+const searchBox = document.querySelector('.search-box');
+const queryErrors = document.getElementById('queryErrors');
 const closeBtn = document.getElementById('closeBtn');
 const assetsGrid = document.getElementById('assetsGrid');
 const assetsContainer = document.getElementById('assetsContainer');
-const loadingIndicator = document.getElementById('loadingIndicator');
 const resultsCount = document.getElementById('resultsCount');
 const filterBtns = document.querySelectorAll('.filter-btn');
 const previewModal = document.getElementById('previewModal');
@@ -36,294 +42,479 @@ const previewClose = document.getElementById('previewClose');
 
 // ===== Initialize =====
 document.addEventListener('DOMContentLoaded', () => {
+    loadSettings();
     fetchAllAssets();
+    loadCachedAssets();
+    loadFavorites();
+    loadAnnotations();
+    loadHistory();
+    loadTransfers();
+    loadLocalAssets();
     setupEventListeners();
+    setupGrid();
+    setupActions();
+    setupCommandPalette();
+    setupCollectionBar();
+    setupHistoryBar();
+    setupPreviewToolbar();
+    setupAnnotations();
+    setupSelection();
+    setupTransfers();
+    setupSettings();
+    setupKeyBindingEditor();
+    setupLocalLibrary();
+    setupProviders();
+    setupCopyMenu();
+    setupFontInspector();
+    setupDragOut();
 });
 
 // ===== API Functions =====
 async function fetchAllAssets() {
     try {
         resultsCount.textContent = 'Loading assets...';
-        const response = await fetch(`${API_BASE}/all`);
-        const data = await response.json();
-
-        // Flatten all categories into single array, excluding 'resources'
-        allAssets = [];
-        for (const [category, files] of Object.entries(data.categories)) {
-            if (category === 'resources') continue; // Skip resources category
-            files.forEach(file => {
-                allAssets.push({
-                    ...file,
-                    category: category
-                });
-            });
+        // The main process answers from its on-disk cache when it has one
+        // and pushes a fresh copy through onCatalogUpdated once revalidated
+        const result = await window.api.getCatalog();
+        if (!result.success) {
+            throw new Error(result.message);
         }
 
-        // Sort by title
-        allAssets.sort((a, b) => a.title.localeCompare(b.title));
-
-        filterAssets();
+        setCatalog(result.assets, result.sources);
     } catch (error) {
         console.error('Failed to fetch assets:', error);
         resultsCount.textContent = 'Failed to load assets. Check your connection.';
     }
 }
 
-// ===== Filtering =====
-function filterAssets() {
-    const rawQuery = searchInput.value.trim();
-    let category = currentCategory;
-    let searchQuery = rawQuery;
-
-    // Parse category shortcut from query (e.g., !M for music)
-    const shortcutMatch = rawQuery.match(/^!([a-z])\s*/i);
-    if (shortcutMatch) {
-        const shortcut = shortcutMatch[1].toLowerCase();
-        if (CATEGORY_SHORTCUTS[shortcut]) {
-            category = CATEGORY_SHORTCUTS[shortcut];
-            searchQuery = rawQuery.slice(shortcutMatch[0].length);
-
-            // Update filter buttons to reflect shortcut selection
-            filterBtns.forEach(btn => {
-                btn.classList.toggle('active', btn.dataset.category === category);
-            });
-        }
+async function loadCachedAssets() {
+    try {
+        setCachedAssets(await window.api.getCachedAssets());
+    } catch (error) {
+        console.error('Failed to load offline assets:', error);
     }
+}
 
-    const query = searchQuery.toLowerCase();
+function setCachedAssets(assetIds) {
+    cachedAssetIds = new Set(assetIds.map(String));
+    assetsGrid.querySelectorAll('.asset-tile').forEach(tile => {
+        tile.classList.toggle('cached', cachedAssetIds.has(tile.dataset.id));
+    });
+}
+
+// The main process merges every source provider into one flat list, with
+// categories already mapped and non-default ids namespaced
+function setCatalog(assets, sources = []) {
+    remoteAssets = assets;
+    remoteAssets.forEach(indexAssetForSearch);
+    setSourceStatus(sources);
+
+    rebuildAllAssets();
+}
+
+// Catalog and local library files share one list, sorted by title
+function rebuildAllAssets() {
+    allAssets = [...remoteAssets, ...localAssets];
+    allAssets.sort((a, b) => a.title.localeCompare(b.title));
+    knownCategories = new Set([...Object.values(CATEGORY_SHORTCUTS), ...allAssets.map(asset => asset.category)]);
+
+    filterAssets({ preserveScroll: true });
+}
+
+// Categories accepted by cat: - the built-in ones plus whatever sources map to
+function getKnownCategories() {
+    return [...knownCategories];
+}
 
-    filteredAssets = allAssets.filter(asset => {
+// ===== Filtering =====
+// Results changed by the user start from the top; background refreshes
+// (catalog updates, library changes, new history) pass preserveScroll so the
+// grid stays where it is.
+function filterAssets({ preserveScroll = false } = {}) {
+    // Focus and the Shift-selection anchor follow their asset into the new results
+    const focusedAsset = filteredAssets[focusedIndex] || null;
+    const anchorAsset = filteredAssets[selectionAnchor] || null;
+
+    const query = parseQuery(getAssetSearchText().trim());
+    renderQueryErrors(query.errors);
+
+    // Categories named in the query win over the filter buttons
+    const categories = query.categories.length > 0
+        ? query.categories
+        : (currentCategory === 'all' ? [] : [currentCategory]);
+    syncFilterButtons(categories);
+
+    const realCategories = categories.filter(category => !PSEUDO_CATEGORIES.includes(category));
+    const favoritesOnly = categories.includes('favorites');
+    const excludeFavorites = query.excludedCategories.includes('favorites');
+    const recentOnly = categories.includes('recent');
+    renderCollectionBar(favoritesOnly);
+    renderHistoryBar(recentOnly);
+
+    const scores = new Map();
+    searchMatches = new Map();
+
+    // The Recent view lists history in recency order instead of the catalog
+    const candidates = recentOnly ? getRecentAssets() : allAssets;
+    filteredAssets = candidates.filter(asset => {
         // Category filter
-        if (category !== 'all' && asset.category !== category) {
+        if (realCategories.length > 0 && !realCategories.includes(asset.category)) {
+            return false;
+        }
+
+        if (favoritesOnly && !matchesFavoritesView(asset)) {
+            return false;
+        }
+
+        if (excludeFavorites && isFavorite(asset)) {
+            return false;
+        }
+
+        if (!matchesQueryFilters(asset, query)) {
             return false;
         }
 
         // Search query filter
-        if (query) {
-            return asset.title.toLowerCase().includes(query) ||
-                asset.filename.toLowerCase().includes(query);
+        const titleIndices = findPhraseIndices(asset.title, query.phrases);
+        if (query.terms.length > 0) {
+            const result = scoreAsset(asset, query.terms);
+            if (!result) return false;
+            scores.set(asset, result.score);
+            titleIndices.push(...result.titleIndices);
         }
+        searchMatches.set(asset, titleIndices);
 
         return true;
     });
 
-    // Reset and render
-    displayedCount = 0;
-    focusedIndex = -1;
-    assetsGrid.innerHTML = '';
-    loadMoreAssets();
+    // Order by relevance; the candidate order (alphabetical or recency) breaks ties
+    if (query.terms.length > 0) {
+        filteredAssets.sort((a, b) => scores.get(b) - scores.get(a));
+    }
 
-    // Update results count
-    updateResultsCount();
-}
+    focusedIndex = indexOfAsset(focusedAsset);
+    selectionAnchor = indexOfAsset(anchorAsset);
+    if (!preserveScroll) {
+        assetsContainer.scrollTop = 0;
+    }
+    resetGrid();
+    if (focusedIndex >= 0 && !preserveScroll) {
+        scrollToIndex(focusedIndex);
+    }
 
-function updateResultsCount() {
-    const categoryText = currentCategory === 'all' ? 'all categories' : currentCategory;
-    resultsCount.textContent = `${filteredAssets.length} assets in ${categoryText}`;
+    // Update results count
+    updateResultsCount(categories);
+    renderSelectionBar();
+    renderFontBar(filteredAssets.some(isFontAsset));
 }
 
-// ===== Lazy Loading =====
-function loadMoreAssets() {
-    if (isLoading || displayedCount >= filteredAssets.length) {
-        loadingIndicator.classList.remove('visible');
-        return;
+function selectCategory(category) {
+    filterBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.category === category));
+    currentCategory = category;
+    if (currentCategory !== 'favorites') {
+        activeCollectionId = null;
+    }
+    if (currentCategory !== 'recent') {
+        historyActionFilter = null;
     }
 
-    isLoading = true;
-    loadingIndicator.classList.add('visible');
+    // Clear category shortcuts and cat: filters from search if present
+    searchInput.value = stripCategoryTokens(searchInput.value);
 
-    const endIndex = Math.min(displayedCount + ITEMS_PER_PAGE, filteredAssets.length);
-    const fragment = document.createDocumentFragment();
+    filterAssets();
+}
 
-    for (let i = displayedCount; i < endIndex; i++) {
-        const asset = filteredAssets[i];
-        const tile = createAssetTile(asset);
-        fragment.appendChild(tile);
+function findPhraseIndices(text, phrases) {
+    const lower = text.toLowerCase();
+    const indices = [];
+    for (const phrase of phrases) {
+        const position = lower.indexOf(phrase);
+        for (let i = 0; position !== -1 && i < phrase.length; i++) {
+            indices.push(position + i);
+        }
     }
+    return indices;
+}
 
-    assetsGrid.appendChild(fragment);
-    displayedCount = endIndex;
-    isLoading = false;
+function syncFilterButtons(categories) {
+    filterBtns.forEach(btn => {
+        const category = btn.dataset.category;
+        btn.classList.toggle('active', category === 'all'
+            ? categories.length === 0
+            : categories.includes(category));
+    });
+}
 
-    if (displayedCount >= filteredAssets.length) {
-        loadingIndicator.classList.remove('visible');
-    }
+function renderQueryErrors(errors) {
+    searchBox.classList.toggle('has-error', errors.length > 0);
+    queryErrors.replaceChildren(...errors.map(error => el('span', { className: 'query-error' }, error.message)));
+}
 
-    // Show empty state if no results
-    if (filteredAssets.length === 0) {
-        assetsGrid.innerHTML = `
-      <div class="empty-state">
-        <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-          <circle cx="11" cy="11" r="8"></circle>
-          <path d="m21 21-4.3-4.3"></path>
-          <path d="M8 8h6"></path>
-        </svg>
-        <p>No assets found</p>
-      </div>
-    `;
-    }
+function updateResultsCount(categories = []) {
+    const collection = categories.includes('favorites') && activeCollectionId && findCollection(activeCollectionId);
+    const categoryText = categories.length === 0 ? 'all categories' : categories
+        .map(category => {
+            if (category === 'favorites' && collection) return `"${collection.name}"`;
+            if (category === 'recent' && historyActionFilter) return `recent (${HISTORY_ACTIONS[historyActionFilter].toLowerCase()})`;
+            return category;
+        })
+        .join(', ');
+    resultsCount.textContent = `${filteredAssets.length} assets in ${categoryText}`;
+}
+
+function indexOfAsset(asset) {
+    return asset ? filteredAssets.findIndex(item => String(item.id) === String(asset.id)) : -1;
 }
 
 // ===== Asset Tile Creation =====
-function createAssetTile(asset) {
-    const tile = document.createElement('div');
-    tile.className = 'asset-tile';
+// Tiles are built from DOM nodes so no catalog field is ever parsed as
+// markup. Their buttons are handled by one listener on the grid (see
+// setupEventListeners), which finds the asset through tileAssets, since a
+// tile shows different assets over its life.
+const tileAssets = new WeakMap(); // tile -> asset
+
+const FILE_ICON = `
+  <svg class="preview-icon" xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"></path>
+    <path d="M14 2v4a2 2 0 0 0 2 2h4"></path>
+  </svg>
+`;
+
+const VIDEO_PLAY_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+    <polygon points="5 3 19 12 5 21 5 3"></polygon>
+  </svg>
+`;
+
+const AUDIO_PLAY_ICON = `
+  <svg class="play-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+    <polygon points="5 3 19 12 5 21 5 3"></polygon>
+  </svg>
+`;
+
+const AUDIO_PAUSE_ICON = `
+  <svg class="pause-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+    <rect x="6" y="4" width="4" height="16"></rect>
+    <rect x="14" y="4" width="4" height="16"></rect>
+  </svg>
+`;
+
+const OFFLINE_ICON = `
+  <svg class="asset-offline" xmlns="http://www.w3.org/2000/svg" width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+    <title>Available offline</title>
+    <path d="M20 6 9 17l-5-5"></path>
+  </svg>
+`;
+
+const PREVIEW_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"></path>
+    <circle cx="12" cy="12" r="3"></circle>
+  </svg>
+`;
+
+const COPY_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <rect width="14" height="14" x="8" y="8" rx="2" ry="2"></rect>
+    <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"></path>
+  </svg>
+`;
+
+const DOWNLOAD_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+    <polyline points="7 10 12 15 17 10"></polyline>
+    <line x1="12" x2="12" y1="15" y2="3"></line>
+  </svg>
+`;
+
+const COPY_BUTTON_TITLE = 'Copy to Clipboard (Shift: link, Alt: Markdown, right-click for more)';
+
+// What the delegated grid listener does for each tile button
+const TILE_BUTTON_ACTIONS = {
+    'favorite-btn': (asset) => toggleFavorite(asset),
+    'preview-btn': (asset) => showPreview(asset),
+    'copy-btn': (asset, e) => copyAsset(asset, null, copyFormatFromEvent(e)),
+    'download-btn': (asset) => downloadAsset(asset),
+    'audio-play-btn': (asset) => toggleAudioPreview(audioPreviewId(asset), safeAssetUrl(asset))
+};
+
+// An empty tile; bindAssetTile fills it in for an asset
+function createAssetTile() {
+    return el('div', { className: 'asset-tile' },
+        el('div', { className: 'asset-preview' }),
+        el('div', { className: 'asset-info' },
+            el('div', { className: 'asset-title' }),
+            el('div', { className: 'asset-meta' },
+                el('span', { className: 'asset-category' }),
+                el('span', { className: 'asset-source' }),
+                el('span', { className: 'asset-size' }, icon(OFFLINE_ICON), el('span', { className: 'asset-size-text' }))
+            )
+        ),
+        el('div', { className: 'asset-actions' },
+            el('button', { className: 'action-btn favorite-btn', title: 'Favorite' }, icon(STAR_ICON)),
+            el('button', { className: 'action-btn preview-btn', title: 'Preview' }, icon(PREVIEW_ICON)),
+            el('button', { className: 'action-btn copy-btn', title: COPY_BUTTON_TITLE }, icon(COPY_ICON)),
+            el('button', { className: 'action-btn download-btn', title: 'Download' }, icon(DOWNLOAD_ICON))
+        )
+    );
+}
+
+// Points a tile at an asset: the grid reuses tiles for whatever scrolls into
+// their slot. The preview is only rebuilt when the asset changes, so a tile
+// that comes back to its own asset keeps its waveform or thumbnail.
+function bindAssetTile(tile, asset) {
+    const previous = tileAssets.get(tile);
+    const sameAsset = previous && String(previous.id) === String(asset.id);
+    tileAssets.set(tile, asset);
     tile.dataset.id = asset.id;
+    tile.classList.toggle('cached', cachedAssetIds.has(String(asset.id)));
+    tile.classList.toggle('favorited', isFavorite(asset));
+    tile.classList.toggle('multi-selected', isSelected(asset));
+    tile.classList.remove('selected');
+
+    if (sameAsset) {
+        const fontPreview = tile.querySelector('.font-preview');
+        if (fontPreview) {
+            fontPreview.textContent = getFontSample();
+        }
+        tile.querySelectorAll('.video-preview').forEach(reattachVideoThumbnail);
+        tile.querySelectorAll('.audio-waveform').forEach(reattachWaveform);
+    } else {
+        // A fresh element: the previews hang listeners on it
+        const preview = el('div', { className: 'asset-preview' }, ...createPreviewContent(asset));
+        tile.querySelector('.asset-preview').replaceWith(preview);
+        attachPreviewContent(preview, asset);
+    }
 
-    const previewHtml = getPreviewHtml(asset);
-    const sizeText = formatSize(asset.size);
-
-    tile.innerHTML = `
-    <div class="asset-preview">
-      ${previewHtml}
-    </div>
-    <div class="asset-info">
-      <div class="asset-title" title="${escapeHtml(asset.title)}">${escapeHtml(asset.title)}</div>
-      <div class="asset-meta">
-        <span class="asset-category ${asset.category}">${asset.category}</span>
-        <span class="asset-size">${sizeText}</span>
-      </div>
-    </div>
-    <div class="asset-actions">
-      <button class="action-btn preview-btn" title="Preview">
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"></path>
-          <circle cx="12" cy="12" r="3"></circle>
-        </svg>
-      </button>
-      <button class="action-btn copy-btn" title="Copy to Clipboard">
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <rect width="14" height="14" x="8" y="8" rx="2" ry="2"></rect>
-          <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"></path>
-        </svg>
-      </button>
-      <button class="action-btn download-btn" title="Download">
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-          <polyline points="7 10 12 15 17 10"></polyline>
-          <line x1="12" x2="12" y1="15" y2="3"></line>
-        </svg>
-      </button>
-    </div>
-  `;
-
-    // Event listeners
-    const previewBtn = tile.querySelector('.preview-btn');
+    const category = String(asset.category);
+    const title = tile.querySelector('.asset-title');
+    title.title = asset.title;
+    title.replaceChildren(...highlightMatches(String(asset.title), searchMatches.get(asset)));
+    const categoryLabel = tile.querySelector('.asset-category');
+    categoryLabel.className = `asset-category ${categoryClass(category)}`;
+    categoryLabel.textContent = category;
+    const source = tile.querySelector('.asset-source');
+    source.hidden = !asset.sourceName;
+    source.title = asset.path || asset.sourceName || '';
+    source.textContent = asset.sourceName || '';
+    tile.querySelector('.asset-size-text').textContent = formatSize(asset.size);
+
+    renderTileTags(tile, asset);
+    tile.querySelector('.asset-recent')?.remove();
+    const recent = createRecentLabel(asset);
+    if (recent) {
+        tile.querySelector('.asset-info').append(recent);
+    }
     const copyBtn = tile.querySelector('.copy-btn');
-    const downloadBtn = tile.querySelector('.download-btn');
+    copyBtn.classList.remove('loading', 'success');
+    copyBtn.title = COPY_BUTTON_TITLE;
+    tile.querySelector('.download-btn').classList.remove('loading', 'success');
+    renderDragState(tile, asset);
+}
 
-    previewBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        showPreview(asset);
-    });
+function attachPreviewContent(preview, asset) {
+    const videoThumb = preview.querySelector('.video-preview');
+    if (videoThumb) {
+        attachVideoThumbnail(videoThumb, asset, preview.querySelector('.video-duration'));
+    }
 
-    copyBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        copyAsset(asset);
-    });
+    const waveform = preview.querySelector('.audio-waveform');
+    if (waveform) {
+        attachWaveform(waveform, asset, {
+            audio: preview.querySelector('audio'),
+            onSeek: (fraction) => seekAudioPreview(audioPreviewId(asset), safeAssetUrl(asset), fraction),
+            lazy: true
+        });
+    }
+}
 
-    downloadBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        downloadAsset(asset);
-    });
+function getTileAsset(tile) {
+    return tile ? tileAssets.get(tile) || null : null;
+}
 
-    tile.addEventListener('click', () => showPreview(asset));
+// The grid takes tiles out of the DOM as they scroll away and binds them to
+// other assets later; detached tiles miss class updates meanwhile
+function detachTile(tile) {
+    if (currentPlayingId && tile.querySelector(`[id="${CSS.escape(currentPlayingId)}"]`)) {
+        stopAudioPreview(currentPlayingId);
+    }
+    tile.querySelectorAll('.video-preview').forEach(detachVideoThumbnail);
+    tile.querySelectorAll('.audio-waveform').forEach(detachWaveform);
+}
 
-    return tile;
+function audioPreviewId(asset) {
+    return `asset-${asset.id}`;
 }
 
-function getPreviewHtml(asset) {
+function createPreviewContent(asset) {
     const ext = asset.ext.toLowerCase();
-    const uniqueId = `asset-${asset.id}`;
 
     // Images
     if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(ext)) {
-        return `<img src="${asset.url}" alt="${escapeHtml(asset.title)}" loading="lazy">`;
+        return [el('img', { src: safeAssetUrl(asset), alt: asset.title, loading: 'lazy' })];
     }
 
-    // Videos - inline video preview with muted autoplay on hover
+    // Videos - cached poster frame, scrubbed by moving over the tile
     if (['mp4', 'webm', 'mov'].includes(ext)) {
-        return `
-      <video 
-        class="video-preview" 
-        src="${asset.url}" 
-        muted 
-        loop 
-        preload="metadata"
-        onmouseenter="this.play()" 
-        onmouseleave="this.pause(); this.currentTime = 0;"
-      ></video>
-      <div class="play-overlay">
-        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" stroke="none">
-          <polygon points="5 3 19 12 5 21 5 3"></polygon>
-        </svg>
-      </div>
-    `;
+        return [
+            el('canvas', { className: 'video-preview' }),
+            el('span', { className: 'video-duration', hidden: true }),
+            el('div', { className: 'play-overlay' }, icon(VIDEO_PLAY_ICON))
+        ];
     }
 
     // Audio - mini player with play button and waveform visualization
     if (['mp3', 'wav', 'ogg', 'flac', 'm4a'].includes(ext)) {
-        return `
-      <div class="audio-preview" data-src="${asset.url}" data-id="${uniqueId}">
-        <button class="audio-play-btn" onclick="event.stopPropagation(); toggleAudioPreview('${uniqueId}', '${asset.url}')">
-          <svg class="play-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none">
-            <polygon points="5 3 19 12 5 21 5 3"></polygon>
-          </svg>
-          <svg class="pause-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none" style="display:none;">
-            <rect x="6" y="4" width="4" height="16"></rect>
-            <rect x="14" y="4" width="4" height="16"></rect>
-          </svg>
-        </button>
-        <div class="audio-waveform">
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-          <div class="waveform-bar"></div>
-        </div>
-      </div>
-      <audio id="${uniqueId}" preload="none"></audio>
-    `;
+        const uniqueId = audioPreviewId(asset);
+        return [
+            el('div', { className: 'audio-preview', dataset: { id: uniqueId } },
+                el('button', { className: 'audio-play-btn' }, icon(AUDIO_PLAY_ICON), icon(AUDIO_PAUSE_ICON)),
+                el('canvas', { className: 'audio-waveform', title: 'Click or drag to seek' })
+            ),
+            el('audio', { id: uniqueId, preload: 'none' })
+        ];
     }
 
     // Fonts - load and display with custom font style
-    if (['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
-        const fontFamily = `font-${asset.id}`;
-        loadFont(fontFamily, asset.url);
-        return `
-      <div class="font-preview" data-font="${fontFamily}" style="font-family: '${fontFamily}', sans-serif;">
-        Aa
-      </div>
-    `;
+    if (FONT_EXTENSIONS.includes(ext)) {
+        const fontFamily = fontFamilyFor(asset);
+        const sample = el('div', { className: 'font-preview', dataset: { font: fontFamily } }, getFontSample());
+        sample.style.fontFamily = `'${fontFamily}', sans-serif`;
+        loadFont(fontFamily, safeAssetUrl(asset)).then(loaded => {
+            if (loaded) sample.classList.add('font-loaded');
+        });
+        return [sample];
     }
 
     // Default
-    return `
-    <svg class="preview-icon" xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-      <path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"></path>
-      <path d="M14 2v4a2 2 0 0 0 2 2h4"></path>
-    </svg>
-  `;
+    return [icon(FILE_ICON)];
 }
 
 // ===== Font Loading =====
 const loadedFonts = new Map(); // Map of fontFamily -> Promise
 
+// A family name made only of [A-Za-z0-9_-], so it is safe in selectors and
+// CSS whatever the asset id holds
+function fontFamilyFor(asset) {
+    const id = [...String(asset.id)]
+        .map(c => /[A-Za-z0-9-]/.test(c) ? c : `_${c.codePointAt(0).toString(16)}`)
+        .join('');
+    return `font-${id}`;
+}
+
 function loadFont(fontFamily, url) {
     if (loadedFonts.has(fontFamily)) {
         return loadedFonts.get(fontFamily);
     }
 
-    const fontFace = new FontFace(fontFamily, `url(${url})`);
+    const fontFace = new FontFace(fontFamily, `url("${url}")`);
     const loadPromise = fontFace.load().then(loadedFont => {
         document.fonts.add(loadedFont);
         // Force re-render of all elements using this font
-        document.querySelectorAll(`[data-font="${fontFamily}"]`).forEach(el => {
-            el.style.fontFamily = `'${fontFamily}', sans-serif`;
-            el.classList.add('font-loaded');
+        document.querySelectorAll(`[data-font="${fontFamily}"]`).forEach(node => {
+            node.style.fontFamily = `'${fontFamily}', sans-serif`;
+            node.classList.add('font-loaded');
         });
         return loadedFont;
     }).catch(err => {
@@ -340,7 +531,7 @@ let currentPlayingId = null;
 
 function toggleAudioPreview(id, url) {
     const audioEl = document.getElementById(id);
-    const previewEl = document.querySelector(`[data-id="${id}"]`);
+    const previewEl = document.querySelector(`.audio-preview[data-id="${CSS.escape(id)}"]`);
 
     if (!audioEl || !previewEl) return;
 
@@ -356,8 +547,6 @@ function toggleAudioPreview(id, url) {
         }
         audioEl.play();
         previewEl.classList.add('playing');
-        previewEl.querySelector('.play-icon').style.display = 'none';
-        previewEl.querySelector('.pause-icon').style.display = 'block';
         currentPlayingAudio = audioEl;
         currentPlayingId = id;
 
@@ -368,9 +557,20 @@ function toggleAudioPreview(id, url) {
     }
 }
 
+// Seeking a tile that is not playing starts it from that point
+function seekAudioPreview(id, url, fraction) {
+    const audioEl = document.getElementById(id);
+    if (!audioEl) return;
+
+    if (currentPlayingId !== id) {
+        toggleAudioPreview(id, url);
+    }
+    seekAudio(audioEl, fraction);
+}
+
 function stopAudioPreview(id) {
     const audioEl = document.getElementById(id);
-    const previewEl = document.querySelector(`[data-id="${id}"]`);
+    const previewEl = document.querySelector(`.audio-preview[data-id="${CSS.escape(id)}"]`);
 
     if (audioEl) {
         audioEl.pause();
@@ -379,8 +579,6 @@ function stopAudioPreview(id) {
 
     if (previewEl) {
         previewEl.classList.remove('playing');
-        previewEl.querySelector('.play-icon').style.display = 'block';
-        previewEl.querySelector('.pause-icon').style.display = 'none';
     }
 
     if (currentPlayingId === id) {
@@ -392,60 +590,62 @@ function stopAudioPreview(id) {
 // ===== Preview Modal =====
 function showPreview(asset) {
     const ext = asset.ext.toLowerCase();
-    let content = '';
+    const url = safeAssetUrl(asset);
+    previewContent.replaceChildren();
 
     // Images
     if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(ext)) {
-        content = `<img src="${asset.url}" alt="${escapeHtml(asset.title)}">`;
+        previewContent.append(el('div', { className: 'image-preview-large' },
+            el('img', { src: url, alt: asset.title }),
+            createImageExport(asset)
+        ));
     }
     // Videos
     else if (['mp4', 'webm', 'mov'].includes(ext)) {
-        content = `<video src="${asset.url}" controls autoplay></video>`;
+        previewContent.append(el('video', { src: url, controls: true, autoplay: true }));
     }
     // Audio
     else if (['mp3', 'wav', 'ogg', 'flac', 'm4a'].includes(ext)) {
-        content = `
-      <div style="text-align: center; color: #fff;">
-        <p style="margin-bottom: 20px; font-size: 18px;">${escapeHtml(asset.title)}</p>
-        <audio src="${asset.url}" controls autoplay style="width: 100%;"></audio>
-      </div>
-    `;
-    }
-    // Fonts - show full preview with sample text
-    else if (['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
-        const fontFamily = `font-${asset.id}`;
-        loadFont(fontFamily, asset.url);
-        content = `
-      <div style="text-align: center; color: #fff; padding: 40px; max-width: 600px;">
-        <p style="margin-bottom: 30px; font-size: 16px; color: #888;">${escapeHtml(asset.title)}</p>
-        <div style="font-family: '${fontFamily}', sans-serif; font-size: 72px; margin-bottom: 20px; line-height: 1.2;">Aa</div>
-        <div style="font-family: '${fontFamily}', sans-serif; font-size: 36px; margin-bottom: 20px; line-height: 1.3;">The quick brown fox jumps over the lazy dog</div>
-        <div style="font-family: '${fontFamily}', sans-serif; font-size: 24px; margin-bottom: 20px; line-height: 1.4;">ABCDEFGHIJKLMNOPQRSTUVWXYZ</div>
-        <div style="font-family: '${fontFamily}', sans-serif; font-size: 24px; margin-bottom: 20px; line-height: 1.4;">abcdefghijklmnopqrstuvwxyz</div>
-        <div style="font-family: '${fontFamily}', sans-serif; font-size: 24px; line-height: 1.4;">0123456789 !@#$%^&*()</div>
-      </div>
-    `;
-    }
-    // Other files - just show info
+        previewContent.append(el('div', { className: 'audio-preview-large' },
+            el('p', { className: 'preview-title' }, asset.title),
+            el('canvas', { className: 'audio-waveform', title: 'Click or drag to seek' }),
+            el('audio', { src: url, controls: true, autoplay: true }),
+            createClipEditor()
+        ));
+    }
+    // Fonts - sample text, metadata and every glyph
+    else if (FONT_EXTENSIONS.includes(ext)) {
+        const fontFamily = fontFamilyFor(asset);
+        loadFont(fontFamily, url);
+        previewContent.append(createFontInspector(asset, fontFamily));
+    }
+    // Archives, presets and everything else - look inside
     else {
-        content = `
-      <div style="text-align: center; color: #fff; padding: 40px;">
-        <svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="margin-bottom: 20px; opacity: 0.5;">
-          <path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"></path>
-          <path d="M14 2v4a2 2 0 0 0 2 2h4"></path>
-        </svg>
-        <p style="font-size: 18px; margin-bottom: 8px;">${escapeHtml(asset.title)}</p>
-        <p style="color: #888; font-size: 14px;">Preview not available for this file type</p>
-        <button onclick="downloadAsset(${JSON.stringify(asset).replace(/"/g, '&quot;')})" 
-                style="margin-top: 20px; padding: 10px 24px; background: #22c55e; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-size: 14px;">
-          Download File
-        </button>
-      </div>
-    `;
-    }
-
-    previewContent.innerHTML = content;
+        previewContent.append(createFileInspector(asset));
+    }
+
+    const waveform = previewContent.querySelector('.audio-waveform');
+    if (waveform) {
+        const audio = previewContent.querySelector('audio');
+        attachWaveform(waveform, asset, { audio, onRegionChange: setClipRegion });
+        openClipEditor(previewContent.querySelector('.clip-editor'), asset, waveform, audio);
+    }
+    const imageExportPanel = previewContent.querySelector('.image-export');
+    if (imageExportPanel) {
+        openImageExport(imageExportPanel, asset, previewContent.querySelector('img'));
+    }
+    const fontInspectorPanel = previewContent.querySelector('.font-inspector');
+    if (fontInspectorPanel) {
+        openFontInspector(fontInspectorPanel, asset);
+    }
+    const fileInspectorPanel = previewContent.querySelector('.file-inspector');
+    if (fileInspectorPanel) {
+        openFileInspector(fileInspectorPanel, asset);
+    }
+    renderPreviewToolbar(asset);
+    renderAnnotationEditor(asset);
     previewModal.classList.add('active');
+    window.api.recordPreview(asset);
 }
 
 function hidePreview() {
@@ -456,33 +656,51 @@ function hidePreview() {
         media.pause();
         media.src = '';
     }
-    previewContent.innerHTML = '';
+    previewContent.replaceChildren();
+    closeClipEditor();
+    closeImageExport();
+    closeFontInspector();
+    closeFileInspector();
+    clearPreviewToolbar();
+    clearAnnotationEditor();
 }
 
 // ===== Download =====
-async function downloadAsset(asset) {
+// `rendered` is a clip or converted image from the preview, saved instead of the file
+async function downloadAsset(asset, rendered = null) {
     try {
-        const result = await window.api.downloadAsset(asset.url, asset.filename);
+        const result = await window.api.downloadAsset(asset, rendered);
         if (result.success) {
-            console.log('Downloaded to:', result.path);
+            const btn = document.querySelector(`.asset-tile[data-id="${CSS.escape(String(asset.id))}"] .download-btn`);
+            if (btn) {
+                btn.classList.add('success');
+                setTimeout(() => btn.classList.remove('success'), 1500);
+            }
         } else {
             console.error('Download failed:', result.message);
         }
+        return result;
     } catch (error) {
         console.error('Download error:', error);
+        return { success: false, message: error.message };
     }
 }
 
 // ===== Copy to Clipboard =====
-async function copyAsset(asset) {
+// `format` is what goes on the clipboard; see COPY_FORMATS
+async function copyAsset(asset, rendered = null, format = 'file') {
     try {
         // Show loading state
-        const btn = document.querySelector(`[data-id="${asset.id}"] .copy-btn`);
+        const btn = document.querySelector(`.asset-tile[data-id="${CSS.escape(String(asset.id))}"] .copy-btn`);
         if (btn) {
             btn.classList.add('loading');
         }
 
-        const result = await window.api.copyToClipboard(asset.url, asset.filename, asset.ext);
+        // In the Recent view, re-copy the file recorded in history when it is still on disk
+        const entry = !rendered && format === 'file' && isRecentView() && getRecentEntry(asset);
+        const result = entry
+            ? await window.api.copyFromHistory(entry.id)
+            : await window.api.copyToClipboard(asset, rendered, format);
 
         if (btn) {
             btn.classList.remove('loading');
@@ -490,15 +708,17 @@ async function copyAsset(asset) {
                 btn.classList.add('success');
                 setTimeout(() => btn.classList.remove('success'), 1500);
             }
+            // A failure stays on the button's tooltip until the next copy works
+            btn.title = result.success ? COPY_BUTTON_TITLE : result.message;
         }
 
-        if (result.success) {
-            console.log('Copied to clipboard:', result.type);
-        } else {
+        if (!result.success) {
             console.error('Copy failed:', result.message);
         }
+        return result;
     } catch (error) {
         console.error('Copy error:', error);
+        return { success: false, message: error.message };
     }
 }
 
@@ -507,6 +727,11 @@ function setupEventListeners() {
     // Search input with debounce
     searchInput.addEventListener('input', () => {
         clearTimeout(searchTimeout);
+        if (isCommandPaletteOpen()) {
+            renderCommandPalette();
+            return;
+        }
+        hideCommandPalette();
         searchTimeout = setTimeout(() => {
             filterAssets();
         }, 200);
@@ -517,119 +742,73 @@ function setupEventListeners() {
         window.api.hideWindow();
     });
 
-    // Keyboard navigation
+    // Keyboard shortcuts come from the action registry
     document.addEventListener('keydown', (e) => {
-        // Handle Escape first
-        if (e.key === 'Escape') {
-            if (previewModal.classList.contains('active')) {
-                hidePreview();
-            } else {
-                window.api.hideWindow();
-            }
+        // The settings panel handles its own keys
+        if (isSettingsOpen()) {
+            runShortcut(e, { typing: true });
             return;
         }
 
         // If searching, allow ArrowDown/Enter to jump to results
         if (document.activeElement === searchInput) {
-            if (e.key === 'ArrowDown' || e.key === 'Enter') {
-                if (assetsGrid.children.length > 0) {
-                    searchInput.blur();
-                    focusedIndex = 0;
-                    updateSelection();
-                    e.preventDefault();
-                }
+            if ((e.key === 'ArrowDown' || e.key === 'Enter') && filteredAssets.length > 0) {
+                searchInput.blur();
+                focusedIndex = Math.max(focusedIndex, 0);
+                updateSelection();
+                e.preventDefault();
+                return;
             }
+            runShortcut(e, { typing: true });
             return;
         }
 
-        const tiles = assetsGrid.children;
-        if (tiles.length === 0) return;
+        // Other text fields (the font sample) keep their own keys
+        if (e.target.matches('input, select, textarea')) {
+            runShortcut(e, { typing: true });
+            return;
+        }
 
-        // If modal is open, ignore nav
-        if (previewModal.classList.contains('active')) return;
+        runShortcut(e);
+    });
 
-        const cols = getColumnsCount();
+    // Buttons and clicks on every tile the grid renders
+    assetsGrid.addEventListener('click', (e) => {
+        const asset = getTileAsset(e.target.closest('.asset-tile'));
+        if (!asset) return;
 
-        switch (e.key) {
-            case 'ArrowRight':
-                focusedIndex = Math.min(focusedIndex + 1, tiles.length - 1);
-                updateSelection();
-                e.preventDefault();
-                break;
-            case 'ArrowLeft':
-                focusedIndex = Math.max(focusedIndex - 1, 0);
-                updateSelection();
-                e.preventDefault();
-                break;
-            case 'ArrowDown':
-                focusedIndex = Math.min(focusedIndex + cols, tiles.length - 1);
-                updateSelection();
-                e.preventDefault();
-                break;
-            case 'ArrowUp':
-                focusedIndex = Math.max(focusedIndex - cols, 0);
-                updateSelection();
-                e.preventDefault();
-                break;
-            case 'Enter':
-                if (focusedIndex >= 0 && tiles[focusedIndex]) {
-                    const assetId = tiles[focusedIndex].dataset.id;
-                    const asset = filteredAssets.find(a => String(a.id) === assetId);
-                    if (asset) showPreview(asset);
-                    e.preventDefault();
-                }
-                break;
-            case 'c':
-            case 'C':
-                if (e.ctrlKey || e.metaKey) {
-                    if (focusedIndex >= 0 && tiles[focusedIndex]) {
-                        const assetId = tiles[focusedIndex].dataset.id;
-                        const asset = filteredAssets.find(a => String(a.id) === assetId);
-                        if (asset) copyAsset(asset);
-                        e.preventDefault();
-                    }
-                }
-                break;
-            case 's':
-            case 'S':
-            case 'd':
-            case 'D':
-                if (e.ctrlKey || e.metaKey) {
-                    if (focusedIndex >= 0 && tiles[focusedIndex]) {
-                        const assetId = tiles[focusedIndex].dataset.id;
-                        const asset = filteredAssets.find(a => String(a.id) === assetId);
-                        if (asset) downloadAsset(asset);
-                        e.preventDefault();
-                    }
-                }
-                break;
+        const tagChip = e.target.closest('.tag-chip');
+        if (tagChip) {
+            e.stopPropagation();
+            searchByTag(tagChip.dataset.tag);
+            return;
+        }
+
+        const button = e.target.closest('.action-btn, .audio-play-btn');
+        if (button) {
+            e.stopPropagation();
+            const action = Object.keys(TILE_BUTTON_ACTIONS).find(name => button.classList.contains(name));
+            TILE_BUTTON_ACTIONS[action](asset, e);
+            return;
+        }
+        if (!handleSelectionClick(e, asset)) {
+            showPreview(asset);
         }
     });
 
-    // Category filter buttons
-    filterBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            filterBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            currentCategory = btn.dataset.category;
-
-            // Clear category shortcut from search if present
-            const rawQuery = searchInput.value.trim();
-            const shortcutMatch = rawQuery.match(/^!([a-z])\s*/i);
-            if (shortcutMatch) {
-                searchInput.value = rawQuery.slice(shortcutMatch[0].length);
-            }
+    assetsGrid.addEventListener('contextmenu', (e) => {
+        const copyBtn = e.target.closest('.copy-btn');
+        const asset = getTileAsset(e.target.closest('.asset-tile'));
+        if (!copyBtn || !asset) return;
 
-            filterAssets();
-        });
+        e.preventDefault();
+        e.stopPropagation();
+        showCopyMenu(asset, copyBtn);
     });
 
-    // Infinite scroll
-    assetsContainer.addEventListener('scroll', () => {
-        const { scrollTop, scrollHeight, clientHeight } = assetsContainer;
-        if (scrollTop + clientHeight >= scrollHeight - 100) {
-            loadMoreAssets();
-        }
+    // Category filter buttons
+    filterBtns.forEach(btn => {
+        btn.addEventListener('click', () => selectCategory(btn.dataset.category));
     });
 
     // Preview modal close
@@ -640,10 +819,27 @@ function setupEventListeners() {
         }
     });
 
-    // Window shown - focus search
+    // Window shown - focus search, and retry if the first load failed
     window.api.onWindowShown(() => {
         searchInput.focus();
         searchInput.select();
+        if (allAssets.length === 0) {
+            fetchAllAssets();
+        }
+    });
+
+    // Refreshed catalog from background revalidation
+    window.api.onCatalogUpdated((event, catalog) => {
+        setCatalog(catalog.assets, catalog.sources);
+    });
+
+    window.api.onHistoryChanged((event, entries) => {
+        setHistory(entries);
+    });
+
+    // Offline availability changes as assets are cached or evicted
+    window.api.onAssetCacheChanged((event, assetIds) => {
+        setCachedAssets(assetIds);
     });
 
     // Window hidden - clear search
@@ -659,33 +855,21 @@ function formatSize(bytes) {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 function updateSelection() {
-    const tiles = assetsGrid.children;
-    for (let i = 0; i < tiles.length; i++) {
-        const tile = tiles[i];
-        if (i === focusedIndex) {
-            tile.classList.add('selected');
-            tile.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        } else {
-            tile.classList.remove('selected');
-        }
+    const focused = filteredAssets[focusedIndex];
+    const focusedId = focused ? String(focused.id) : null;
+    assetsGrid.querySelectorAll('.asset-tile').forEach(tile => {
+        tile.classList.toggle('selected', tile.dataset.id === focusedId);
+    });
+    if (focused) {
+        scrollToIndex(focusedIndex);
     }
 }
 
-function getColumnsCount() {
-    const tiles = assetsGrid.children;
-    if (tiles.length < 2) return 1;
-    const firstTop = tiles[0].offsetTop;
-    let cols = 0;
-    for (let i = 0; i < tiles.length; i++) {
-        if (tiles[i].offsetTop > firstTop) break;
-        cols++;
+function moveFocus(index, extendSelection) {
+    focusedIndex = index;
+    updateSelection();
+    if (extendSelection) {
+        extendSelectionTo(index);
     }
-    return cols || 1;
 }
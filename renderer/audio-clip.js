@@ -0,0 +1,327 @@
+// ===== Audio Clips =====
+// Region trimming in the audio preview. Shift+drag on the waveform picks a
+// region that can loop while auditioning; it goes out as a WAV, with optional
+// fades and normalization, through the usual copy and download calls.
+
+const CLIP_SAMPLE_RATE = 48000; // what video editors expect
+const MAX_FADE_SECONDS = 30;
+const PEAK_TARGET_DB = -1;
+const LOUDNESS_TARGET_LUFS = -14;
+
+let clipEditor = null; // { root, asset, canvas, audio, region }
+let clipSource = null; // { id, buffer } last decoded for rendering
+
+function createClipEditor() {
+    const fadeInput = (className) => el('input', { type: 'number', className, min: '0', max: String(MAX_FADE_SECONDS), step: '0.1', value: '0' });
+    return el('div', { className: 'clip-editor' },
+        el('div', { className: 'export-row' },
+            el('span', { className: 'clip-region' }, 'Shift+drag the waveform to pick a region'),
+            el('button', { className: 'selection-btn clip-clear', disabled: true }, 'Clear')
+        ),
+        el('div', { className: 'export-row' },
+            el('label', {}, el('input', { type: 'checkbox', className: 'clip-loop', checked: true }), ' Loop'),
+            el('label', {}, 'Fade in ', fadeInput('clip-fade-in'), ' s'),
+            el('label', {}, 'Fade out ', fadeInput('clip-fade-out'), ' s'),
+            el('select', { className: 'clip-normalize' },
+                el('option', { value: 'none' }, 'No normalization'),
+                el('option', { value: 'peak' }, `Peak (${PEAK_TARGET_DB} dBFS)`),
+                el('option', { value: 'loudness' }, `Loudness (${LOUDNESS_TARGET_LUFS} LUFS)`)
+            )
+        ),
+        el('div', { className: 'export-row' },
+            el('button', { className: 'selection-btn clip-copy', disabled: true }, 'Copy clip'),
+            el('button', { className: 'selection-btn clip-save', disabled: true }, 'Save clip…'),
+            el('span', { className: 'export-status' })
+        )
+    );
+}
+
+function openClipEditor(root, asset, canvas, audio) {
+    clipEditor = { root, asset, canvas, audio, region: null };
+    const editor = clipEditor;
+
+    root.querySelector('.clip-clear').addEventListener('click', () => {
+        setWaveformRegion(canvas, null);
+        setClipRegion(null);
+    });
+    root.querySelector('.clip-copy').addEventListener('click', () => exportClip('copy'));
+    root.querySelector('.clip-save').addEventListener('click', () => exportClip('save'));
+    audio.addEventListener('play', () => watchClipLoop(editor));
+}
+
+function closeClipEditor() {
+    clipEditor = null;
+    clipSource = null;
+}
+
+// Called by the waveform while a region is dragged
+function setClipRegion(region) {
+    if (!clipEditor) return;
+    clipEditor.region = region;
+
+    const { root, audio } = clipEditor;
+    const hasRegion = !!region && Number.isFinite(audio.duration);
+    root.querySelector('.clip-region').textContent = hasRegion
+        ? `${formatClipTime(region.start * audio.duration)} – ${formatClipTime(region.end * audio.duration)} (${((region.end - region.start) * audio.duration).toFixed(1)} s)`
+        : 'Shift+drag the waveform to pick a region';
+    root.querySelectorAll('.clip-clear, .clip-copy, .clip-save').forEach(btn => {
+        btn.disabled = !hasRegion;
+    });
+}
+
+function formatClipTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+}
+
+// While looping, playback that leaves the region jumps back to its start
+function watchClipLoop(editor) {
+    const step = () => {
+        if (clipEditor !== editor || editor.audio.paused) return;
+
+        const { region, audio, root } = editor;
+        if (region && root.querySelector('.clip-loop').checked && Number.isFinite(audio.duration)) {
+            const start = region.start * audio.duration;
+            const end = region.end * audio.duration;
+            if (audio.currentTime >= end || audio.currentTime < start) {
+                audio.currentTime = start;
+            }
+        }
+        requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+}
+
+function readClipOptions(root) {
+    const seconds = (input) => Math.min(Math.max(Number(input.value) || 0, 0), MAX_FADE_SECONDS);
+    return {
+        fadeIn: seconds(root.querySelector('.clip-fade-in')),
+        fadeOut: seconds(root.querySelector('.clip-fade-out')),
+        normalize: root.querySelector('.clip-normalize').value
+    };
+}
+
+async function exportClip(action) {
+    const editor = clipEditor;
+    if (!editor || !editor.region) return;
+
+    const status = editor.root.querySelector('.export-status');
+    status.classList.remove('error');
+    status.textContent = 'Rendering…';
+
+    let clip;
+    try {
+        clip = await renderClip(editor.asset, editor.region, readClipOptions(editor.root));
+    } catch (error) {
+        status.classList.add('error');
+        status.textContent = `Could not render clip: ${error.message}`;
+        return;
+    }
+
+    const result = action === 'copy'
+        ? await copyAsset(editor.asset, clip)
+        : await downloadAsset(editor.asset, clip);
+    if (clipEditor !== editor) return;
+
+    const failed = !result || (!result.success && result.message !== 'Download canceled');
+    status.classList.toggle('error', failed);
+    if (failed) {
+        status.textContent = result ? result.message : 'Export failed';
+    } else if (result.success) {
+        status.textContent = action === 'copy' ? 'Clip copied' : 'Clip saved';
+    } else {
+        status.textContent = '';
+    }
+}
+
+// ===== Rendering =====
+async function renderClip(asset, region, { fadeIn, fadeOut, normalize }) {
+    if (!clipSource || clipSource.id !== String(asset.id)) {
+        clipSource = { id: String(asset.id), buffer: await decodeAssetAudio(asset, CLIP_SAMPLE_RATE) };
+    }
+    const { buffer } = clipSource;
+
+    const from = Math.floor(region.start * buffer.length);
+    const to = Math.max(from + 1, Math.ceil(region.end * buffer.length));
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        channels.push(buffer.getChannelData(channel).slice(from, to));
+    }
+
+    applyFades(channels, buffer.sampleRate, fadeIn, fadeOut);
+    if (normalize === 'peak') {
+        applyGain(channels, peakGain(channels));
+    } else if (normalize === 'loudness') {
+        applyGain(channels, loudnessGain(channels, buffer.sampleRate));
+    }
+
+    return {
+        type: 'clip',
+        data: encodeWav(channels, buffer.sampleRate),
+        start: from / buffer.sampleRate,
+        end: to / buffer.sampleRate
+    };
+}
+
+// Linear ramps; when they would overlap both shrink to fit
+function applyFades(channels, sampleRate, fadeIn, fadeOut) {
+    const length = channels[0].length;
+    let inSamples = Math.round(fadeIn * sampleRate);
+    let outSamples = Math.round(fadeOut * sampleRate);
+    if (inSamples + outSamples > length) {
+        const scale = length / (inSamples + outSamples);
+        inSamples = Math.floor(inSamples * scale);
+        outSamples = Math.floor(outSamples * scale);
+    }
+
+    for (const samples of channels) {
+        for (let i = 0; i < inSamples; i++) {
+            samples[i] *= i / inSamples;
+        }
+        for (let i = 0; i < outSamples; i++) {
+            samples[length - 1 - i] *= i / outSamples;
+        }
+    }
+}
+
+function applyGain(channels, gain) {
+    if (!Number.isFinite(gain) || gain === 1) return;
+    for (const samples of channels) {
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] *= gain;
+        }
+    }
+}
+
+function samplePeak(channels) {
+    let peak = 0;
+    for (const samples of channels) {
+        for (let i = 0; i < samples.length; i++) {
+            const value = Math.abs(samples[i]);
+            if (value > peak) peak = value;
+        }
+    }
+    return peak;
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+function peakGain(channels) {
+    const peak = samplePeak(channels);
+    return peak > 0 ? dbToGain(PEAK_TARGET_DB) / peak : 1;
+}
+
+// Integrated loudness after ITU-R BS.1770: K-weighting, 400 ms blocks with
+// 75% overlap, then the absolute (-70 LUFS) and relative (-10 LU) gates.
+// The gain is capped so the peak stays at PEAK_TARGET_DB instead of clipping.
+function loudnessGain(channels, sampleRate) {
+    const weighted = channels.map(samples => kWeight(samples, sampleRate));
+    const blockSize = Math.min(Math.round(0.4 * sampleRate), weighted[0].length);
+    const hop = Math.max(1, Math.round(blockSize / 4));
+
+    const blocks = [];
+    for (let start = 0; start + blockSize <= weighted[0].length; start += hop) {
+        let power = 0;
+        for (const samples of weighted) {
+            let sum = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                sum += samples[i] * samples[i];
+            }
+            power += sum / blockSize;
+        }
+        blocks.push(power);
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const meanPower = (list) => list.reduce((sum, power) => sum + power, 0) / list.length;
+
+    const audible = blocks.filter(power => loudness(power) > -70);
+    if (audible.length === 0) return 1;
+    const threshold = loudness(meanPower(audible)) - 10;
+    const gated = audible.filter(power => loudness(power) > threshold);
+    const integrated = loudness(meanPower(gated));
+
+    return Math.min(dbToGain(LOUDNESS_TARGET_LUFS - integrated), peakGain(channels));
+}
+
+// High shelf (+4 dB above ~1.5 kHz) then a ~38 Hz high pass, with the
+// coefficients derived for any sample rate
+function kWeight(samples, sampleRate) {
+    const shelf = biquadCoefficients('highshelf', 1500, 1 / Math.SQRT2, 4, sampleRate);
+    const highPass = biquadCoefficients('highpass', 38, 0.5, 0, sampleRate);
+    return runBiquad(runBiquad(samples, shelf), highPass);
+}
+
+function biquadCoefficients(type, frequency, q, gainDb, sampleRate) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * q);
+    let b0, b1, b2, a0, a1, a2;
+
+    if (type === 'highshelf') {
+        const A = Math.pow(10, gainDb / 40);
+        const root = 2 * Math.sqrt(A) * alpha;
+        b0 = A * ((A + 1) + (A - 1) * cos + root);
+        b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+        b2 = A * ((A + 1) + (A - 1) * cos - root);
+        a0 = (A + 1) - (A - 1) * cos + root;
+        a1 = 2 * ((A - 1) - (A + 1) * cos);
+        a2 = (A + 1) - (A - 1) * cos - root;
+    } else {
+        b0 = (1 + cos) / 2;
+        b1 = -(1 + cos);
+        b2 = (1 + cos) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+    }
+    return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
+
+function runBiquad(samples, { b0, b1, b2, a1, a2 }) {
+    const output = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        output[i] = y;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+    }
+    return output;
+}
+
+// 16-bit PCM, channels interleaved
+function encodeWav(channels, sampleRate) {
+    const frames = channels[0].length;
+    const count = channels.length;
+    const dataSize = frames * count * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, count, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * count * 2, true);
+    view.setUint16(32, count * 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let channel = 0; channel < count; channel++) {
+            const sample = Math.min(Math.max(channels[channel][i], -1), 1);
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
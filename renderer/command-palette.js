@@ -0,0 +1,149 @@
+// ===== Command Palette =====
+// A ">" at the start of the search box (or the palette shortcut) lists the
+// actions by name with their shortcuts. While it is open the results keep
+// showing the last asset search, which comes back when the palette closes.
+
+const commandPalette = document.getElementById('commandPalette');
+
+let paletteItems = [];
+let paletteIndex = 0;
+let paletteArmedId = null; // action waiting for a second Enter to confirm
+let assetSearchText = '';
+
+function isCommandPaletteOpen() {
+    return searchInput.value.startsWith('>');
+}
+
+// The search box text the asset results are for
+function getAssetSearchText() {
+    if (!isCommandPaletteOpen()) {
+        assetSearchText = searchInput.value;
+    }
+    return assetSearchText;
+}
+
+function openCommandPalette() {
+    getAssetSearchText();
+    searchInput.value = '>';
+    searchInput.focus();
+    renderCommandPalette();
+}
+
+function closeCommandPalette() {
+    if (isCommandPaletteOpen()) {
+        searchInput.value = assetSearchText;
+    }
+    hideCommandPalette();
+}
+
+function hideCommandPalette() {
+    commandPalette.classList.remove('visible');
+    commandPalette.replaceChildren();
+    paletteArmedId = null;
+}
+
+// Every word has to appear in the title or the id
+function matchesPaletteFilter(action, words) {
+    const haystack = `${action.title} ${action.id}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+function renderCommandPalette({ keepIndex = false } = {}) {
+    const words = searchInput.value.slice(1).trim().toLowerCase().split(/\s+/).filter(Boolean);
+    paletteItems = getActions().filter(action => action.when() && matchesPaletteFilter(action, words));
+    if (!keepIndex) {
+        paletteIndex = 0;
+        paletteArmedId = null;
+    }
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteItems.length - 1, 0));
+
+    if (paletteItems.length === 0) {
+        commandPalette.replaceChildren(el('div', { className: 'palette-empty' }, 'No matching commands'));
+    } else {
+        commandPalette.replaceChildren(...paletteItems.map((action, index) => {
+            const armed = action.id === paletteArmedId;
+            const hint = armed
+                ? [el('span', { className: 'palette-confirm' }, `${action.confirm} · Enter to confirm`)]
+                : getActionKeys(action).map(key => el('kbd', {}, formatShortcut(key)));
+            const item = el('button', { className: 'palette-item', dataset: { index } },
+                el('span', {}, action.title),
+                el('span', { className: 'palette-keys' }, ...hint)
+            );
+            item.classList.toggle('active', index === paletteIndex);
+            item.classList.toggle('armed', armed);
+            return item;
+        }));
+    }
+
+    // Under the search box, as wide as it is
+    const rect = searchBox.getBoundingClientRect();
+    commandPalette.style.left = `${rect.left}px`;
+    commandPalette.style.top = `${rect.bottom + 4}px`;
+    commandPalette.style.width = `${rect.width}px`;
+    commandPalette.classList.add('visible');
+    commandPalette.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+// Destructive actions take a second Enter; a native confirm() would blur and
+// hide the window. Triggered from elsewhere, e.g. a shortcut, they open the
+// palette on themselves to ask.
+function confirmInPalette(action) {
+    if (!isCommandPaletteOpen() || !paletteItems.includes(action)) {
+        getAssetSearchText();
+        searchInput.value = `>${action.title}`;
+        searchInput.focus();
+        renderCommandPalette();
+    }
+    paletteIndex = Math.max(paletteItems.indexOf(action), 0);
+    paletteArmedId = action.id;
+    renderCommandPalette({ keepIndex: true });
+}
+
+function runPaletteItem(index) {
+    const action = paletteItems[index];
+    if (!action) return;
+
+    const confirmed = paletteArmedId === action.id;
+    if (confirmed || !action.confirm) {
+        closeCommandPalette();
+    }
+    runAction(action, null, { confirmed });
+}
+
+function setupCommandPalette() {
+    searchInput.addEventListener('keydown', (e) => {
+        if (!isCommandPaletteOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                paletteIndex = Math.min(paletteIndex + 1, paletteItems.length - 1);
+                paletteArmedId = null;
+                renderCommandPalette({ keepIndex: true });
+                break;
+            case 'ArrowUp':
+                paletteIndex = Math.max(paletteIndex - 1, 0);
+                paletteArmedId = null;
+                renderCommandPalette({ keepIndex: true });
+                break;
+            case 'Enter':
+                runPaletteItem(paletteIndex);
+                break;
+            case 'Escape':
+                closeCommandPalette();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
+
+    // Keep the search box focused so clicks land on the item
+    commandPalette.addEventListener('mousedown', (e) => e.preventDefault());
+    commandPalette.addEventListener('click', (e) => {
+        const item = e.target.closest('.palette-item');
+        if (item) runPaletteItem(Number(item.dataset.index));
+    });
+
+    searchInput.addEventListener('blur', closeCommandPalette);
+}
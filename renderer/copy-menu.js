@@ -0,0 +1,71 @@
+// ===== Copy Formats =====
+// What a copy puts on the clipboard. Modifiers pick a format on the copy
+// button and with Ctrl+C; right-clicking the button lists them all.
+
+const COPY_FORMATS = [
+    { format: 'file', label: 'File', hint: '' },
+    { format: 'url', label: 'Link', hint: 'Shift' },
+    { format: 'markdown', label: 'Markdown / HTML', hint: 'Alt' },
+    { format: 'path', label: 'Local path', hint: 'Shift+Alt' },
+    { format: 'data-uri', label: 'Data URI', hint: '' }
+];
+
+// Same limit the main process enforces
+const DATA_URI_MAX_BYTES = 1024 * 1024;
+
+let copyMenu = null;
+
+function copyFormatFromEvent(e) {
+    if (e.shiftKey && e.altKey) return 'path';
+    if (e.shiftKey) return 'url';
+    if (e.altKey) return 'markdown';
+    return 'file';
+}
+
+function showCopyMenu(asset, anchor) {
+    hideCopyMenu();
+
+    copyMenu = el('div', { className: 'copy-menu' }, ...COPY_FORMATS.map(({ format, label, hint }) => {
+        const tooLarge = format === 'data-uri' && asset.size > DATA_URI_MAX_BYTES;
+        const props = { className: 'copy-menu-item', dataset: { format }, disabled: tooLarge, title: tooLarge && 'Only for files up to 1 MB' };
+        return el('button', props, el('span', {}, label), el('span', { className: 'copy-menu-hint' }, hint));
+    }));
+
+    copyMenu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('.copy-menu-item');
+        if (!item || item.disabled) return;
+        hideCopyMenu();
+        copyAsset(asset, null, item.dataset.format);
+    });
+
+    document.body.appendChild(copyMenu);
+
+    // Below the button, kept inside the window
+    const rect = anchor.getBoundingClientRect();
+    const menuRect = copyMenu.getBoundingClientRect();
+    copyMenu.style.left = `${Math.max(4, Math.min(rect.right - menuRect.width, window.innerWidth - menuRect.width - 4))}px`;
+    copyMenu.style.top = `${rect.bottom + menuRect.height + 4 > window.innerHeight ? rect.top - menuRect.height - 4 : rect.bottom + 4}px`;
+}
+
+function hideCopyMenu() {
+    if (copyMenu) {
+        copyMenu.remove();
+        copyMenu = null;
+    }
+}
+
+function setupCopyMenu() {
+    document.addEventListener('click', hideCopyMenu);
+    window.addEventListener('blur', hideCopyMenu);
+    assetsContainer.addEventListener('scroll', hideCopyMenu);
+
+    // Capture phase, so Escape closes the menu before it closes anything else
+    document.addEventListener('keydown', (e) => {
+        if (copyMenu && e.key === 'Escape') {
+            hideCopyMenu();
+            e.stopPropagation();
+            e.preventDefault();
+        }
+    }, true);
+}
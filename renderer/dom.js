@@ -0,0 +1,66 @@
+// ===== DOM Helpers =====
+// Catalog entries are untrusted. Their fields reach the page as text nodes
+// and element properties built here, never as markup, and their URLs go
+// through safeAssetUrl. The page's content policy (lib/app-protocol.js)
+// rejects inline scripts and style attributes, so listeners are attached in
+// code and styles set through element.style.
+
+// https origins the content policy lets images, media and fonts load from
+const mediaOrigins = new Set(window.api.contentPolicy.mediaOrigins);
+
+const iconTemplates = new Map(); // markup -> parsed <template>
+
+// el('span', { className: 'asset-size', title }, 'text', childNode)
+// Props are set as element properties, `dataset` is merged, and null or
+// false props and children are skipped. Strings become text nodes.
+function el(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+        if (value === null || value === undefined || value === false) continue;
+        if (key === 'dataset') {
+            Object.assign(node.dataset, value);
+        } else {
+            node[key] = value;
+        }
+    }
+    node.append(...children.filter(child => child !== null && child !== undefined && child !== false));
+    return node;
+}
+
+// <dt>/<dd> pairs for a details list; rows without a value are left out
+function detailRows(rows) {
+    return rows
+        .filter(([, value]) => value)
+        .flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, String(value))]);
+}
+
+// A copy of one of the app's constant SVG icons; never pass catalog data here
+function icon(markup) {
+    let template = iconTemplates.get(markup);
+    if (!template) {
+        template = document.createElement('template');
+        template.innerHTML = markup.trim();
+        iconTemplates.set(markup, template);
+    }
+    return template.content.firstElementChild.cloneNode(true);
+}
+
+// The URL to load an asset from: its own when the content policy allows it,
+// otherwise the copy the main process serves from its cache
+function safeAssetUrl(asset) {
+    let url;
+    try {
+        url = new URL(asset.url);
+    } catch (e) {
+        return assetFileUrl(asset);
+    }
+    if (url.protocol === 'rd-asset:' || (url.protocol === 'https:' && mediaOrigins.has(url.origin))) {
+        return url.href;
+    }
+    return assetFileUrl(asset);
+}
+
+// Catalog categories double as class names for their colour
+function categoryClass(category) {
+    return /^[a-z0-9-]+$/.test(category) ? category : 'other';
+}
@@ -0,0 +1,177 @@
+// ===== Drag Out =====
+// Tiles start a native file drag, so assets drop straight into editors,
+// OBS or a file manager. The OS drag has to begin while the mouse button is
+// still down, so it can only use files already on disk: a press that starts
+// to move, or is held, starts fetching them, and a drag that comes before
+// they are there shows the tile as downloading and asks for another try
+// instead of vanishing. Dragging a selected tile drags the whole selection.
+
+const DRAG_ICON_SIZE = 64;
+const MAX_DRAG_FILES = 200; // the main process refuses bigger drags
+// A press becomes a likely drag once it moves this far (px) or is held this long (ms)
+const DRAG_PREFETCH_DISTANCE = 4;
+const DRAG_PREFETCH_DELAY = 250;
+// Events that mean the pointer or focus is back with us after a drag
+const DRAG_END_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'focus'];
+
+const dragFetches = new Map(); // asset id -> pending fetch of its file
+const dragWaiting = new Set(); // ids of those a drag was tried on; their tiles say so
+let dragPending = false;
+let stopWatchingPress = null;
+
+function setupDragOut() {
+    assetsGrid.addEventListener('pointerdown', (e) => {
+        const tile = e.target.closest('.asset-tile');
+        // The tile buttons fetch what they need themselves
+        if (e.button !== 0 || !tile || e.target.closest('button')) return;
+        const asset = getTileAsset(tile);
+        if (asset) watchPressForDrag(e, asset);
+    });
+
+    assetsGrid.addEventListener('dragstart', (e) => {
+        const asset = getTileAsset(e.target.closest('.asset-tile'));
+        if (!asset) return;
+        // The OS drag replaces the HTML one
+        e.preventDefault();
+        if (stopWatchingPress) stopWatchingPress();
+        startAssetDrag(asset);
+    });
+}
+
+// Tiles are reused for other assets, so their drag state is set on every bind
+function renderDragState(tile, asset) {
+    const id = String(asset.id);
+    tile.draggable = true;
+    tile.classList.toggle('drag-preparing', dragWaiting.has(id));
+}
+
+function updateDragTiles(ids) {
+    assetsGrid.querySelectorAll('.asset-tile').forEach(tile => {
+        const asset = getTileAsset(tile);
+        if (asset && ids.has(String(asset.id))) renderDragState(tile, asset);
+    });
+}
+
+function dragAssets(asset) {
+    return isSelected(asset) ? [...selectedAssets.values()] : [asset];
+}
+
+// Plain clicks should not download anything, so fetching waits until the
+// press looks like the start of a drag
+function watchPressForDrag(down, asset) {
+    if (stopWatchingPress) stopWatchingPress();
+
+    const move = (e) => {
+        if (Math.hypot(e.clientX - down.clientX, e.clientY - down.clientY) >= DRAG_PREFETCH_DISTANCE) prepare();
+    };
+    const stop = () => {
+        clearTimeout(timer);
+        window.removeEventListener('pointermove', move, true);
+        window.removeEventListener('pointerup', stop, true);
+        window.removeEventListener('pointercancel', stop, true);
+        if (stopWatchingPress === stop) stopWatchingPress = null;
+    };
+    const prepare = () => {
+        stop();
+        prepareDragFiles(dragAssets(asset));
+    };
+
+    const timer = setTimeout(prepare, DRAG_PREFETCH_DELAY);
+    window.addEventListener('pointermove', move, true);
+    window.addEventListener('pointerup', stop, true);
+    window.addEventListener('pointercancel', stop, true);
+    stopWatchingPress = stop;
+}
+
+function prepareDragFiles(assets) {
+    // Too many to drag anyway; start-drag says so
+    if (assets.length > MAX_DRAG_FILES) return;
+    const pending = assets.filter(asset => !dragFetches.has(String(asset.id)));
+    if (pending.length === 0) return;
+
+    const ids = pending.map(asset => String(asset.id));
+    const request = window.api.prepareDrag(pending)
+        .then(result => {
+            if (!result.success) console.error('Could not prepare drag:', result.message);
+        })
+        .catch(error => console.error('Drag prepare error:', error))
+        .finally(() => {
+            ids.forEach(id => {
+                dragFetches.delete(id);
+                dragWaiting.delete(id);
+            });
+            updateDragTiles(new Set(ids));
+        });
+    ids.forEach(id => dragFetches.set(id, request));
+}
+
+async function startAssetDrag(asset) {
+    if (dragPending) return;
+    dragPending = true;
+
+    const assets = dragAssets(asset);
+    try {
+        const result = await window.api.startDrag(assets, renderDragIcon(asset, assets.length));
+        if (result.success) {
+            endDragOnReturn();
+        } else if (result.missing) {
+            // Fetch anything the press did not cover (e.g. evicted meanwhile)
+            prepareDragFiles(assets.filter(item => result.missing.includes(String(item.id))));
+            result.missing.filter(id => dragFetches.has(id)).forEach(id => dragWaiting.add(id));
+            updateDragTiles(new Set(result.missing));
+        } else {
+            console.error('Drag failed:', result.message);
+        }
+    } catch (error) {
+        console.error('Drag error:', error);
+    } finally {
+        dragPending = false;
+    }
+}
+
+// The window hears nothing while the OS drag runs; whatever it hears first
+// afterwards means the drag is over
+function endDragOnReturn() {
+    const end = () => {
+        DRAG_END_EVENTS.forEach(type => window.removeEventListener(type, end, true));
+        window.api.endDrag();
+    };
+    DRAG_END_EVENTS.forEach(type => window.addEventListener(type, end, true));
+}
+
+// A file badge with the extension, and how many files when there are several
+function renderDragIcon(asset, count) {
+    const dpr = window.devicePixelRatio || 1;
+    const size = DRAG_ICON_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size * dpr;
+    canvas.height = size * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const styles = getComputedStyle(document.documentElement);
+    ctx.fillStyle = styles.getPropertyValue('--bg-tertiary').trim() || '#252525';
+    ctx.strokeStyle = styles.getPropertyValue('--accent-primary').trim() || '#9884f0';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(8, 4, size - 16, size - 8, 6);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = styles.getPropertyValue('--text-primary').trim() || '#ffffff';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(asset.ext.toUpperCase().slice(0, 5), size / 2, size / 2);
+
+    if (count > 1) {
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.beginPath();
+        ctx.arc(size - 12, 12, 11, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 10px sans-serif';
+        ctx.fillText(count > 99 ? '99+' : String(count), size - 12, 12);
+    }
+    return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,300 @@
+// ===== Favorites & Collections =====
+// State lives in the main process (userData/favorites.json); every change
+// comes back as the full state and is applied through applyFavoritesResult.
+
+const STAR_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+  </svg>
+`;
+
+let favoritesState = { favorites: [], collections: [] };
+let favoriteIds = new Set();
+let activeCollectionId = null;
+let previewAsset = null;
+
+const favoritesFilterBtn = document.querySelector('.filter-btn[data-category="favorites"]');
+const collectionBar = document.getElementById('collectionBar');
+const previewToolbar = document.getElementById('previewToolbar');
+
+async function loadFavorites() {
+    try {
+        applyFavoritesResult(await window.api.getFavorites());
+    } catch (error) {
+        console.error('Failed to load favorites:', error);
+    }
+}
+
+function applyFavoritesResult(result) {
+    if (!result.success) {
+        console.error('Favorites update failed:', result.message);
+        return false;
+    }
+
+    favoritesState = result.favorites;
+    favoriteIds = new Set(favoritesState.favorites.map(item => item.id));
+    if (activeCollectionId && !findCollection(activeCollectionId)) {
+        activeCollectionId = null;
+    }
+
+    assetsGrid.querySelectorAll('.asset-tile').forEach(tile => {
+        tile.classList.toggle('favorited', favoriteIds.has(tile.dataset.id));
+    });
+    if (previewAsset) {
+        renderPreviewToolbar(previewAsset);
+    }
+    return true;
+}
+
+// Re-run the filter so the favorites view reflects a change straight away
+async function updateFavorites(request) {
+    try {
+        if (applyFavoritesResult(await request) && isFavoritesView()) {
+            filterAssets({ preserveScroll: true });
+        }
+    } catch (error) {
+        console.error('Favorites update failed:', error);
+    }
+}
+
+function findCollection(collectionId) {
+    return favoritesState.collections.find(collection => collection.id === collectionId);
+}
+
+function assetRef(asset) {
+    return { id: asset.id, title: asset.title };
+}
+
+function isFavorite(asset) {
+    return favoriteIds.has(String(asset.id));
+}
+
+function isFavoritesView() {
+    return favoritesFilterBtn.classList.contains('active');
+}
+
+function toggleFavorite(asset) {
+    return updateFavorites(window.api.setFavorite(assetRef(asset), !isFavorite(asset)));
+}
+
+// Whether the favorites pseudo-category admits this asset
+function matchesFavoritesView(asset) {
+    const id = String(asset.id);
+    if (activeCollectionId) {
+        const collection = findCollection(activeCollectionId);
+        return !!collection && collection.items.some(item => item.id === id);
+    }
+    return favoriteIds.has(id);
+}
+
+// Saved entries whose asset is no longer in the catalog
+function getMissingFavorites() {
+    if (allAssets.length === 0) return [];
+
+    const known = new Set(allAssets.map(asset => String(asset.id)));
+    const missing = new Map();
+    favoritesState.favorites.forEach(item => {
+        if (!known.has(item.id)) missing.set(item.id, item);
+    });
+    favoritesState.collections.forEach(collection => {
+        collection.items.forEach(item => {
+            if (!known.has(item.id)) missing.set(item.id, item);
+        });
+    });
+    return [...missing.values()];
+}
+
+// ===== Collection Bar (favorites view) =====
+function renderCollectionBar(visible) {
+    collectionBar.classList.toggle('visible', visible);
+    if (!visible) {
+        collectionBar.replaceChildren();
+        return;
+    }
+
+    const chips = [
+        el('button', { className: `collection-chip ${activeCollectionId ? '' : 'active'}`, dataset: { collection: '' } },
+            'All favorites',
+            el('span', { className: 'chip-count' }, String(favoritesState.favorites.length))
+        )
+    ];
+
+    favoritesState.collections.forEach(collection => {
+        const props = {
+            className: `collection-chip ${collection.id === activeCollectionId ? 'active' : ''}`,
+            dataset: { collection: collection.id },
+            title: 'Double-click to rename'
+        };
+        chips.push(el('button', props,
+            collection.name,
+            el('span', { className: 'chip-count' }, String(collection.items.length)),
+            el('span', { className: 'chip-delete', title: 'Delete collection' }, '×')
+        ));
+    });
+
+    chips.push(el('button', { className: 'collection-chip new-collection' }, '+ New collection'));
+
+    const missing = getMissingFavorites();
+    if (missing.length > 0) {
+        const names = missing.map(item => item.title || item.id).join(', ');
+        chips.push(el('span', { className: 'missing-favorites', title: names },
+            `${missing.length} saved ${missing.length === 1 ? 'asset is' : 'assets are'} no longer in the catalog`,
+            el('button', { className: 'prune-favorites' }, 'Remove')
+        ));
+    }
+
+    collectionBar.replaceChildren(...chips);
+}
+
+// Swap a chip for an inline text field; resolves with the entered name or null
+function editChipInline(chip, initialValue) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.className = 'collection-input';
+        input.value = initialValue;
+        input.placeholder = 'Collection name';
+        chip.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (value) => {
+            if (done) return;
+            done = true;
+            resolve(value);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(input.value.trim() || null);
+            if (e.key === 'Escape') finish(null);
+        });
+        input.addEventListener('blur', () => finish(null));
+    });
+}
+
+async function promptNewCollection(chip) {
+    const name = await editChipInline(chip, '');
+    if (name) {
+        await updateFavorites(window.api.createCollection(name));
+    }
+    if (isFavoritesView()) {
+        filterAssets();
+    }
+}
+
+function setupCollectionBar() {
+    collectionBar.addEventListener('click', (e) => {
+        if (e.target.closest('.prune-favorites')) {
+            const knownIds = allAssets.map(asset => String(asset.id));
+            updateFavorites(window.api.pruneFavorites(knownIds));
+            return;
+        }
+
+        const chip = e.target.closest('.collection-chip');
+        if (!chip) return;
+
+        if (chip.classList.contains('new-collection')) {
+            promptNewCollection(chip);
+            return;
+        }
+
+        const collectionId = chip.dataset.collection;
+        // Deleting takes a second click; a native confirm() would blur and hide the window
+        const deleteBtn = e.target.closest('.chip-delete');
+        if (deleteBtn) {
+            if (deleteBtn.classList.contains('confirm')) {
+                updateFavorites(window.api.deleteCollection(collectionId));
+            } else {
+                deleteBtn.classList.add('confirm');
+                deleteBtn.textContent = 'Delete?';
+                deleteBtn.title = 'Click again to delete (assets stay in the catalog)';
+            }
+            return;
+        }
+
+        activeCollectionId = collectionId || null;
+        filterAssets();
+    });
+
+    collectionBar.addEventListener('dblclick', async (e) => {
+        const chip = e.target.closest('.collection-chip[data-collection]');
+        const collection = chip && findCollection(chip.dataset.collection);
+        if (!collection) return;
+
+        const name = await editChipInline(chip, collection.name);
+        if (name && name !== collection.name) {
+            await updateFavorites(window.api.renameCollection(collection.id, name));
+        }
+        filterAssets({ preserveScroll: true });
+    });
+}
+
+// ===== Preview Toolbar =====
+function renderPreviewToolbar(asset) {
+    previewAsset = asset;
+    const favorite = isFavorite(asset);
+    const id = String(asset.id);
+
+    const collectionChips = favoritesState.collections.map(collection => {
+        const member = collection.items.some(item => item.id === id);
+        return el('button', {
+            className: `collection-chip ${member ? 'active' : ''}`,
+            dataset: { collection: collection.id, member: String(member) }
+        }, collection.name);
+    });
+
+    previewToolbar.replaceChildren(
+        el('button', {
+            className: `preview-favorite ${favorite ? 'active' : ''}`,
+            title: favorite ? 'Remove from favorites' : 'Add to favorites'
+        }, icon(STAR_ICON), favorite ? 'Favorited' : 'Favorite'),
+        el('div', { className: 'preview-collections' },
+            ...collectionChips,
+            el('button', { className: 'collection-chip new-collection' }, '+ New collection')
+        )
+    );
+}
+
+function clearPreviewToolbar() {
+    previewAsset = null;
+    previewToolbar.replaceChildren();
+}
+
+function setupPreviewToolbar() {
+    previewToolbar.addEventListener('click', async (e) => {
+        if (!previewAsset) return;
+        const asset = previewAsset;
+
+        if (e.target.closest('.preview-favorite')) {
+            toggleFavorite(asset);
+            return;
+        }
+
+        const chip = e.target.closest('.collection-chip');
+        if (!chip) return;
+
+        if (chip.classList.contains('new-collection')) {
+            const name = await editChipInline(chip, '');
+            if (!name) {
+                renderPreviewToolbar(asset);
+                return;
+            }
+            try {
+                const result = await window.api.createCollection(name);
+                if (applyFavoritesResult(result)) {
+                    const created = favoritesState.collections[favoritesState.collections.length - 1];
+                    await updateFavorites(window.api.setInCollection(created.id, assetRef(asset), true));
+                } else {
+                    renderPreviewToolbar(asset);
+                }
+            } catch (error) {
+                console.error('Failed to create collection:', error);
+            }
+            return;
+        }
+
+        const member = chip.dataset.member === 'true';
+        updateFavorites(window.api.setInCollection(chip.dataset.collection, assetRef(asset), !member));
+    });
+}
@@ -0,0 +1,135 @@
+// ===== File Inspector =====
+// Preview for everything that isn't an image, video, audio or font, which is
+// most presets: what an archive holds, the text of a preset pretty-printed
+// and highlighted, and the application and version it was made for. The
+// main process fetches the file and reads it; nothing is extracted.
+
+const MAX_HIGHLIGHT_CHARS = 200000;
+
+const LANGUAGE_NAMES = { json: 'JSON', xml: 'XML', text: 'Text' };
+
+// One alternation per language; the name of the group that matched is the
+// token class, e.g. <span class="tok-key">
+const SYNTAX_PATTERNS = {
+    json: /(?<key>"(?:\\.|[^"\\])*"(?=\s*:))|(?<string>"(?:\\.|[^"\\])*")|(?<number>-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(?<literal>\b(?:true|false|null)\b)/g,
+    xml: /(?<comment><!--[\s\S]*?-->)|(?<cdata><!\[CDATA\[[\s\S]*?\]\]>)|(?<tag><[/?!]?[\w:.-]+|\/?>|\?>)|(?<attr>[\w:.-]+(?==))|(?<string>"[^"]*"|'[^']*')/g,
+    // LUTs, Lightroom templates and other line-based formats
+    text: /(?<comment>(?:#|\/\/|--).*$)|(?<string>"(?:\\.|[^"\\\n])*")|(?<keyword>^\s*[A-Z][A-Z0-9_]+\b)|(?<number>-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)/gm
+};
+
+let fileInspector = null; // { root, asset }
+
+function createFileInspector(asset) {
+    return el('div', { className: 'file-inspector' },
+        el('p', { className: 'preview-title' }, asset.title),
+        el('dl', { className: 'file-meta' }, el('dt', {}, 'Details'), el('dd', {}, 'Reading file…')),
+        el('div', { className: 'file-body' }),
+        el('div', { className: 'export-row' },
+            el('button', { className: 'selection-btn file-download-btn' }, 'Download file')
+        )
+    );
+}
+
+async function openFileInspector(root, asset) {
+    fileInspector = { root, asset };
+    const state = fileInspector;
+    root.querySelector('.file-download-btn').addEventListener('click', () => downloadAsset(asset));
+
+    const result = await window.api.inspectFile(asset);
+    if (fileInspector !== state) return;
+
+    const meta = root.querySelector('.file-meta');
+    if (!result.success) {
+        meta.replaceChildren(el('dt', {}, 'Details'), el('dd', { className: 'error' }, result.message));
+        return;
+    }
+
+    const info = result.info;
+    renderFileMeta(meta, asset, info);
+    const body = root.querySelector('.file-body');
+    if (info.kind === 'archive') {
+        body.replaceChildren(...createArchiveListing(info));
+    } else if (info.kind === 'text') {
+        body.replaceChildren(...[
+            el('pre', { className: 'code-view' }, highlightCode(info.language, info.text)),
+            info.truncated && el('p', { className: 'file-note' }, 'Only the start of this file is shown')
+        ].filter(Boolean));
+    } else {
+        body.replaceChildren(el('p', { className: 'file-note' }, 'Preview not available for this file type'));
+    }
+}
+
+function closeFileInspector() {
+    fileInspector = null;
+}
+
+function describeFormat(asset, info) {
+    if (info.kind === 'archive') return `${info.format.toUpperCase()} archive`;
+    if (info.kind === 'text') return `${LANGUAGE_NAMES[info.language]}${info.pretty ? ' (reformatted)' : ''}`;
+    return `${asset.ext.toUpperCase()} file`;
+}
+
+// "12 × .xmp — Adobe Lightroom / Camera Raw, 2 × .cube — Color LUT"
+function describeContents(contents) {
+    return contents.map(item => `${item.count} × .${item.ext} — ${item.app}`).join(', ');
+}
+
+function renderFileMeta(list, asset, info) {
+    const target = info.target || {};
+    const rows = [
+        ['Application', target.app],
+        ['Version', target.version],
+        ['Preset', target.detail],
+        ['Format', describeFormat(asset, info)],
+        ['Size', formatSize(info.size)]
+    ];
+    if (info.kind === 'archive') {
+        rows.push(
+            ['Entries', `${info.entryCount.toLocaleString()} (${formatSize(info.totalSize)} unpacked)`],
+            ['Presets', describeContents(info.contents)],
+            ['Encrypted', info.encrypted ? 'Some files are password-protected' : null]
+        );
+    }
+    list.replaceChildren(...detailRows(rows));
+}
+
+function createArchiveListing(info) {
+    if (info.entries.length === 0) {
+        return [el('p', { className: 'file-note' }, 'The archive is empty')];
+    }
+
+    const rows = info.entries.map(entry => el('tr', { className: entry.directory ? 'archive-dir' : '' },
+        el('td', { className: 'archive-name' },
+            entry.name,
+            entry.encrypted && ' ',
+            entry.encrypted && el('span', { className: 'archive-lock' }, '(encrypted)')
+        ),
+        el('td', { className: 'archive-size' }, entry.directory ? '' : formatSize(entry.size)),
+        el('td', { className: 'archive-date' }, entry.modified ? new Date(entry.modified).toLocaleDateString() : '')
+    ));
+    return [
+        el('div', { className: 'archive-list' }, el('table', {}, ...rows)),
+        info.truncated && el('p', { className: 'file-note' },
+            `Showing the first ${info.entries.length.toLocaleString()} of ${info.entryCount.toLocaleString()} entries`)
+    ].filter(Boolean);
+}
+
+// Text nodes with a <span class="tok-…"> around each token
+function highlightCode(language, text) {
+    const fragment = document.createDocumentFragment();
+    // Very long files stay plain rather than stall the preview
+    if (text.length > MAX_HIGHLIGHT_CHARS) {
+        fragment.append(text);
+        return fragment;
+    }
+
+    const pattern = SYNTAX_PATTERNS[language] || SYNTAX_PATTERNS.text;
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        const type = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+        fragment.append(text.slice(last, match.index), el('span', { className: `tok-${type}` }, match[0]));
+        last = match.index + match[0].length;
+    }
+    fragment.append(text.slice(last));
+    return fragment;
+}
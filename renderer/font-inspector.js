@@ -0,0 +1,248 @@
+// ===== Font Inspector =====
+// One sample text and size shared by every font tile and the preview, plus
+// the font's own metadata and a grid of every character it covers. The
+// metadata comes from the file's name, OS/2, fvar and cmap tables, parsed in
+// the main process. The preview also installs the font for the current user.
+
+const FONT_EXTENSIONS = ['ttf', 'otf', 'woff', 'woff2'];
+const INSTALLABLE_FONT_EXTENSIONS = ['ttf', 'otf'];
+const DEFAULT_FONT_SAMPLE = 'Aa';
+const DEFAULT_FONT_SIZE = 48;
+const MAX_GLYPHS = 2000;
+const FONT_PANGRAMS = [
+    'The quick brown fox jumps over the lazy dog',
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    'abcdefghijklmnopqrstuvwxyz',
+    '0123456789 !@#$%^&*()'
+];
+
+const fontBar = document.getElementById('fontBar');
+
+let fontSampleText = '';
+let fontSampleSize = DEFAULT_FONT_SIZE;
+let fontInspector = null; // { root, asset }
+
+function isFontAsset(asset) {
+    return FONT_EXTENSIONS.includes(asset.ext.toLowerCase());
+}
+
+function getFontSample() {
+    return fontSampleText || DEFAULT_FONT_SAMPLE;
+}
+
+function createFontSampleControls() {
+    return [
+        el('input', { type: 'text', className: 'font-sample-input', placeholder: 'Type to preview every font…', spellcheck: false }),
+        el('label', { className: 'font-size-control', title: 'Sample size' },
+            el('input', { type: 'range', className: 'font-size-slider', min: '12', max: '120', value: String(fontSampleSize) }),
+            el('span', { className: 'font-size-value' }, `${fontSampleSize}px`)
+        )
+    ];
+}
+
+// Shown above the grid whenever the results include fonts
+function renderFontBar(visible) {
+    fontBar.classList.toggle('visible', visible);
+}
+
+function setFontSample(text) {
+    fontSampleText = text;
+    const sample = getFontSample();
+    document.querySelectorAll('.font-preview, .font-sample').forEach(el => {
+        el.textContent = sample;
+    });
+    syncFontControls();
+}
+
+function setFontSampleSize(size) {
+    fontSampleSize = size;
+    document.documentElement.style.setProperty('--font-sample-size', `${size}px`);
+    syncFontControls();
+}
+
+// The bar and the preview both edit the same sample; keep whichever is not
+// being typed in up to date
+function syncFontControls() {
+    document.querySelectorAll('.font-sample-input').forEach(input => {
+        if (input.value !== fontSampleText) input.value = fontSampleText;
+    });
+    document.querySelectorAll('.font-size-slider').forEach(slider => {
+        if (Number(slider.value) !== fontSampleSize) slider.value = fontSampleSize;
+    });
+    document.querySelectorAll('.font-size-value').forEach(label => {
+        label.textContent = `${fontSampleSize}px`;
+    });
+}
+
+function bindFontSampleControls(root) {
+    root.querySelector('.font-sample-input').addEventListener('input', (e) => setFontSample(e.target.value));
+    root.querySelector('.font-size-slider').addEventListener('input', (e) => setFontSampleSize(Number(e.target.value)));
+    syncFontControls();
+}
+
+function setupFontInspector() {
+    fontBar.replaceChildren(...createFontSampleControls());
+    bindFontSampleControls(fontBar);
+    setFontSampleSize(fontSampleSize);
+}
+
+// ===== Preview =====
+function createFontInspector(asset, fontFamily) {
+    const inspector = el('div', { className: 'font-inspector' },
+        el('p', { className: 'preview-title' }, asset.title),
+        el('dl', { className: 'font-meta' }, el('dt', {}, 'Details'), el('dd', {}, 'Reading font…')),
+        el('div', { className: 'export-row' },
+            el('button', { className: 'selection-btn font-install-btn', disabled: true }, 'Install font'),
+            el('span', { className: 'export-status font-install-status' })
+        ),
+        el('div', { className: 'export-row' }, ...createFontSampleControls()),
+        el('div', { className: 'font-sample', dataset: { font: fontFamily } }, getFontSample()),
+        el('div', { className: 'font-pangrams', dataset: { font: fontFamily } }, ...FONT_PANGRAMS.map(line => el('div', {}, line))),
+        el('div', { className: 'font-glyphs', dataset: { font: fontFamily } }),
+        el('p', { className: 'font-glyph-note' })
+    );
+    inspector.querySelectorAll('[data-font]').forEach(node => {
+        node.style.fontFamily = `'${fontFamily}', sans-serif`;
+    });
+    return inspector;
+}
+
+async function openFontInspector(root, asset) {
+    fontInspector = { root, asset };
+    const state = fontInspector;
+    bindFontSampleControls(root);
+
+    // Clicking a glyph adds it to the sample text
+    root.querySelector('.font-glyphs').addEventListener('click', (e) => {
+        const glyph = e.target.closest('.font-glyph');
+        if (glyph) setFontSample(fontSampleText + glyph.textContent);
+    });
+    root.querySelector('.font-install-btn').addEventListener('click', (e) => toggleFontInstall(state, e.currentTarget));
+
+    const result = await window.api.getFontInfo(asset);
+    if (fontInspector !== state) return;
+    // Asked after the details: by then the file is local and can be matched by name
+    refreshFontInstall(state);
+
+    if (!result.success) {
+        root.querySelector('.font-meta').replaceChildren(el('dt', {}, 'Details'), el('dd', { className: 'error' }, result.message));
+        return;
+    }
+    renderFontMeta(root.querySelector('.font-meta'), result.info);
+    renderGlyphGrid(root, result.info.coverage);
+}
+
+function closeFontInspector() {
+    fontInspector = null;
+}
+
+function describeWeight(info) {
+    if (!info.weight) return null;
+    return info.weightName ? `${info.weight} (${info.weightName})` : String(info.weight);
+}
+
+function describeVariable(variable) {
+    if (!variable) return 'No';
+    const axes = variable.axes.map(axis => `${axis.tag.trim()} ${axis.min}–${axis.max}`).join(', ');
+    const instances = variable.instances ? ` · ${variable.instances} named instance${variable.instances === 1 ? '' : 's'}` : '';
+    return `Yes — ${axes || 'no axes'}${instances}`;
+}
+
+function countGlyphs(coverage) {
+    return coverage.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+}
+
+function renderFontMeta(list, info) {
+    const rows = [
+        ['Family', info.family],
+        ['Style', info.style],
+        ['Weight', describeWeight(info)],
+        ['Version', info.version],
+        ['Designer', info.designer],
+        ['License', info.license],
+        ['License URL', info.licenseUrl],
+        ['Embedding', info.embedding],
+        ['Variable', describeVariable(info.variable)],
+        ['Characters', countGlyphs(info.coverage).toLocaleString()]
+    ];
+    list.replaceChildren(...detailRows(rows));
+}
+
+function renderGlyphGrid(root, coverage) {
+    const glyphs = [];
+    for (const [start, end] of coverage) {
+        for (let c = start; c <= end && glyphs.length < MAX_GLYPHS; c++) {
+            const hex = c.toString(16).toUpperCase().padStart(4, '0');
+            glyphs.push(el('span', { className: 'font-glyph', title: `U+${hex}` }, String.fromCodePoint(c)));
+        }
+    }
+    root.querySelector('.font-glyphs').replaceChildren(...glyphs);
+
+    const total = countGlyphs(coverage);
+    root.querySelector('.font-glyph-note').textContent = total > MAX_GLYPHS
+        ? `Showing the first ${MAX_GLYPHS.toLocaleString()} of ${total.toLocaleString()} characters`
+        : '';
+}
+
+// ===== Install =====
+// state.install: { installed, byApp, message? } from the main process
+function renderFontInstall(state, message = null, isError = false) {
+    const button = state.root.querySelector('.font-install-btn');
+    const status = state.root.querySelector('.font-install-status');
+    const install = state.install;
+    button.classList.remove('confirm');
+
+    if (!INSTALLABLE_FONT_EXTENSIONS.includes(state.asset.ext.toLowerCase())) {
+        button.disabled = true;
+        button.textContent = 'Install font';
+        message = message || 'WOFF fonts are for the web and cannot be installed';
+    } else if (!install) {
+        button.disabled = true;
+        button.textContent = 'Install font';
+    } else if (install.byApp) {
+        button.disabled = false;
+        button.textContent = 'Uninstall';
+        message = message || 'Installed for this user';
+    } else if (install.installed) {
+        button.disabled = true;
+        button.textContent = 'Installed';
+        message = message || install.message;
+    } else {
+        button.disabled = false;
+        button.textContent = 'Install font';
+    }
+
+    status.textContent = message || '';
+    status.classList.toggle('error', isError);
+}
+
+async function refreshFontInstall(state) {
+    const result = await window.api.getFontInstallStatus(state.asset);
+    if (fontInspector !== state) return;
+    state.install = result.success ? result : null;
+    renderFontInstall(state, result.success ? null : result.message, !result.success);
+}
+
+async function toggleFontInstall(state, button) {
+    const uninstalling = state.install && state.install.byApp;
+    // Uninstalling takes a second click; a native confirm() would blur and hide the window
+    if (uninstalling && !button.classList.contains('confirm')) {
+        button.classList.add('confirm');
+        button.textContent = 'Click again to uninstall';
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = uninstalling ? 'Uninstalling…' : 'Installing…';
+    const result = uninstalling
+        ? await window.api.uninstallFont(state.asset)
+        : await window.api.installFont(state.asset);
+    if (fontInspector !== state) return;
+
+    if (!result.success) {
+        renderFontInstall(state, result.message, true);
+        return;
+    }
+    state.install = result;
+    renderFontInstall(state, uninstalling ? 'Uninstalled' : (result.byApp ? 'Installed; apps that were already open may need a restart' : null));
+}
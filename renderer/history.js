@@ -0,0 +1,128 @@
+// ===== Recent History =====
+// Copies, downloads and previews recorded by the main process (userData/history.json)
+
+const HISTORY_ACTIONS = {
+    copy: 'Copied',
+    download: 'Downloaded',
+    preview: 'Previewed'
+};
+
+let historyEntries = [];
+let historyActionFilter = null;
+let recentEntries = new Map(); // asset id -> latest matching history entry
+
+const recentFilterBtn = document.querySelector('.filter-btn[data-category="recent"]');
+const historyBar = document.getElementById('historyBar');
+
+async function loadHistory() {
+    try {
+        setHistory(await window.api.getHistory());
+    } catch (error) {
+        console.error('Failed to load history:', error);
+    }
+}
+
+function setHistory(entries) {
+    historyEntries = entries;
+    if (isRecentView()) {
+        filterAssets({ preserveScroll: true });
+    }
+}
+
+function isRecentView() {
+    return recentFilterBtn.classList.contains('active');
+}
+
+// Most recent use of each asset, newest first. Assets that have since left
+// the catalog are shown from the snapshot stored with the entry.
+function getRecentAssets() {
+    const catalog = new Map(allAssets.map(asset => [String(asset.id), asset]));
+    const result = [];
+    recentEntries = new Map();
+
+    for (const entry of historyEntries) {
+        if (historyActionFilter && entry.action !== historyActionFilter) continue;
+
+        const id = String(entry.asset.id);
+        if (recentEntries.has(id)) continue;
+
+        recentEntries.set(id, entry);
+        result.push(catalog.get(id) || entry.asset);
+    }
+
+    return result;
+}
+
+function getRecentEntry(asset) {
+    return recentEntries.get(String(asset.id)) || null;
+}
+
+function formatRelativeTime(timestamp) {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.round(hours / 24);
+    if (days < 7) return `${days} d ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+// Line shown on tiles in the Recent view, e.g. "Copied · 5 min ago"
+function createRecentLabel(asset) {
+    const entry = isRecentView() && getRecentEntry(asset);
+    if (!entry) return null;
+
+    const label = `${HISTORY_ACTIONS[entry.action]} · ${formatRelativeTime(entry.timestamp)}`;
+    const where = entry.path ? `Saved at ${entry.path}` : label;
+    return el('div', { className: 'asset-recent', title: where }, label);
+}
+
+function renderHistoryBar(visible) {
+    historyBar.classList.toggle('visible', visible);
+    if (!visible) {
+        historyBar.replaceChildren();
+        return;
+    }
+
+    const chips = [
+        el('button', { className: `collection-chip ${historyActionFilter ? '' : 'active'}`, dataset: { action: '' } }, 'All')
+    ];
+    for (const [action, label] of Object.entries(HISTORY_ACTIONS)) {
+        chips.push(el('button', { className: `collection-chip ${historyActionFilter === action ? 'active' : ''}`, dataset: { action } }, label));
+    }
+
+    const clearLabel = historyActionFilter
+        ? `Clear ${HISTORY_ACTIONS[historyActionFilter].toLowerCase()}`
+        : 'Clear history';
+    chips.push(el('button', { className: 'clear-history', disabled: historyEntries.length === 0 }, clearLabel));
+
+    historyBar.replaceChildren(...chips);
+}
+
+function setupHistoryBar() {
+    historyBar.addEventListener('click', async (e) => {
+        // Clearing takes a second click; a native confirm() would blur and hide the window
+        const clearBtn = e.target.closest('.clear-history');
+        if (clearBtn) {
+            if (!clearBtn.classList.contains('confirm')) {
+                clearBtn.classList.add('confirm');
+                clearBtn.textContent = 'Click again to clear';
+                return;
+            }
+            try {
+                setHistory(await window.api.clearHistory(historyActionFilter));
+            } catch (error) {
+                console.error('Failed to clear history:', error);
+            }
+            return;
+        }
+
+        const chip = e.target.closest('.collection-chip');
+        if (!chip) return;
+
+        historyActionFilter = chip.dataset.action || null;
+        filterAssets();
+    });
+}
@@ -0,0 +1,184 @@
+// ===== Image Export =====
+// Convert, resize and copy images from the preview. Rendering happens on a
+// canvas here; the result goes to the main process either as a file (copy /
+// save) or as bitmap data for apps that only paste images.
+
+const IMAGE_EXPORT_MIME = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const IMAGE_EXPORT_QUALITY = 0.92;
+const MAX_EXPORT_DIMENSION = 8192;
+
+let imageExport = null; // { root, asset, naturalWidth, naturalHeight }
+
+function createImageExport(asset) {
+    const pixelated = asset.category === 'mcicons';
+    return el('div', { className: 'image-export' },
+        el('div', { className: 'export-row' },
+            el('select', { className: 'image-format', title: 'Format' },
+                el('option', { value: 'png' }, 'PNG'),
+                el('option', { value: 'jpeg' }, 'JPEG'),
+                el('option', { value: 'webp' }, 'WebP')
+            ),
+            el('select', { className: 'image-size-mode', title: 'Resize by' },
+                el('option', { value: 'scale' }, 'Scale'),
+                el('option', { value: 'max' }, 'Max size')
+            ),
+            el('input', { type: 'number', className: 'image-size', min: '0.1', max: '64', step: '0.5', value: '1' }),
+            el('label', {}, el('input', { type: 'checkbox', className: 'image-pixelated', checked: pixelated }), ' Pixelated'),
+            el('label', {}, el('input', { type: 'checkbox', className: 'image-fill' }), ' Background'),
+            el('input', { type: 'color', className: 'image-fill-color', value: '#ffffff', title: 'Background color' }),
+            el('span', { className: 'image-output-size' })
+        ),
+        el('div', { className: 'export-row' },
+            el('button', { className: 'selection-btn image-copy-bitmap', title: 'Paste into chat apps, Figma and other image targets' }, 'Copy image'),
+            el('button', { className: 'selection-btn image-copy-file' }, 'Copy file'),
+            el('button', { className: 'selection-btn image-save' }, 'Save…'),
+            el('span', { className: 'export-status' })
+        )
+    );
+}
+
+function openImageExport(root, asset, previewImage) {
+    imageExport = { root, asset, naturalWidth: 0, naturalHeight: 0 };
+    const state = imageExport;
+
+    const onLoad = () => {
+        state.naturalWidth = previewImage.naturalWidth;
+        state.naturalHeight = previewImage.naturalHeight;
+        updateImageOutputSize();
+    };
+    if (previewImage.complete) {
+        onLoad();
+    } else {
+        previewImage.addEventListener('load', onLoad, { once: true });
+    }
+
+    root.querySelector('.image-size-mode').addEventListener('change', (e) => {
+        const input = root.querySelector('.image-size');
+        const byScale = e.target.value === 'scale';
+        input.min = byScale ? 0.1 : 1;
+        input.max = byScale ? 64 : MAX_EXPORT_DIMENSION;
+        input.step = byScale ? 0.5 : 1;
+        input.value = byScale ? 1 : Math.max(state.naturalWidth, state.naturalHeight) || 512;
+        updateImageOutputSize();
+    });
+    root.querySelector('.image-size').addEventListener('input', updateImageOutputSize);
+    root.querySelector('.image-copy-bitmap').addEventListener('click', () => exportImage('bitmap'));
+    root.querySelector('.image-copy-file').addEventListener('click', () => exportImage('copy'));
+    root.querySelector('.image-save').addEventListener('click', () => exportImage('save'));
+}
+
+function closeImageExport() {
+    imageExport = null;
+}
+
+function readImageExportOptions(root) {
+    return {
+        format: root.querySelector('.image-format').value,
+        sizeMode: root.querySelector('.image-size-mode').value,
+        size: Number(root.querySelector('.image-size').value) || 1,
+        pixelated: root.querySelector('.image-pixelated').checked,
+        background: root.querySelector('.image-fill').checked ? root.querySelector('.image-fill-color').value : null
+    };
+}
+
+// SVGs without an intrinsic size render at 512px on their long side
+function exportDimensions(naturalWidth, naturalHeight, { sizeMode, size }) {
+    const width = naturalWidth || 512;
+    const height = naturalHeight || 512;
+    const factor = sizeMode === 'max' ? size / Math.max(width, height) : size;
+    return {
+        width: Math.max(1, Math.round(width * factor)),
+        height: Math.max(1, Math.round(height * factor))
+    };
+}
+
+function updateImageOutputSize() {
+    if (!imageExport || !imageExport.naturalWidth) return;
+    const { root, naturalWidth, naturalHeight } = imageExport;
+    const { width, height } = exportDimensions(naturalWidth, naturalHeight, readImageExportOptions(root));
+    root.querySelector('.image-output-size').textContent = `${naturalWidth} × ${naturalHeight} → ${width} × ${height}`;
+}
+
+async function exportImage(action) {
+    const state = imageExport;
+    if (!state) return;
+
+    const status = state.root.querySelector('.export-status');
+    status.classList.remove('error');
+    status.textContent = 'Rendering…';
+
+    const options = readImageExportOptions(state.root);
+    let result;
+    try {
+        // Bitmap data has no file format; PNG keeps it lossless on the way over
+        const rendered = await renderImage(state.asset, action === 'bitmap' ? { ...options, format: 'png' } : options);
+        if (action === 'bitmap') {
+            result = await window.api.copyImage(state.asset, rendered);
+        } else if (action === 'copy') {
+            result = await copyAsset(state.asset, rendered);
+        } else {
+            result = await downloadAsset(state.asset, rendered);
+        }
+    } catch (error) {
+        result = { success: false, message: error.message };
+    }
+    if (imageExport !== state) return;
+
+    const failed = !result.success && result.message !== 'Download canceled';
+    status.classList.toggle('error', failed);
+    if (failed) {
+        status.textContent = result.message;
+    } else if (result.success) {
+        status.textContent = action === 'save' ? 'Image saved' : 'Image copied';
+    } else {
+        status.textContent = '';
+    }
+}
+
+// Loaded through rd-asset with CORS so the canvas stays readable. Animated
+// GIFs export their first frame.
+function loadExportImage(asset) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load the image'));
+        image.src = assetFileUrl(asset);
+    });
+}
+
+async function renderImage(asset, options) {
+    const image = await loadExportImage(asset);
+    const { width, height } = exportDimensions(image.naturalWidth, image.naturalHeight, options);
+    if (width > MAX_EXPORT_DIMENSION || height > MAX_EXPORT_DIMENSION) {
+        throw new Error(`Output is larger than ${MAX_EXPORT_DIMENSION} px`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // JPEG has no alpha; without a chosen fill, transparency turns white rather than black
+    const background = options.background || (options.format === 'jpeg' ? '#ffffff' : null);
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.imageSmoothingEnabled = !options.pixelated;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, IMAGE_EXPORT_MIME[options.format], IMAGE_EXPORT_QUALITY));
+    if (!blob) {
+        throw new Error('Could not encode the image');
+    }
+    return {
+        type: 'image',
+        data: new Uint8Array(await blob.arrayBuffer()),
+        format: options.format,
+        width,
+        height
+    };
+}
@@ -0,0 +1,94 @@
+// ===== Local Libraries =====
+// Folders on disk indexed by the main process. Their files join allAssets
+// with source 'local' and are opened in place rather than downloaded.
+
+let localAssets = [];
+let localFolders = [];
+
+async function loadLocalAssets() {
+    try {
+        setLocalAssets(await window.api.getLocalAssets());
+    } catch (error) {
+        console.error('Failed to load local libraries:', error);
+    }
+}
+
+function setLocalAssets(assets) {
+    localAssets = assets;
+    localAssets.forEach(indexAssetForSearch);
+    rebuildAllAssets();
+}
+
+async function loadLocalFolders() {
+    try {
+        localFolders = await window.api.getLocalFolders();
+    } catch (error) {
+        console.error('Failed to load library folders:', error);
+    }
+    renderLocalFolders();
+}
+
+function createLocalFoldersSection() {
+    return el('section', { className: 'settings-section' },
+        el('h3', {}, 'Local libraries'),
+        el('ul', { className: 'local-folders', id: 'localFolders' }),
+        el('div', { className: 'setting-error', id: 'localFolderError' }),
+        el('div', {}, el('button', { className: 'selection-btn add-local-folder' }, 'Add folder…'))
+    );
+}
+
+function renderLocalFolders() {
+    const list = document.getElementById('localFolders');
+    if (!list) return;
+
+    if (localFolders.length === 0) {
+        list.replaceChildren(el('li', { className: 'local-folder-empty' },
+            'No folders yet. Files in added folders are searched alongside the catalog.'));
+        return;
+    }
+
+    list.replaceChildren(...localFolders.map(folder => el('li', { className: 'local-folder', dataset: { id: folder.id } },
+        el('span', { className: 'local-folder-path', title: folder.path }, folder.path),
+        el('span', { className: 'local-folder-count' }, folder.error ? folder.error : `${folder.fileCount} files`),
+        el('button', { className: 'selection-btn remove-local-folder' }, 'Remove')
+    )));
+}
+
+function setLocalFolderError(message) {
+    const error = document.getElementById('localFolderError');
+    if (error) error.textContent = message || '';
+}
+
+function setupLocalLibrary() {
+    settingsPanel.addEventListener('click', async (e) => {
+        if (e.target.closest('.add-local-folder')) {
+            const result = await window.api.addLocalFolder();
+            if (result.success) {
+                localFolders = result.folders;
+                setLocalFolderError(null);
+                renderLocalFolders();
+            } else if (result.message !== 'Canceled') {
+                setLocalFolderError(result.message);
+            }
+            return;
+        }
+
+        const removeBtn = e.target.closest('.remove-local-folder');
+        if (removeBtn) {
+            const result = await window.api.removeLocalFolder(removeBtn.closest('.local-folder').dataset.id);
+            if (result.success) {
+                localFolders = result.folders;
+                renderLocalFolders();
+            } else {
+                setLocalFolderError(result.message);
+            }
+        }
+    });
+
+    window.api.onLocalAssetsChanged((event, assets) => {
+        setLocalAssets(assets);
+        if (isSettingsOpen()) {
+            loadLocalFolders();
+        }
+    });
+}
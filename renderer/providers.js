@@ -0,0 +1,165 @@
+// ===== Source Providers =====
+// Editor for the `providers` setting inside the settings panel. Every edit
+// saves the whole list; the main process validates it and reports the first
+// problem, so a half-filled new source simply stays unsaved. Canceling the
+// confirmation for a new remote source puts the saved list back.
+
+const PROVIDER_TYPE_LABELS = {
+    renderdragon: 'RenderDragon API',
+    manifest: 'JSON manifest (URL)',
+    static: 'Static index file (path)'
+};
+
+let sourceStatus = [];
+
+async function loadSourceStatus() {
+    try {
+        setSourceStatus(await window.api.getSourceStatus());
+    } catch (error) {
+        console.error('Failed to load source status:', error);
+    }
+}
+
+function setSourceStatus(sources) {
+    sourceStatus = sources || [];
+    renderProviderStatus();
+}
+
+function createProvidersSection() {
+    return el('section', { className: 'settings-section' },
+        el('h3', {}, 'Sources'),
+        el('div', { className: 'provider-list', id: 'providerList' }, ...(appSettings.providers || []).map(createProviderCard)),
+        el('div', { className: 'setting-error', id: 'providerError' }),
+        el('div', {}, el('button', { className: 'selection-btn add-provider' }, 'Add source'))
+    );
+}
+
+function providerStatusText(provider) {
+    const status = sourceStatus.find(source => source.id === provider.id);
+    if (!provider.enabled) return 'Disabled';
+    if (!status) return 'Not loaded yet';
+    if (status.error) return `Failed: ${status.error}`;
+    return `${status.count} assets${status.skipped ? `, ${status.skipped} skipped` : ''}`;
+}
+
+function createProviderCard(provider) {
+    const map = Object.entries(provider.categoryMap || {}).map(([from, to]) => `${from}=${to}`).join(', ');
+    const options = Object.entries(PROVIDER_TYPE_LABELS).map(([type, label]) =>
+        el('option', { value: type, selected: provider.type === type }, label)
+    );
+    const textField = (field, value, placeholder) =>
+        el('input', { type: 'text', dataset: { field }, value, placeholder, spellcheck: false });
+
+    return el('div', { className: 'provider-card', dataset: { id: provider.id } },
+        el('div', { className: 'provider-row' },
+            el('input', { type: 'checkbox', dataset: { field: 'enabled' }, title: 'Enabled', checked: provider.enabled }),
+            el('input', { type: 'text', dataset: { field: 'name' }, value: provider.name, placeholder: 'Name' }),
+            el('span', { className: 'provider-status' }),
+            el('button', { className: 'selection-btn remove-provider' }, 'Remove')
+        ),
+        el('div', { className: 'provider-grid' },
+            el('label', {}, 'ID'),
+            textField('id', provider.id),
+            el('label', {}, 'Type'),
+            el('select', { dataset: { field: 'type' } }, ...options),
+            el('label', {}, 'Location'),
+            textField('location', provider.location, 'https://example.com/manifest.json or /mnt/share/index.json'),
+            el('label', {}, 'Category map'),
+            textField('categoryMap', map, 'sounds=sfx, luts=presets'),
+            el('label', {}, 'Only categories'),
+            textField('include', (provider.include || []).join(', '), 'all'),
+            el('label', {}, 'Skip categories'),
+            textField('exclude', (provider.exclude || []).join(', '), 'none')
+        )
+    );
+}
+
+function renderProviderStatus() {
+    const list = document.getElementById('providerList');
+    if (!list) return;
+
+    list.querySelectorAll('.provider-card').forEach(card => {
+        const provider = {
+            id: card.querySelector('[data-field="id"]').value.trim().toLowerCase(),
+            enabled: card.querySelector('[data-field="enabled"]').checked
+        };
+        const statusEl = card.querySelector('.provider-status');
+        statusEl.textContent = providerStatusText(provider);
+        statusEl.classList.toggle('error', statusEl.textContent.startsWith('Failed'));
+    });
+}
+
+// The main process parses the comma lists and "from=to" pairs
+function readProvidersFromForm() {
+    return [...document.querySelectorAll('#providerList .provider-card')].map(card => {
+        const field = (name) => card.querySelector(`[data-field="${name}"]`);
+        return {
+            id: field('id').value,
+            name: field('name').value,
+            type: field('type').value,
+            location: field('location').value,
+            enabled: field('enabled').checked,
+            categoryMap: field('categoryMap').value,
+            include: field('include').value,
+            exclude: field('exclude').value
+        };
+    });
+}
+
+function setProviderError(message) {
+    const error = document.getElementById('providerError');
+    if (error) error.textContent = message || '';
+}
+
+async function saveProviders() {
+    // New remote sources are confirmed in the main process first
+    const result = await window.api.setProviders(readProvidersFromForm());
+    if (result.message === 'Canceled') {
+        document.getElementById('providerList').replaceChildren(...appSettings.providers.map(createProviderCard));
+        setProviderError(null);
+        renderProviderStatus();
+        return;
+    }
+    if (!result.success) {
+        setProviderError(result.message);
+        return;
+    }
+    applyRendererSettings(result.settings);
+    setProviderError(null);
+    renderProviderStatus();
+}
+
+function nextProviderId() {
+    const taken = new Set([...document.querySelectorAll('#providerList [data-field="id"]')].map(input => input.value));
+    let n = 1;
+    while (taken.has(`source-${n}`)) n++;
+    return `source-${n}`;
+}
+
+function setupProviders() {
+    settingsPanel.addEventListener('click', (e) => {
+        if (e.target.closest('.add-provider')) {
+            const list = document.getElementById('providerList');
+            const id = nextProviderId();
+            list.append(createProviderCard({
+                id, name: 'New source', type: 'manifest', location: '', enabled: true,
+                categoryMap: {}, include: [], exclude: []
+            }));
+            renderProviderStatus();
+            list.lastElementChild.querySelector('[data-field="location"]').focus();
+            return;
+        }
+
+        const removeBtn = e.target.closest('.remove-provider');
+        if (removeBtn) {
+            removeBtn.closest('.provider-card').remove();
+            saveProviders();
+        }
+    });
+
+    settingsPanel.addEventListener('change', (e) => {
+        if (e.target.closest('#providerList')) {
+            saveProviders();
+        }
+    });
+}
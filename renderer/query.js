@@ -0,0 +1,297 @@
+// ===== Query Language =====
+// Parses the search box into structured filters:
+//   !m !s            category shortcuts (any number)
+//   cat:sfx,music    category filter      ext:wav,mp3   extension filter
+//   size:<2mb        size filter (<, <=, >, >=, = or a range like 1mb..5mb)
+//   #horror          one of your tags     "door creak"  exact phrase (also searches notes)
+//   -8bit            negation (works on all of the above)
+// Anything else is free text for the fuzzy ranker. Errors carry the character
+// range they came from so they can be reported inline.
+
+const SIZE_UNITS = {
+    b: 1,
+    k: 1024,
+    kb: 1024,
+    m: 1024 * 1024,
+    mb: 1024 * 1024,
+    g: 1024 * 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+const QUERY_FIELDS = ['cat', 'category', 'ext', 'size'];
+
+function parseQuery(raw) {
+    const query = {
+        terms: [],
+        phrases: [],
+        excludedTerms: [],
+        categories: [],
+        excludedCategories: [],
+        extensions: [],
+        excludedExtensions: [],
+        sizes: [],
+        tags: [],
+        excludedTags: [],
+        tokens: [],
+        errors: []
+    };
+
+    for (const token of tokenizeSearch(raw)) {
+        query.tokens.push(token);
+        applyToken(query, token);
+    }
+
+    return query;
+}
+
+// Splits on whitespace outside quotes, keeping each token's position in `raw`
+function tokenizeSearch(raw) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < raw.length) {
+        if (/\s/.test(raw[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let negated = false;
+        if (raw[i] === '-' && i + 1 < raw.length && !/\s/.test(raw[i + 1])) {
+            negated = true;
+            i++;
+        }
+
+        if (raw[i] === '"') {
+            const close = raw.indexOf('"', i + 1);
+            const end = close === -1 ? raw.length : close + 1;
+            tokens.push({
+                type: 'phrase',
+                value: raw.slice(i + 1, close === -1 ? raw.length : close),
+                negated,
+                unclosed: close === -1,
+                start,
+                end
+            });
+            i = end;
+            continue;
+        }
+
+        while (i < raw.length && !/\s/.test(raw[i])) {
+            // Allow quoted values inside a field, e.g. cat:"sfx"
+            if (raw[i] === '"') {
+                const close = raw.indexOf('"', i + 1);
+                i = close === -1 ? raw.length : close + 1;
+            } else {
+                i++;
+            }
+        }
+
+        const text = raw.slice(negated ? start + 1 : start, i);
+        tokens.push({ ...classifyWord(text), negated, start, end: i });
+    }
+
+    return tokens;
+}
+
+function classifyWord(text) {
+    if (text.startsWith('!')) {
+        return { type: 'shortcut', value: text.slice(1) };
+    }
+    if (text.startsWith('#')) {
+        return { type: 'tag', value: text.slice(1) };
+    }
+
+    const fieldMatch = text.match(/^([a-z]+):(.*)$/i);
+    if (fieldMatch) {
+        return {
+            type: 'field',
+            field: fieldMatch[1].toLowerCase(),
+            value: fieldMatch[2].replace(/"/g, '')
+        };
+    }
+
+    return { type: 'term', value: text };
+}
+
+function applyToken(query, token) {
+    const addError = (message) => {
+        query.errors.push({ message, start: token.start, end: token.end });
+    };
+
+    switch (token.type) {
+        case 'phrase': {
+            if (token.unclosed) {
+                addError('Missing closing quote');
+            }
+            const phrase = token.value.trim().toLowerCase();
+            if (!phrase) return;
+            (token.negated ? query.excludedTerms : query.phrases).push(phrase);
+            return;
+        }
+
+        case 'shortcut': {
+            const category = CATEGORY_SHORTCUTS[token.value.toLowerCase()];
+            if (!category) {
+                addError(`Unknown shortcut "!${token.value}"`);
+                return;
+            }
+            (token.negated ? query.excludedCategories : query.categories).push(category);
+            return;
+        }
+
+        case 'tag': {
+            const tag = token.value.toLowerCase();
+            if (!tag) {
+                addError('"#" needs a tag name');
+                return;
+            }
+            (token.negated ? query.excludedTags : query.tags).push(tag);
+            return;
+        }
+
+        case 'field':
+            applyField(query, token, addError);
+            return;
+
+        default: {
+            const term = token.value.toLowerCase();
+            if (!/[\p{L}\p{N}]/u.test(term)) return;
+            if (token.negated) {
+                query.excludedTerms.push(term);
+            } else {
+                query.terms.push(term);
+            }
+        }
+    }
+}
+
+function applyField(query, token, addError) {
+    const { field, value } = token;
+
+    if (!QUERY_FIELDS.includes(field)) {
+        // Not one of ours - treat it as ordinary text ("12:30", "re:mix")
+        // unless it is one typo away from a real filter
+        const suggestion = QUERY_FIELDS.find(f => editDistance(field, f, 1) <= 1);
+        if (suggestion) {
+            addError(`Unknown filter "${field}:" - did you mean "${suggestion}:"?`);
+            return;
+        }
+        applyToken(query, { ...token, type: 'term', value: `${field}:${value}` });
+        return;
+    }
+
+    if (!value) {
+        addError(`"${field}:" needs a value`);
+        return;
+    }
+
+    if (field === 'size') {
+        const size = parseSizeFilter(value);
+        if (!size) {
+            addError(`Invalid size "${value}" (try size:<2mb or size:100kb..5mb)`);
+            return;
+        }
+        query.sizes.push({ ...size, negated: token.negated });
+        return;
+    }
+
+    const values = value.toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+
+    if (field === 'ext') {
+        const extensions = values.map(v => v.replace(/^\./, ''));
+        (token.negated ? query.excludedExtensions : query.extensions).push(...extensions);
+        return;
+    }
+
+    // cat / category
+    const known = getKnownCategories();
+    for (const v of values) {
+        const category = known.includes(v) ? v : CATEGORY_SHORTCUTS[v];
+        if (!category) {
+            addError(`Unknown category "${v}" (one of ${known.join(', ')})`);
+            continue;
+        }
+        (token.negated ? query.excludedCategories : query.categories).push(category);
+    }
+}
+
+function parseSize(text) {
+    const match = text.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b?)$/);
+    if (!match) return null;
+    const unit = SIZE_UNITS[match[2] || 'b'];
+    return Math.round(parseFloat(match[1]) * unit);
+}
+
+function parseSizeFilter(value) {
+    const rangeMatch = value.match(/^(.+?)(?:\.\.|-)(.+)$/);
+    if (rangeMatch) {
+        const min = parseSize(rangeMatch[1]);
+        const max = parseSize(rangeMatch[2]);
+        if (min === null || max === null || min > max) return null;
+        return { min, max };
+    }
+
+    const opMatch = value.match(/^(<=|>=|<|>|=)?(.+)$/);
+    const bytes = parseSize(opMatch[2]);
+    if (bytes === null) return null;
+
+    switch (opMatch[1]) {
+        case '<': return { max: bytes - 1 };
+        case '<=': return { max: bytes };
+        case '>': return { min: bytes + 1 };
+        case '>=': return { min: bytes };
+        default: {
+            // A bare size means "about this big": within the unit's rounding
+            const unitMatch = opMatch[2].toLowerCase().match(/[kmg]/);
+            const slack = unitMatch ? SIZE_UNITS[unitMatch[0]] / 2 : 0;
+            return { min: bytes - slack, max: bytes + slack };
+        }
+    }
+}
+
+function matchesSize(bytes, size) {
+    const inRange = (size.min === undefined || bytes >= size.min) &&
+        (size.max === undefined || bytes <= size.max);
+    return size.negated ? !inRange : inRange;
+}
+
+// Every structured filter except free-text ranking
+function matchesQueryFilters(asset, query) {
+    const ext = String(asset.ext || '').toLowerCase();
+    if (query.extensions.length > 0 && !query.extensions.includes(ext)) return false;
+    if (query.excludedExtensions.includes(ext)) return false;
+    if (query.excludedCategories.includes(asset.category)) return false;
+
+    for (const size of query.sizes) {
+        if (!matchesSize(asset.size || 0, size)) return false;
+    }
+
+    if (query.tags.length > 0 || query.excludedTags.length > 0) {
+        const tags = getAssetTags(asset);
+        if (!query.tags.every(tag => tags.includes(tag))) return false;
+        if (query.excludedTags.some(tag => tags.includes(tag))) return false;
+    }
+
+    if (query.phrases.length > 0 || query.excludedTerms.length > 0) {
+        const haystack = `${asset.title}\n${asset.filename}\n${getAssetNote(asset)}`.toLowerCase();
+        if (!query.phrases.every(phrase => haystack.includes(phrase))) return false;
+        if (query.excludedTerms.some(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+}
+
+// Raw query text with the category parts (!x shortcuts and cat: filters) removed
+function stripCategoryTokens(raw) {
+    const tokens = tokenizeSearch(raw).filter(token =>
+        !token.negated && (token.type === 'shortcut' ||
+            (token.type === 'field' && (token.field === 'cat' || token.field === 'category')))
+    );
+
+    let result = raw;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        result = result.slice(0, tokens[i].start) + result.slice(tokens[i].end);
+    }
+    return result.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,255 @@
+// ===== Ranked Fuzzy Search =====
+// Scores assets against a free-text query. Title and filename are scored
+// separately; every query token has to match one of them somewhere.
+
+const SCORE_EXACT = 1000;
+const SCORE_PREFIX = 800;
+const SCORE_WORD = 700;
+const SCORE_WORD_PREFIX = 600;
+const SCORE_ACRONYM = 500;
+const SCORE_SUBSTRING = 400;
+const SCORE_TYPO = 300;
+const SCORE_SUBSEQUENCE = 200;
+const FILENAME_WEIGHT = 0.8;
+
+// Lowercased fields and word boundaries, computed once per asset
+const searchFields = new WeakMap();
+
+function indexAssetForSearch(asset) {
+    const title = String(asset.title || '');
+    const filename = String(asset.filename || '');
+    const entry = {
+        title: buildSearchField(title),
+        filename: buildSearchField(filename.replace(/\.[^.]+$/, ''))
+    };
+    searchFields.set(asset, entry);
+    return entry;
+}
+
+function buildSearchField(text) {
+    const lower = text.toLowerCase();
+    const words = [];
+    // Words split on separators and camelCase humps ("BoomBox_loop" -> boom, box, loop)
+    const wordRegex = /\p{Lu}?\p{Ll}+|\p{Lu}+(?!\p{Ll})|\p{N}+/gu;
+    let match;
+    while ((match = wordRegex.exec(text)) !== null) {
+        words.push({ text: match[0].toLowerCase(), start: match.index });
+    }
+    return {
+        text: lower,
+        words,
+        initials: words.map(w => w.text[0]).join('')
+    };
+}
+
+function tokenizeQuery(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Returns { score, titleIndices } or null when any token fails to match
+function scoreAsset(asset, tokens) {
+    const fields = searchFields.get(asset) || indexAssetForSearch(asset);
+    let total = 0;
+    const titleIndices = [];
+
+    for (const token of tokens) {
+        const titleMatch = matchField(fields.title, token);
+        const filenameMatch = matchField(fields.filename, token);
+        const filenameScore = filenameMatch ? filenameMatch.score * FILENAME_WEIGHT : 0;
+
+        if (!titleMatch && !filenameMatch) {
+            return null;
+        }
+
+        if (titleMatch && titleMatch.score >= filenameScore) {
+            total += titleMatch.score;
+            titleIndices.push(...titleMatch.indices);
+        } else {
+            total += filenameScore;
+        }
+    }
+
+    // Prefer tighter titles when scores tie ("Boom" over "Boom Loop Long")
+    total -= fields.title.text.length * 0.1;
+
+    return { score: total, titleIndices };
+}
+
+function matchField(field, token) {
+    const { text, words, initials } = field;
+    if (!text) return null;
+
+    if (text === token) {
+        return { score: SCORE_EXACT, indices: range(0, token.length) };
+    }
+
+    if (text.startsWith(token)) {
+        return { score: SCORE_PREFIX, indices: range(0, token.length) };
+    }
+
+    for (const word of words) {
+        if (word.text === token) {
+            return { score: SCORE_WORD, indices: range(word.start, word.start + token.length) };
+        }
+    }
+
+    for (const word of words) {
+        if (word.text.startsWith(token)) {
+            return { score: SCORE_WORD_PREFIX, indices: range(word.start, word.start + token.length) };
+        }
+    }
+
+    if (token.length >= 2 && initials.startsWith(token)) {
+        return {
+            score: SCORE_ACRONYM,
+            indices: words.slice(0, token.length).map(w => w.start)
+        };
+    }
+
+    const position = text.indexOf(token);
+    if (position !== -1) {
+        return {
+            score: SCORE_SUBSTRING - Math.min(position, 50),
+            indices: range(position, position + token.length)
+        };
+    }
+
+    const typo = matchWithTypos(words, token);
+    if (typo) {
+        return typo;
+    }
+
+    return matchSubsequence(text, words, token);
+}
+
+function maxTyposFor(token) {
+    if (token.length <= 3) return 0;
+    if (token.length <= 6) return 1;
+    return 2;
+}
+
+// Compare the token against whole words and same-length word prefixes so
+// partially typed words with a slip ("explsion", "explso") still hit
+function matchWithTypos(words, token) {
+    const maxTypos = maxTyposFor(token);
+    if (maxTypos === 0) return null;
+
+    let best = null;
+    for (const word of words) {
+        if (word.text.length < token.length - maxTypos) {
+            continue;
+        }
+
+        const candidates = [word.text];
+        if (word.text.length > token.length) {
+            candidates.push(word.text.slice(0, token.length));
+        }
+
+        for (const candidate of candidates) {
+            const distance = editDistance(candidate, token, maxTypos);
+            if (distance <= maxTypos && (!best || distance < best.distance)) {
+                best = {
+                    distance,
+                    score: SCORE_TYPO - distance * 50 - (candidate === word.text ? 0 : 10),
+                    indices: range(word.start, word.start + candidate.length)
+                };
+            }
+        }
+    }
+
+    return best ? { score: best.score, indices: best.indices } : null;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// bailing out once every cell in a row exceeds `limit`
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let prevPrev = null;
+    let prev = range(0, b.length + 1);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(
+                prev[j] + 1,
+                current[j - 1] + 1,
+                prev[j - 1] + cost
+            );
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+// Characters of the token in order, rewarding hits on word starts
+function matchSubsequence(text, words, token) {
+    if (token.length < 2) return null;
+
+    const wordStarts = new Set(words.map(w => w.start));
+    const indices = [];
+    let searchFrom = 0;
+    let boundaryHits = 0;
+
+    for (const char of token) {
+        const found = text.indexOf(char, searchFrom);
+        if (found === -1) return null;
+        indices.push(found);
+        if (wordStarts.has(found)) boundaryHits++;
+        searchFrom = found + 1;
+    }
+
+    const span = indices[indices.length - 1] - indices[0] + 1;
+    const gaps = span - token.length;
+    // Scattered matches across a long title are noise, not intent
+    if (gaps > token.length * 3) return null;
+
+    return {
+        score: SCORE_SUBSEQUENCE + boundaryHits * 20 - gaps * 5,
+        indices
+    };
+}
+
+function range(start, end) {
+    const result = [];
+    for (let i = start; i < end; i++) result.push(i);
+    return result;
+}
+
+// Text nodes for `text`, with the matched character positions in <mark>s
+function highlightMatches(text, indices) {
+    if (!indices || indices.length === 0) {
+        return [text];
+    }
+
+    const marked = new Set(indices);
+    const nodes = [];
+    let run = '';
+    let inMark = false;
+    const flush = () => {
+        if (run) nodes.push(inMark ? el('mark', {}, run) : run);
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const isMarked = marked.has(i);
+        if (isMarked !== inMark) {
+            flush();
+            run = '';
+            inMark = isMarked;
+        }
+        run += text[i];
+    }
+    flush();
+
+    return nodes;
+}
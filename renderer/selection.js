@@ -0,0 +1,195 @@
+// ===== Multi-Selection & Bulk Export =====
+// Selection is keyed by asset id and survives query changes, so results from
+// several searches can be collected into one export.
+
+let selectedAssets = new Map(); // asset id -> asset
+let selectionAnchor = -1;
+let isExporting = false;
+
+const selectionBar = document.getElementById('selectionBar');
+const exportPanel = document.getElementById('exportPanel');
+
+function isSelected(asset) {
+    return selectedAssets.has(String(asset.id));
+}
+
+function refreshSelectionClasses() {
+    assetsGrid.querySelectorAll('.asset-tile').forEach(tile => {
+        tile.classList.toggle('multi-selected', selectedAssets.has(tile.dataset.id));
+    });
+    renderSelectionBar();
+}
+
+function toggleSelected(asset) {
+    const id = String(asset.id);
+    if (selectedAssets.has(id)) {
+        selectedAssets.delete(id);
+    } else {
+        selectedAssets.set(id, asset);
+    }
+    selectionAnchor = filteredAssets.indexOf(asset);
+    refreshSelectionClasses();
+}
+
+function selectRange(fromIndex, toIndex) {
+    const start = Math.max(Math.min(fromIndex, toIndex), 0);
+    const end = Math.min(Math.max(fromIndex, toIndex), filteredAssets.length - 1);
+    for (let i = start; i <= end; i++) {
+        selectedAssets.set(String(filteredAssets[i].id), filteredAssets[i]);
+    }
+    refreshSelectionClasses();
+}
+
+function selectAllResults() {
+    filteredAssets.forEach(asset => selectedAssets.set(String(asset.id), asset));
+    refreshSelectionClasses();
+}
+
+function clearSelection() {
+    selectedAssets = new Map();
+    selectionAnchor = -1;
+    refreshSelectionClasses();
+}
+
+// Ctrl/Cmd-click toggles, Shift-click extends from the anchor.
+// Returns false for a plain click so the caller can open the preview.
+function handleSelectionClick(e, asset) {
+    const index = filteredAssets.indexOf(asset);
+
+    if (e.shiftKey) {
+        selectRange(selectionAnchor >= 0 ? selectionAnchor : index, index);
+        focusedIndex = index;
+        updateSelection();
+        return true;
+    }
+
+    if (e.ctrlKey || e.metaKey) {
+        toggleSelected(asset);
+        focusedIndex = index;
+        updateSelection();
+        return true;
+    }
+
+    if (selectedAssets.size > 0) {
+        clearSelection();
+    }
+    selectionAnchor = index;
+    return false;
+}
+
+// Shift+Arrow: grow the selection from the anchor to the newly focused tile
+function extendSelectionTo(index) {
+    if (selectionAnchor < 0) {
+        selectionAnchor = index;
+    }
+    selectRange(selectionAnchor, index);
+}
+
+function renderSelectionBar() {
+    if (filteredAssets.length === 0 && selectedAssets.size === 0) {
+        selectionBar.replaceChildren();
+        return;
+    }
+
+    const selectAll = el('button', { className: 'selection-btn select-all' }, 'Select all results');
+    if (selectedAssets.size === 0) {
+        selectionBar.replaceChildren(selectAll);
+        return;
+    }
+
+    selectionBar.replaceChildren(
+        el('span', { className: 'selection-count' }, `${selectedAssets.size} selected`),
+        selectAll,
+        el('button', { className: 'selection-btn export-folder', disabled: isExporting }, 'Export to folder'),
+        el('button', { className: 'selection-btn export-zip', disabled: isExporting }, 'Export as ZIP'),
+        el('button', { className: 'selection-btn clear-selection' }, 'Clear')
+    );
+}
+
+async function exportSelection(mode) {
+    if (isExporting || selectedAssets.size === 0) return;
+
+    isExporting = true;
+    renderSelectionBar();
+    renderExportProgress({ done: 0, total: selectedAssets.size, current: null, failed: 0 });
+
+    try {
+        const result = await window.api.exportAssets([...selectedAssets.values()], mode);
+        if (result.message === 'Export canceled') {
+            hideExportPanel();
+        } else {
+            renderExportReport(result);
+        }
+    } catch (error) {
+        renderExportReport({ success: false, message: error.message });
+    } finally {
+        isExporting = false;
+        renderSelectionBar();
+    }
+}
+
+function renderExportProgress(progress) {
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+    const fill = el('div', { className: 'progress-fill' });
+    fill.style.width = `${percent}%`;
+
+    exportPanel.replaceChildren(
+        el('div', { className: 'export-status' },
+            `Exporting ${progress.done} / ${progress.total}`,
+            progress.current && ` · ${progress.current}`,
+            progress.failed > 0 && ' · ',
+            progress.failed > 0 && el('span', { className: 'export-failed-count' }, `${progress.failed} failed`)
+        ),
+        el('div', { className: 'progress-track' }, fill)
+    );
+    exportPanel.classList.add('visible');
+}
+
+function renderExportReport(result) {
+    const failed = result.failed || [];
+    let summary;
+    if (result.exported !== undefined) {
+        const total = result.exported + failed.length;
+        summary = [`Exported ${result.exported} of ${total} to `, el('span', { className: 'export-path' }, String(result.path))];
+    } else {
+        summary = [`Export failed: ${result.message || 'Unknown error'}`];
+    }
+
+    const failures = failed.map(item => el('li', {}, el('strong', {}, String(item.title)), ` — ${item.message}`));
+
+    exportPanel.replaceChildren(...[
+        el('div', { className: `export-status ${result.success ? '' : 'error'}` }, ...summary),
+        failures.length > 0 && el('ul', { className: 'export-failures' }, ...failures),
+        el('button', { className: 'selection-btn dismiss-export' }, 'Close')
+    ].filter(Boolean));
+    exportPanel.classList.add('visible');
+}
+
+function hideExportPanel() {
+    exportPanel.classList.remove('visible');
+    exportPanel.replaceChildren();
+}
+
+function setupSelection() {
+    selectionBar.addEventListener('click', (e) => {
+        const btn = e.target.closest('.selection-btn');
+        if (!btn) return;
+
+        if (btn.classList.contains('select-all')) selectAllResults();
+        else if (btn.classList.contains('clear-selection')) clearSelection();
+        else if (btn.classList.contains('export-folder')) exportSelection('folder');
+        else if (btn.classList.contains('export-zip')) exportSelection('zip');
+    });
+
+    exportPanel.addEventListener('click', (e) => {
+        if (e.target.closest('.dismiss-export')) {
+            hideExportPanel();
+        }
+    });
+
+    window.api.onExportProgress((event, progress) => {
+        if (isExporting) {
+            renderExportProgress(progress);
+        }
+    });
+}
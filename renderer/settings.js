@@ -0,0 +1,220 @@
+// ===== Settings Panel =====
+// Built from the schema the main process sends, so new settings only need a
+// schema entry. Each field saves on change; the main process validates.
+
+let appSettings = {};
+let settingsSchema = {};
+let shortcutError = null;
+
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsPanel = document.getElementById('settingsPanel');
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'];
+const ACCELERATOR_KEYS = {
+    ' ': 'Space',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Escape: 'Esc',
+    '+': 'Plus'
+};
+
+async function loadSettings() {
+    try {
+        const result = await window.api.getSettings();
+        settingsSchema = result.schema;
+        shortcutError = result.shortcutError;
+        applyRendererSettings(result.settings);
+        if (shortcutError) {
+            toggleSettingsPanel(true);
+        }
+    } catch (error) {
+        console.error('Failed to load settings:', error);
+    }
+}
+
+function applyRendererSettings(values) {
+    appSettings = values;
+}
+
+function isSettingsOpen() {
+    return settingsPanel.classList.contains('visible');
+}
+
+function toggleSettingsPanel(show = !isSettingsOpen()) {
+    settingsPanel.classList.toggle('visible', show);
+    settingsBtn.classList.toggle('active', show);
+    if (show) {
+        renderSettingsPanel();
+    } else {
+        settingsPanel.replaceChildren();
+        searchInput.focus();
+    }
+}
+
+function formatSettingValue(field, value) {
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function createSettingField(key, field) {
+    const value = appSettings[key];
+    const id = `setting-${key}`;
+    let control;
+
+    if (field.type === 'boolean') {
+        control = el('input', { type: 'checkbox', id, dataset: { key }, checked: !!value });
+    } else if (field.type === 'integer') {
+        control = el('input', { type: 'number', id, dataset: { key }, min: String(field.min), max: String(field.max), step: '1', value: String(value) });
+    } else if (field.type === 'shortcut') {
+        control = el('input', {
+            type: 'text', id, dataset: { key }, className: 'shortcut-input', readOnly: true,
+            value: String(value ?? ''), title: 'Click, then press the new key combination'
+        });
+    } else {
+        control = el('input', { type: 'text', id, dataset: { key }, value: formatSettingValue(field, value), spellcheck: false });
+    }
+
+    const error = key === 'globalShortcut' && shortcutError ? shortcutError : '';
+    const row = el('div', { className: 'setting-row', dataset: { key } },
+        el('label', { htmlFor: id }, field.label),
+        el('div', { className: 'setting-control' }, control, field.unit && el('span', { className: 'setting-unit' }, field.unit)),
+        el('div', { className: 'setting-error' }, error)
+    );
+    row.classList.toggle('toggle', field.type === 'boolean');
+    row.classList.toggle('has-error', !!error);
+    return row;
+}
+
+function renderSettingsPanel() {
+    const sections = new Map();
+    for (const [key, field] of Object.entries(settingsSchema)) {
+        if (field.type === 'providers' || field.type === 'keybindings') continue; // have their own editors below
+        if (!sections.has(field.section)) sections.set(field.section, []);
+        sections.get(field.section).push(createSettingField(key, field));
+    }
+
+    settingsPanel.replaceChildren(
+        el('div', { className: 'settings-header' },
+            el('span', {}, 'Settings'),
+            el('div', { className: 'settings-actions' },
+                el('button', { className: 'selection-btn reset-settings' }, 'Restore defaults'),
+                el('button', { className: 'selection-btn close-settings' }, 'Done')
+            )
+        ),
+        ...[...sections].map(([name, fields]) => el('section', { className: 'settings-section' }, el('h3', {}, name), ...fields)),
+        createProvidersSection(),
+        createLocalFoldersSection(),
+        createAnnotationsSection(),
+        createKeyBindingsSection()
+    );
+    loadSourceStatus();
+    loadLocalFolders();
+}
+
+function setSettingError(key, message) {
+    const row = settingsPanel.querySelector(`.setting-row[data-key="${key}"]`);
+    if (!row) return;
+    row.classList.toggle('has-error', !!message);
+    row.querySelector('.setting-error').textContent = message || '';
+}
+
+async function saveSetting(key, value) {
+    // Protected keys go through a confirmation in the main process
+    const result = settingsSchema[key].protected
+        ? await window.api.setAllowedOrigins(value)
+        : await window.api.updateSettings({ [key]: value });
+    if (result.message === 'Canceled') {
+        settingsPanel.querySelector(`input[data-key="${key}"]`).value = formatSettingValue(settingsSchema[key], appSettings[key]);
+        return;
+    }
+    if (!result.success) {
+        setSettingError(key, result.message);
+        return;
+    }
+
+    if (key === 'globalShortcut') {
+        shortcutError = null;
+    }
+    applyRendererSettings(result.settings);
+    setSettingError(key, null);
+
+    // Show the normalised value, e.g. a trimmed URL or clamped list
+    const input = settingsPanel.querySelector(`input[data-key="${key}"]`);
+    if (input && input.type !== 'checkbox') {
+        input.value = formatSettingValue(settingsSchema[key], result.settings[key]);
+    }
+}
+
+// Electron accelerator for a keydown, or null while only modifiers are held
+function acceleratorFromEvent(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('CommandOrControl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+
+    let key = ACCELERATOR_KEYS[e.key] || e.key;
+    if (key.length === 1) key = key.toUpperCase();
+    parts.push(key);
+    return parts.join('+');
+}
+
+function setupSettings() {
+    settingsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleSettingsPanel();
+    });
+
+    settingsPanel.addEventListener('click', async (e) => {
+        if (e.target.closest('.close-settings')) {
+            toggleSettingsPanel(false);
+            return;
+        }
+
+        if (e.target.closest('.reset-settings')) {
+            const result = await window.api.resetSettings();
+            if (result.success) {
+                shortcutError = null;
+                applyRendererSettings(result.settings);
+                renderSettingsPanel();
+            } else {
+                setSettingError('globalShortcut', result.message);
+            }
+        }
+    });
+
+    settingsPanel.addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-key]');
+        if (!input || input.classList.contains('shortcut-input')) return;
+
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        saveSetting(input.dataset.key, value);
+    });
+
+    // Shortcut recorder: the next non-modifier key combination becomes the binding
+    settingsPanel.addEventListener('keydown', (e) => {
+        const input = e.target.closest('.shortcut-input');
+        if (!input) return;
+        if (e.key === 'Tab') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            input.value = appSettings.globalShortcut;
+            input.blur();
+            return;
+        }
+
+        const accelerator = acceleratorFromEvent(e);
+        if (accelerator) {
+            input.value = accelerator;
+            saveSetting('globalShortcut', accelerator);
+        }
+    });
+
+    window.api.onSettingsChanged((event, values) => {
+        applyRendererSettings(values);
+    });
+}
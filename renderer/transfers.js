@@ -0,0 +1,127 @@
+// ===== Transfers Panel =====
+// Mirrors the main-process download queue: progress, retries, cancel.
+
+const TRANSFER_STATUS_LABELS = {
+    queued: 'Queued',
+    active: 'Downloading',
+    retrying: 'Retrying',
+    done: 'Done',
+    failed: 'Failed',
+    canceled: 'Canceled'
+};
+
+let transfers = new Map(); // transfer id -> transfer
+
+const transfersBtn = document.getElementById('transfersBtn');
+const transfersBadge = document.getElementById('transfersBadge');
+const transfersPanel = document.getElementById('transfersPanel');
+
+async function loadTransfers() {
+    try {
+        setTransfers(await window.api.listTransfers());
+    } catch (error) {
+        console.error('Failed to load transfers:', error);
+    }
+}
+
+function setTransfers(list) {
+    transfers = new Map(list.map(transfer => [transfer.id, transfer]));
+    renderTransfers();
+}
+
+function isTransferRunning(transfer) {
+    return !transfer.finishedAt;
+}
+
+function renderTransfers() {
+    const list = [...transfers.values()].reverse();
+    const running = list.filter(isTransferRunning).length;
+
+    transfersBadge.textContent = running;
+    transfersBadge.classList.toggle('visible', running > 0);
+    transfersBtn.classList.toggle('active', running > 0);
+
+    if (!transfersPanel.classList.contains('visible')) return;
+
+    const items = list.map(transfer => {
+        const percent = transfer.totalBytes
+            ? Math.min(100, Math.round((transfer.receivedBytes / transfer.totalBytes) * 100))
+            : null;
+        const bytes = transfer.totalBytes
+            ? `${formatSize(transfer.receivedBytes)} / ${formatSize(transfer.totalBytes)}`
+            : formatSize(transfer.receivedBytes);
+
+        let status = TRANSFER_STATUS_LABELS[transfer.status] || transfer.status;
+        if (transfer.status === 'active' && percent !== null) status = `${percent}%`;
+        if (transfer.status === 'retrying') status = `Retrying (attempt ${transfer.attempts + 1})`;
+
+        const fill = el('div', { className: 'progress-fill' });
+        fill.style.width = `${transfer.status === 'done' ? 100 : (percent || 0)}%`;
+
+        return el('li', { className: `transfer-item ${transfer.status}`, dataset: { id: transfer.id } },
+            el('div', { className: 'transfer-row' },
+                el('span', { className: 'transfer-title', title: transfer.title || '' }, transfer.title || 'Download'),
+                isTransferRunning(transfer) && el('button', { className: 'transfer-cancel', title: 'Cancel' }, '×')
+            ),
+            el('div', { className: 'progress-track' }, fill),
+            el('div', { className: 'transfer-row transfer-meta' },
+                el('span', {}, status),
+                el('span', {}, bytes)
+            ),
+            transfer.error && transfer.status !== 'done' && el('div', { className: 'transfer-error' }, transfer.error)
+        );
+    });
+
+    const hasFinished = list.some(transfer => !isTransferRunning(transfer));
+    transfersPanel.replaceChildren(
+        el('div', { className: 'transfers-header' },
+            el('span', {}, 'Transfers'),
+            el('button', { className: 'selection-btn clear-transfers', disabled: !hasFinished }, 'Clear finished')
+        ),
+        items.length > 0
+            ? el('ul', { className: 'transfers-list' }, ...items)
+            : el('p', { className: 'transfers-empty' }, 'No downloads yet')
+    );
+}
+
+function toggleTransfersPanel(show = !transfersPanel.classList.contains('visible')) {
+    transfersPanel.classList.toggle('visible', show);
+    renderTransfers();
+}
+
+function setupTransfers() {
+    transfersBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTransfersPanel();
+    });
+
+    transfersPanel.addEventListener('click', async (e) => {
+        e.stopPropagation();
+
+        const cancelBtn = e.target.closest('.transfer-cancel');
+        if (cancelBtn) {
+            window.api.cancelTransfer(cancelBtn.closest('.transfer-item').dataset.id);
+            return;
+        }
+
+        if (e.target.closest('.clear-transfers')) {
+            try {
+                setTransfers(await window.api.clearFinishedTransfers());
+            } catch (error) {
+                console.error('Failed to clear transfers:', error);
+            }
+        }
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', () => {
+        if (transfersPanel.classList.contains('visible')) {
+            toggleTransfersPanel(false);
+        }
+    });
+
+    window.api.onTransferUpdated((event, transfer) => {
+        transfers.set(transfer.id, transfer);
+        renderTransfers();
+    });
+}
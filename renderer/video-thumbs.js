@@ -0,0 +1,241 @@
+// ===== Video Thumbnails =====
+// Video tiles draw a poster frame and scrub through a strip of frames on
+// hover instead of each mounting a <video>. The frames are grabbed once from
+// an offscreen video and kept by the main process. The video streams through
+// rd-asset://stream/, so grabbing only fetches the ranges it seeks to and
+// never touches the download queue.
+
+const THUMB_FRAMES = 12;
+const THUMB_FRAME_WIDTH = 240;
+const THUMB_QUALITY = 0.8;
+const THUMB_EVENT_TIMEOUT_MS = 15000;
+const AUTO_THUMBNAIL_MAX_BYTES = 100 * 1024 * 1024;
+
+const thumbnailRequests = new Map(); // asset id -> Promise<{ image, frames, frameWidth, frameHeight, poster, duration } | null>
+const videoThumbStates = new WeakMap(); // canvas -> { asset, thumbnail, frame }
+
+const thumbnailResizeObserver = new ResizeObserver(entries => {
+    entries.forEach(entry => drawVideoFrame(entry.target));
+});
+
+const thumbnailVisibilityObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            thumbnailVisibilityObserver.unobserve(entry.target);
+            requestVideoThumbnail(entry.target);
+        }
+    });
+});
+
+function getVideoThumbnail(asset) {
+    const key = String(asset.id);
+    if (!thumbnailRequests.has(key)) {
+        const request = loadVideoThumbnail(asset).catch(error => {
+            console.warn(`No thumbnail for ${asset.title}:`, error.message);
+            thumbnailRequests.delete(key);
+            return null;
+        });
+        thumbnailRequests.set(key, request);
+    }
+    return thumbnailRequests.get(key);
+}
+
+async function loadVideoThumbnail(asset) {
+    let thumbnail = await window.api.getVideoThumbnail(asset);
+    if (!thumbnail) {
+        const result = await window.api.saveVideoThumbnail(asset, await queueDecode(() => grabVideoFrames(asset)));
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        thumbnail = await window.api.getVideoThumbnail(asset);
+    }
+
+    const image = new Image();
+    image.src = thumbnail.url;
+    await image.decode();
+    return { ...thumbnail, image };
+}
+
+function waitForMediaEvent(media, type) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => done(new Error(`Timed out waiting for ${type}`)), THUMB_EVENT_TIMEOUT_MS);
+        const onEvent = () => done(null);
+        const onError = () => done(new Error(media.error ? media.error.message || 'Cannot decode video' : 'Cannot load video'));
+        const done = (error) => {
+            clearTimeout(timer);
+            media.removeEventListener(type, onEvent);
+            media.removeEventListener('error', onError);
+            if (error) reject(error); else resolve();
+        };
+        media.addEventListener(type, onEvent);
+        media.addEventListener('error', onError);
+    });
+}
+
+// Standard deviation of luma: black, white and faded frames score low
+function frameDetail(ctx, x, width, height) {
+    const { data } = ctx.getImageData(x, 0, width, height);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        sum += luma;
+        sumSquares += luma * luma;
+    }
+    const count = data.length / 4;
+    return Math.sqrt(Math.max(sumSquares / count - (sum / count) ** 2, 0));
+}
+
+// Evenly spaced frames side by side in one JPEG; the most detailed is the poster
+async function grabVideoFrames(asset) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.crossOrigin = 'anonymous';
+
+    try {
+        const loaded = waitForMediaEvent(video, 'loadeddata');
+        video.src = assetStreamUrl(asset);
+        await loaded;
+
+        const { duration, videoWidth, videoHeight } = video;
+        if (!Number.isFinite(duration) || duration <= 0 || !videoWidth || !videoHeight) {
+            throw new Error('Video has no frames');
+        }
+
+        const frameWidth = Math.min(THUMB_FRAME_WIDTH, videoWidth);
+        const frameHeight = Math.max(1, Math.round(frameWidth * videoHeight / videoWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = frameWidth * THUMB_FRAMES;
+        canvas.height = frameHeight;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        let poster = 0;
+        let bestDetail = -1;
+        for (let i = 0; i < THUMB_FRAMES; i++) {
+            const seeked = waitForMediaEvent(video, 'seeked');
+            video.currentTime = duration * (i + 0.5) / THUMB_FRAMES;
+            await seeked;
+
+            ctx.drawImage(video, i * frameWidth, 0, frameWidth, frameHeight);
+            const detail = frameDetail(ctx, i * frameWidth, frameWidth, frameHeight);
+            if (detail > bestDetail) {
+                bestDetail = detail;
+                poster = i;
+            }
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMB_QUALITY));
+        if (!blob) {
+            throw new Error('Could not encode thumbnails');
+        }
+        return {
+            data: new Uint8Array(await blob.arrayBuffer()),
+            frames: THUMB_FRAMES,
+            frameWidth,
+            frameHeight,
+            poster,
+            duration
+        };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// ===== Tiles =====
+// Horizontal mouse position over the tile picks the frame; leaving it shows
+// the poster again. `durationEl` gets the length once it is known.
+function attachVideoThumbnail(canvas, asset, durationEl) {
+    const state = { asset, durationEl, thumbnail: null, frame: 0, requested: false };
+    videoThumbStates.set(canvas, state);
+
+    const preview = canvas.parentElement;
+    preview.addEventListener('mousemove', (e) => {
+        if (!state.thumbnail) return;
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.9999);
+        state.frame = Math.floor(fraction * state.thumbnail.frames);
+        drawVideoFrame(canvas);
+    });
+    preview.addEventListener('mouseleave', () => {
+        if (!state.thumbnail) return;
+        state.frame = state.thumbnail.poster;
+        drawVideoFrame(canvas);
+    });
+
+    reattachVideoThumbnail(canvas);
+}
+
+// The grid takes tiles out of the DOM and may put them back later
+function detachVideoThumbnail(canvas) {
+    thumbnailResizeObserver.unobserve(canvas);
+    thumbnailVisibilityObserver.unobserve(canvas);
+}
+
+function reattachVideoThumbnail(canvas) {
+    const state = videoThumbStates.get(canvas);
+    if (!state) return;
+    thumbnailResizeObserver.observe(canvas);
+    if (!state.requested && (!state.asset.size || state.asset.size <= AUTO_THUMBNAIL_MAX_BYTES)) {
+        thumbnailVisibilityObserver.observe(canvas);
+    }
+}
+
+async function requestVideoThumbnail(canvas) {
+    const state = videoThumbStates.get(canvas);
+    if (!state || state.requested) return;
+    state.requested = true;
+
+    const thumbnail = await getVideoThumbnail(state.asset);
+    if (!thumbnail) {
+        state.requested = false;
+        return;
+    }
+    state.thumbnail = thumbnail;
+    state.frame = thumbnail.poster;
+    if (thumbnail.duration) {
+        state.durationEl.textContent = formatDuration(thumbnail.duration);
+        state.durationEl.hidden = false;
+    }
+    canvas.classList.add('loaded');
+    drawVideoFrame(canvas);
+}
+
+function formatDuration(seconds) {
+    const whole = Math.max(1, Math.round(seconds));
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const secs = String(whole % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// One frame of the strip, cropped to cover the canvas like object-fit: cover
+function drawVideoFrame(canvas) {
+    const state = videoThumbStates.get(canvas);
+    if (!canvas.isConnected) {
+        thumbnailResizeObserver.unobserve(canvas);
+        return;
+    }
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!state || !state.thumbnail || !width || !height) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+    }
+
+    const { image, frameWidth, frameHeight } = state.thumbnail;
+    const scale = Math.max(canvas.width / frameWidth, canvas.height / frameHeight);
+    const sourceWidth = canvas.width / scale;
+    const sourceHeight = canvas.height / scale;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(
+        image,
+        state.frame * frameWidth + (frameWidth - sourceWidth) / 2, (frameHeight - sourceHeight) / 2,
+        sourceWidth, sourceHeight,
+        0, 0, canvas.width, canvas.height
+    );
+}
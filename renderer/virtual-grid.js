@@ -0,0 +1,191 @@
+// ===== Virtual Grid =====
+// Only the rows in view, plus a few either side, are in the DOM. Tiles that
+// stay in range are left alone; ones that scroll out go to a small pool and
+// are bound to whichever asset scrolls in next, preferring the one they
+// showed before so scrolling back keeps a drawn waveform or thumbnail.
+// Every row gets the height of the tallest tile seen so far, which turns a
+// row's position into a multiplication.
+
+const EMPTY_RESULTS_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+    <circle cx="11" cy="11" r="8"></circle>
+    <path d="m21 21-4.3-4.3"></path>
+    <path d="M8 8h6"></path>
+  </svg>
+`;
+
+const GRID_OVERSCAN_ROWS = 2;
+const TILE_POOL_SIZE = 120;
+const ESTIMATED_ROW_HEIGHT = 200;
+
+const gridTiles = new Map(); // slot key (see gridSlotKeys) -> tile in the DOM
+const tilePool = []; // detached tiles, most recently released last
+let gridRowHeight = 0;
+let gridFrame = null;
+let gridStale = false;
+
+function setupGrid() {
+    assetsContainer.addEventListener('scroll', scheduleGridRender);
+
+    // Wider tiles are taller: measure rows again
+    new ResizeObserver(() => {
+        gridRowHeight = 0;
+        assetsGrid.style.gridAutoRows = '';
+        scheduleGridRender();
+    }).observe(assetsContainer);
+}
+
+// New results: tiles still showing one of them stay, but every tile is
+// bound again since the asset, its matches or its state may have changed
+function resetGrid() {
+    gridStale = true;
+    renderGrid();
+}
+
+function scheduleGridRender() {
+    if (gridFrame === null) {
+        gridFrame = requestAnimationFrame(renderGrid);
+    }
+}
+
+// Resolved track list of the auto-fill template, e.g. "180px 180px 180px"
+function getColumnsCount() {
+    const tracks = getComputedStyle(assetsGrid).gridTemplateColumns.split(' ').filter(Boolean);
+    return Math.max(tracks.length, 1);
+}
+
+function getRowStride() {
+    return (gridRowHeight || ESTIMATED_ROW_HEIGHT) + (parseFloat(getComputedStyle(assetsGrid).rowGap) || 0);
+}
+
+// Rows that fit in the container, for PageUp / PageDown
+function getPageRows() {
+    return Math.max(Math.floor(assetsContainer.clientHeight / getRowStride()), 1);
+}
+
+// Where the first row starts inside the scrolling container
+function getGridTop() {
+    const gridRect = assetsGrid.getBoundingClientRect();
+    const containerRect = assetsContainer.getBoundingClientRect();
+    return gridRect.top - containerRect.top + assetsContainer.scrollTop;
+}
+
+function renderGrid() {
+    gridFrame = null;
+
+    const stale = gridStale;
+    gridStale = false;
+
+    if (filteredAssets.length === 0) {
+        gridTiles.forEach((tile, key) => releaseTile(key, tile));
+        assetsGrid.style.paddingTop = '';
+        assetsGrid.style.paddingBottom = '';
+        assetsGrid.replaceChildren(el('div', { className: 'empty-state' }, icon(EMPTY_RESULTS_ICON), el('p', {}, 'No assets found')));
+        return;
+    }
+    assetsGrid.querySelector(':scope > .empty-state')?.remove();
+
+    const columns = getColumnsCount();
+    const stride = getRowStride();
+    const totalRows = Math.ceil(filteredAssets.length / columns);
+    const viewTop = assetsContainer.scrollTop - getGridTop();
+    const firstRow = Math.min(Math.max(Math.floor(viewTop / stride) - GRID_OVERSCAN_ROWS, 0), totalRows - 1);
+    const lastRow = Math.min(Math.ceil((viewTop + assetsContainer.clientHeight) / stride) + GRID_OVERSCAN_ROWS, totalRows);
+    const start = firstRow * columns;
+    const end = Math.min(Math.max(lastRow, firstRow + 1) * columns, filteredAssets.length);
+
+    const keys = gridSlotKeys(start, end);
+    const wanted = new Set(keys);
+    gridTiles.forEach((tile, key) => {
+        if (!wanted.has(key)) releaseTile(key, tile);
+    });
+
+    // Tiles still in range keep their place; the rest go in around them
+    let next = assetsGrid.firstElementChild;
+    for (let i = start; i < end; i++) {
+        const asset = filteredAssets[i];
+        const tile = acquireTile(keys[i - start], asset, stale);
+        tile.classList.toggle('selected', i === focusedIndex);
+        if (tile === next) {
+            next = next.nextElementSibling;
+        } else {
+            assetsGrid.insertBefore(tile, next);
+        }
+    }
+
+    assetsGrid.style.paddingTop = `${firstRow * stride}px`;
+    assetsGrid.style.paddingBottom = `${(totalRows - Math.max(lastRow, firstRow + 1)) * stride}px`;
+
+    // A taller tile than any before stretches every row to fit it
+    let tallest = 0;
+    gridTiles.forEach(tile => {
+        tallest = Math.max(tallest, tile.offsetHeight - tile.clientHeight + tile.scrollHeight);
+    });
+    if (tallest > gridRowHeight) {
+        gridRowHeight = tallest;
+        assetsGrid.style.gridAutoRows = `${tallest}px`;
+        scheduleGridRender();
+    }
+}
+
+// One key per slot in [start, end): the asset id, numbered when a catalog
+// lists the same id more than once, so each copy gets a tile of its own
+function gridSlotKeys(start, end) {
+    const seen = new Map(); // id -> copies so far
+    const keys = [];
+    for (let i = start; i < end; i++) {
+        const id = String(filteredAssets[i].id);
+        const copy = seen.get(id) || 0;
+        seen.set(id, copy + 1);
+        keys.push(copy === 0 ? id : `${id}\n${copy}`);
+    }
+    return keys;
+}
+
+function acquireTile(key, asset, rebind) {
+    const id = String(asset.id);
+    let tile = gridTiles.get(key);
+    if (tile) {
+        // A numbered key can pass to another copy as the range moves
+        if (rebind || getTileAsset(tile) !== asset) bindAssetTile(tile, asset);
+        return tile;
+    }
+
+    const own = tilePool.findIndex(item => String(getTileAsset(item)?.id) === id);
+    const index = own >= 0 ? own : tilePool.length - 1;
+    tile = index >= 0 ? tilePool.splice(index, 1)[0] : createAssetTile();
+    bindAssetTile(tile, asset);
+    gridTiles.set(key, tile);
+    return tile;
+}
+
+function releaseTile(key, tile) {
+    detachTile(tile);
+    tile.remove();
+    gridTiles.delete(key);
+
+    tilePool.push(tile);
+    if (tilePool.length > TILE_POOL_SIZE) {
+        tilePool.shift();
+    }
+}
+
+// Scroll just far enough to bring a result's row into view
+function scrollToIndex(index) {
+    const stride = getRowStride();
+    const rowTop = getGridTop() + Math.floor(index / getColumnsCount()) * stride;
+    const rowBottom = rowTop + stride;
+    const { scrollTop, clientHeight } = assetsContainer;
+
+    let top = null;
+    if (rowTop < scrollTop) {
+        top = rowTop;
+    } else if (rowBottom > scrollTop + clientHeight) {
+        top = rowBottom - clientHeight;
+    }
+    if (top !== null) {
+        // Long jumps (Home, End, PageDown) go straight there
+        const behavior = Math.abs(top - scrollTop) > clientHeight ? 'auto' : 'smooth';
+        assetsContainer.scrollTo({ top, behavior });
+    }
+}
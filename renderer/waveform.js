@@ -0,0 +1,362 @@
+// ===== Waveforms =====
+// Real peaks for audio assets. They are decoded here with Web Audio once and
+// handed to the main process to keep, so later sessions just read them back.
+// Tiles only decode small files on sight; bigger ones wait until played.
+// Either way the file streams through rd-asset://stream/ rather than being
+// queued as a download.
+
+const WAVEFORM_BUCKETS = 512;
+const AUTO_DECODE_MAX_BYTES = 8 * 1024 * 1024;
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+const MAX_PARALLEL_DECODES = 2;
+const REGION_EDGE_GRAB_PX = 6;
+
+const waveformRequests = new Map(); // asset id -> Promise<{ peaks, duration } | null>
+const waveformStates = new WeakMap(); // canvas -> { asset, audio, onSeek, onRegionChange, lazy, region, peaks, requested, following }
+const decodeQueue = [];
+let activeDecodes = 0;
+const decodeContexts = new Map(); // sample rate -> OfflineAudioContext
+
+const waveformResizeObserver = new ResizeObserver(entries => {
+    entries.forEach(entry => drawWaveform(entry.target));
+});
+
+const waveformVisibilityObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            waveformVisibilityObserver.unobserve(entry.target);
+            requestWaveform(entry.target);
+        }
+    });
+});
+
+// Any asset as a same-process URL the renderer may fetch; remote files are
+// downloaded into the asset cache on first use
+function assetFileUrl(asset) {
+    return `rd-asset://asset/${encodeURIComponent(asset.id)}`;
+}
+
+// The same, for previews drawn on sight: remote files are streamed from
+// their host instead of queued as a download and cached
+function assetStreamUrl(asset) {
+    return `rd-asset://stream/${encodeURIComponent(asset.id)}`;
+}
+
+function getWaveformPeaks(asset) {
+    const key = String(asset.id);
+    if (!waveformRequests.has(key)) {
+        const request = loadWaveformPeaks(asset).catch(error => {
+            console.warn(`No waveform for ${asset.title}:`, error.message);
+            // Let a later play or preview try again
+            waveformRequests.delete(key);
+            return null;
+        });
+        waveformRequests.set(key, request);
+    }
+    return waveformRequests.get(key);
+}
+
+async function loadWaveformPeaks(asset) {
+    const stored = await window.api.getWaveform(asset);
+    if (stored) {
+        return stored;
+    }
+
+    const waveform = await queueDecode(() => decodeWaveform(asset));
+    window.api.saveWaveform(asset, waveform);
+    return waveform;
+}
+
+function queueDecode(task) {
+    return new Promise((resolve, reject) => {
+        decodeQueue.push({ task, resolve, reject });
+        runDecodeQueue();
+    });
+}
+
+function runDecodeQueue() {
+    while (activeDecodes < MAX_PARALLEL_DECODES && decodeQueue.length > 0) {
+        const { task, resolve, reject } = decodeQueue.shift();
+        activeDecodes++;
+        task().then(resolve, reject).finally(() => {
+            activeDecodes--;
+            runDecodeQueue();
+        });
+    }
+}
+
+// Decoded AudioBuffer resampled to `sampleRate`
+async function decodeAssetAudio(asset, sampleRate = 44100, url = assetFileUrl(asset)) {
+    if (asset.size > MAX_DECODE_BYTES) {
+        throw new Error('File is too large to decode');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error((await response.text()) || `HTTP ${response.status}`);
+    }
+
+    // An offline context decodes without touching the audio output
+    if (!decodeContexts.has(sampleRate)) {
+        decodeContexts.set(sampleRate, new OfflineAudioContext(1, 1, sampleRate));
+    }
+    return decodeContexts.get(sampleRate).decodeAudioData(await response.arrayBuffer());
+}
+
+async function decodeWaveform(asset) {
+    const buffer = await decodeAssetAudio(asset, undefined, assetStreamUrl(asset));
+
+    const peaks = new Array(WAVEFORM_BUCKETS).fill(0);
+    const bucketSize = buffer.length / WAVEFORM_BUCKETS;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const samples = buffer.getChannelData(channel);
+        for (let i = 0; i < WAVEFORM_BUCKETS; i++) {
+            const end = Math.floor((i + 1) * bucketSize);
+            let max = peaks[i];
+            for (let s = Math.floor(i * bucketSize); s < end; s++) {
+                const value = Math.abs(samples[s]);
+                if (value > max) max = value;
+            }
+            peaks[i] = max;
+        }
+    }
+
+    // Scale to the loudest peak so quiet files still have a visible shape
+    const loudest = Math.max(...peaks);
+    return {
+        peaks: loudest > 0 ? peaks.map(peak => peak / loudest) : peaks,
+        duration: buffer.duration
+    };
+}
+
+// ===== Drawing & Seeking =====
+// `audio` is the element the waveform follows. `onSeek(fraction)` replaces the
+// default seek, e.g. for tiles whose audio has not started yet. With `lazy`,
+// peaks load when the canvas scrolls into view. With `onRegionChange`,
+// Shift+drag picks a region ({ start, end } as fractions) and its edges can
+// be dragged; a plain drag always scrubs.
+function attachWaveform(canvas, asset, { audio, onSeek, onRegionChange, lazy = false }) {
+    const state = {
+        asset, audio, onSeek, onRegionChange, lazy,
+        region: null, peaks: null, requested: false, following: false
+    };
+    waveformStates.set(canvas, state);
+    canvas.classList.add('loading');
+
+    // The tile behind opens the preview on click
+    canvas.addEventListener('click', (e) => e.stopPropagation());
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        // Seeking, not a file drag of the tile
+        e.preventDefault();
+        e.stopPropagation();
+        canvas.setPointerCapture(e.pointerId);
+
+        const anchor = regionDragAnchor(canvas, e);
+        let onMove;
+        if (anchor === null) {
+            seekFromPointer(canvas, e);
+            onMove = (moveEvent) => seekFromPointer(canvas, moveEvent);
+        } else {
+            onMove = (moveEvent) => {
+                const fraction = pointerFraction(canvas, moveEvent);
+                setWaveformRegion(canvas, fraction === anchor ? null : {
+                    start: Math.min(anchor, fraction),
+                    end: Math.max(anchor, fraction)
+                });
+                state.onRegionChange(state.region);
+            };
+        }
+
+        const onUp = () => {
+            canvas.removeEventListener('pointermove', onMove);
+            canvas.removeEventListener('pointerup', onUp);
+            canvas.removeEventListener('pointercancel', onUp);
+        };
+        canvas.addEventListener('pointermove', onMove);
+        canvas.addEventListener('pointerup', onUp);
+        canvas.addEventListener('pointercancel', onUp);
+    });
+
+    ['play', 'pause', 'seeked', 'ended', 'loadedmetadata', 'emptied'].forEach(type => {
+        audio.addEventListener(type, () => onWaveformPlayback(canvas));
+    });
+
+    if (lazy) {
+        reattachWaveform(canvas);
+    } else {
+        waveformResizeObserver.observe(canvas);
+        requestWaveform(canvas);
+    }
+}
+
+// The grid takes tiles out of the DOM and may put them back later
+function detachWaveform(canvas) {
+    waveformResizeObserver.unobserve(canvas);
+    waveformVisibilityObserver.unobserve(canvas);
+}
+
+function reattachWaveform(canvas) {
+    const state = waveformStates.get(canvas);
+    if (!state) return;
+    waveformResizeObserver.observe(canvas);
+    if (state.lazy && !state.requested && (!state.asset.size || state.asset.size <= AUTO_DECODE_MAX_BYTES)) {
+        waveformVisibilityObserver.observe(canvas);
+    }
+}
+
+async function requestWaveform(canvas) {
+    const state = waveformStates.get(canvas);
+    if (!state || state.requested) return;
+    state.requested = true;
+
+    const waveform = await getWaveformPeaks(state.asset);
+    canvas.classList.remove('loading');
+    if (waveform) {
+        state.peaks = waveform.peaks;
+    } else {
+        state.requested = false;
+    }
+    drawWaveform(canvas);
+}
+
+function onWaveformPlayback(canvas) {
+    const state = waveformStates.get(canvas);
+    if (!state.audio.paused) {
+        requestWaveform(canvas);
+        followPlayhead(canvas);
+    }
+    drawWaveform(canvas);
+}
+
+// Redraw every frame while playing so the playhead moves smoothly
+function followPlayhead(canvas) {
+    const state = waveformStates.get(canvas);
+    if (state.following) return;
+    state.following = true;
+
+    const step = () => {
+        if (state.audio.paused || !canvas.isConnected) {
+            state.following = false;
+            return;
+        }
+        drawWaveform(canvas);
+        requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+}
+
+function pointerFraction(canvas, e) {
+    const rect = canvas.getBoundingClientRect();
+    return Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+}
+
+// The fixed end of a region drag, or null when the pointer should scrub:
+// Shift starts a new region, grabbing an edge moves it
+function regionDragAnchor(canvas, e) {
+    const state = waveformStates.get(canvas);
+    if (!state.onRegionChange) return null;
+
+    const fraction = pointerFraction(canvas, e);
+    if (e.shiftKey) return fraction;
+    if (!state.region) return null;
+
+    const grab = REGION_EDGE_GRAB_PX / canvas.clientWidth;
+    if (Math.abs(fraction - state.region.start) <= grab) return state.region.end;
+    if (Math.abs(fraction - state.region.end) <= grab) return state.region.start;
+    return null;
+}
+
+function setWaveformRegion(canvas, region) {
+    const state = waveformStates.get(canvas);
+    if (!state) return;
+    state.region = region;
+    drawWaveform(canvas);
+}
+
+function seekFromPointer(canvas, e) {
+    const fraction = pointerFraction(canvas, e);
+    const state = waveformStates.get(canvas);
+    if (state.onSeek) {
+        state.onSeek(fraction);
+    } else {
+        seekAudio(state.audio, fraction);
+    }
+    drawWaveform(canvas);
+}
+
+// Seeks now, or once the duration is known
+function seekAudio(audio, fraction) {
+    if (Number.isFinite(audio.duration)) {
+        audio.currentTime = fraction * audio.duration;
+        return;
+    }
+    audio.addEventListener('loadedmetadata', () => {
+        audio.currentTime = fraction * audio.duration;
+    }, { once: true });
+}
+
+function peakBetween(peaks, from, to) {
+    const start = Math.floor(from * peaks.length);
+    const end = Math.max(start + 1, Math.ceil(to * peaks.length));
+    let max = 0;
+    for (let i = start; i < end && i < peaks.length; i++) {
+        if (peaks[i] > max) max = peaks[i];
+    }
+    return max;
+}
+
+function drawWaveform(canvas) {
+    const state = waveformStates.get(canvas);
+    if (!canvas.isConnected) {
+        waveformResizeObserver.unobserve(canvas);
+        return;
+    }
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!state || !width || !height) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const styles = getComputedStyle(document.documentElement);
+    const playedColor = styles.getPropertyValue('--accent-primary').trim();
+    const idleColor = styles.getPropertyValue('--text-muted').trim();
+    const { audio } = state;
+    const progress = Number.isFinite(audio.duration) && audio.duration > 0 ? audio.currentTime / audio.duration : 0;
+
+    if (state.region) {
+        const x = state.region.start * width;
+        const regionWidth = Math.max(1, (state.region.end - state.region.start) * width);
+        ctx.fillStyle = styles.getPropertyValue('--accent-glow').trim();
+        ctx.fillRect(x, 0, regionWidth, height);
+        ctx.fillStyle = styles.getPropertyValue('--accent-secondary').trim();
+        ctx.fillRect(x, 0, 1, height);
+        ctx.fillRect(x + regionWidth - 1, 0, 1, height);
+    }
+
+    // Mirrored bars; a flat line until the peaks arrive
+    const barWidth = width > 300 ? 3 : 2;
+    const bars = Math.max(1, Math.floor(width / (barWidth + 1)));
+    const middle = height / 2;
+    for (let i = 0; i < bars; i++) {
+        const peak = state.peaks ? peakBetween(state.peaks, i / bars, (i + 1) / bars) : 0;
+        const barHeight = Math.max(1, peak * (height - 2));
+        const x = i * (barWidth + 1);
+        ctx.fillStyle = x < progress * width ? playedColor : idleColor;
+        ctx.fillRect(x, middle - barHeight / 2, barWidth, barHeight);
+    }
+
+    if (progress > 0) {
+        ctx.fillStyle = styles.getPropertyValue('--text-primary').trim();
+        ctx.fillRect(Math.min(Math.round(progress * width), width - 1), 0, 1, height);
+    }
+}
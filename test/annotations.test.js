@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    initAnnotations,
+    getAnnotations,
+    setAnnotation,
+    exportAnnotations,
+    importAnnotations
+} = require('../lib/annotations');
+
+const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'annotations-test-'));
+const storeFile = path.join(userDataDir, 'annotations.json');
+
+const boom = { id: 1, title: 'Boom' };
+const whoosh = { id: 'studio:7', title: 'Whoosh' };
+
+function exported(annotations) {
+    return { version: 1, exportedAt: '2026-01-01T00:00:00.000Z', annotations };
+}
+
+test.beforeEach(() => {
+    fs.rmSync(storeFile, { force: true });
+    initAnnotations(userDataDir);
+});
+
+test.after(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+});
+
+test('normalises tags and drops an asset with neither tags nor a note', () => {
+    setAnnotation(boom, { tags: ['#Horror ', 'horror', 'used-in-ep12'], note: '  Too loud  ' });
+    const entry = getAnnotations()['1'];
+    assert.deepEqual(entry.tags, ['horror', 'used-in-ep12']);
+    assert.equal(entry.note, 'Too loud');
+    assert.equal(entry.title, 'Boom');
+
+    setAnnotation(boom, { tags: [], note: ' ' });
+    assert.equal(getAnnotations()['1'], undefined);
+});
+
+test('rejects tags that search could not find', () => {
+    assert.throws(() => setAnnotation(boom, { tags: ['two words'] }), /not a valid tag/);
+    assert.throws(() => setAnnotation(boom, { tags: ['#'] }), /cannot be empty/);
+    assert.throws(() => setAnnotation(boom, { tags: ['x'.repeat(41)] }), /at most 40/);
+    assert.throws(() => setAnnotation(boom, { tags: Array.from({ length: 33 }, (_, i) => `t${i}`) }), /at most 32 tags/);
+    assert.throws(() => setAnnotation({ title: 'No id' }, { tags: ['a'] }), /Invalid asset/);
+    assert.equal(getAnnotations()['1'], undefined);
+});
+
+test('keeps annotations across restarts and drops stored entries that no longer validate', () => {
+    setAnnotation(boom, { tags: ['horror'], note: '' });
+    const stored = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    stored.broken = { tags: ['not valid'] };
+    stored.gone = null;
+    fs.writeFileSync(storeFile, JSON.stringify(stored));
+
+    initAnnotations(userDataDir);
+    assert.deepEqual(Object.keys(getAnnotations()), ['1']);
+    assert.deepEqual(getAnnotations()['1'].tags, ['horror']);
+});
+
+test('merges an import: tags are combined, notes only fill gaps', () => {
+    setAnnotation(boom, { tags: ['horror'], note: 'Ours' });
+    setAnnotation(whoosh, { tags: ['transition'], note: '' });
+
+    const result = importAnnotations(exported({
+        1: { title: 'Boom', tags: ['Horror', 'impact'], note: 'Theirs' },
+        'studio:7': { title: 'Whoosh', tags: ['transition'], note: 'Fast' },
+        'studio:8': { title: 'Riser', tags: ['build-up'], note: '' }
+    }));
+    assert.deepEqual(result, { updated: 3, skipped: 0 });
+
+    const annotations = getAnnotations();
+    assert.deepEqual(annotations['1'].tags, ['horror', 'impact']);
+    assert.equal(annotations['1'].note, 'Ours');
+    assert.equal(annotations['studio:7'].note, 'Fast');
+    assert.deepEqual(annotations['studio:8'].tags, ['build-up']);
+
+    // Nothing new the second time round
+    assert.deepEqual(importAnnotations(exportAnnotations()), { updated: 0, skipped: 0 });
+});
+
+test('skips unreadable entries and keeps the rest of an import', () => {
+    // Parsed like a file on disk, so "__proto__" is an ordinary id
+    const data = JSON.parse(JSON.stringify(exported({
+        1: { tags: ['horror'] },
+        2: 'not an entry',
+        3: { tags: ['two words'] },
+        4: { tags: Array.from({ length: 33 }, (_, i) => `t${i}`) },
+        5: { tags: [], note: '' },
+        proto: { tags: ['odd-id'] }
+    })).replace('"proto"', '"__proto__"'));
+
+    assert.deepEqual(importAnnotations(data), { updated: 2, skipped: 3 });
+    assert.deepEqual(Object.keys(getAnnotations()).sort(), ['1', '__proto__']);
+    assert.deepEqual(getAnnotations()['__proto__'].tags, ['odd-id']);
+    assert.equal({}.tags, undefined);
+});
+
+test('refuses files that are not a supported export', () => {
+    assert.throws(() => importAnnotations(null), /Not a tags and notes export/);
+    assert.throws(() => importAnnotations({ version: 1 }), /Not a tags and notes export/);
+    assert.throws(() => importAnnotations({ ...exported({}), version: 2 }), /Unsupported export version 2/);
+    assert.throws(() => importAnnotations({ annotations: {} }), /Unsupported export version undefined/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    initCatalog,
+    setProviders,
+    getCachedCatalog,
+    getSourceStatus,
+    findCatalogAsset,
+    revalidateCatalog,
+    getCatalogOrigins
+} = require('../lib/catalog');
+
+const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-test-'));
+const shareDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-share-'));
+const indexFile = path.join(shareDir, 'index.json');
+
+fs.writeFileSync(indexFile, JSON.stringify({
+    categories: {
+        sounds: [
+            { id: 1, title: 'Boom', path: 'sfx/boom.mp3', size: 2048 },
+            { id: 2, title: 'Remote', url: 'https://cdn.example.com/sfx/whoosh.wav' },
+            { id: 3, title: 'Nowhere' },
+            'not an entry'
+        ],
+        constructor: [{ id: 4, url: 'https://cdn.example.com/misc/odd.bin' }]
+    }
+}));
+
+const share = {
+    id: 'share',
+    name: 'Team share',
+    type: 'static',
+    location: indexFile,
+    enabled: true,
+    categoryMap: {},
+    include: [],
+    exclude: []
+};
+
+test.after(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+    fs.rmSync(shareDir, { recursive: true, force: true });
+});
+
+test('loads a static index and counts what it skipped', async () => {
+    initCatalog(userDataDir, [share]);
+    assert.equal(getCachedCatalog(), null);
+
+    const { changed, catalog } = await revalidateCatalog();
+    assert.equal(changed, true);
+    assert.deepEqual(catalog.assets.map((asset) => asset.id), ['share:1', 'share:2', 'share:4']);
+    assert.deepEqual(catalog.assets.map((asset) => asset.category), ['sounds', 'sounds', 'constructor']);
+
+    const [status] = getSourceStatus();
+    assert.equal(status.id, 'share');
+    assert.equal(status.count, 3);
+    assert.equal(status.skipped, 2);
+    assert.equal(status.error, null);
+
+    assert.equal(findCatalogAsset('share:1').path, path.join(shareDir, 'sfx', 'boom.mp3'));
+    assert.equal(findCatalogAsset('share:3'), null);
+    // Files on the share are served in place, not from an allowed origin
+    assert.deepEqual([...getCatalogOrigins()], ['https://cdn.example.com']);
+});
+
+test('re-normalises the cached index when only the mapping changes', async () => {
+    fs.rmSync(indexFile);
+
+    assert.equal(setProviders([{ ...share, categoryMap: { sounds: 'sfx' }, exclude: ['constructor'] }]), true);
+    const catalog = getCachedCatalog();
+    assert.deepEqual(catalog.assets.map((asset) => asset.id), ['share:1', 'share:2']);
+    assert.deepEqual(catalog.assets.map((asset) => asset.category), ['sfx', 'sfx']);
+    assert.equal(findCatalogAsset('share:4'), null);
+
+    assert.equal(setProviders([{ ...share, categoryMap: { sounds: 'sfx' }, exclude: ['constructor'] }]), false);
+});
+
+test('keeps the last good copy when a source fails', async () => {
+    const { catalog } = await revalidateCatalog();
+    assert.equal(catalog.assets.length, 2);
+    assert.match(getSourceStatus()[0].error, /ENOENT|no such file/i);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspectFile } = require('../lib/file-inspect');
+const { createZipWriter } = require('../lib/zip');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-inspect-test-'));
+const RAR4_SIG = Buffer.from('Rar!\x1a\x07\x00', 'latin1');
+const RAR5_SIG = Buffer.from('Rar!\x1a\x07\x01\x00', 'latin1');
+
+let packBytes = null;
+
+test.before(async () => {
+    const files = { 'Looks/Warm.cube': 'LUT_3D_SIZE 2\n', 'Looks/Cold.cube': 'LUT_3D_SIZE 2\n', 'Read me.txt': 'Hi', 'Presets/ñ.xmp': '<x/>' };
+    const zip = createZipWriter(path.join(tmpDir, 'pack.zip'));
+    for (const [name, content] of Object.entries(files)) {
+        const source = path.join(tmpDir, 'source');
+        fs.writeFileSync(source, content);
+        await zip.addFile(name, source);
+    }
+    await zip.finish();
+    packBytes = fs.readFileSync(path.join(tmpDir, 'pack.zip'));
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function inspectBytes(name, bytes, ext) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, bytes);
+    return inspectFile(filePath, ext);
+}
+
+test('lists a ZIP from its central directory', async () => {
+    const info = await inspectBytes('pack.zip', packBytes);
+    assert.equal(info.kind, 'archive');
+    assert.equal(info.format, 'zip');
+    assert.deepEqual(info.entries.map((entry) => entry.name), ['Looks/Warm.cube', 'Looks/Cold.cube', 'Read me.txt', 'Presets/ñ.xmp']);
+    assert.equal(info.entryCount, 4);
+    assert.equal(info.totalSize, 14 + 14 + 2 + 4);
+    assert.equal(info.truncated, false);
+    assert.equal(info.encrypted, false);
+    assert.deepEqual(info.contents, [
+        { ext: 'cube', app: 'Color LUT', count: 2 },
+        { ext: 'xmp', app: 'Adobe Lightroom / Camera Raw', count: 1 }
+    ]);
+    assert.deepEqual(info.target, { app: 'Color LUT, Adobe Lightroom / Camera Raw' });
+});
+
+test('reports a ZIP cut off before its directory', async () => {
+    await assert.rejects(inspectBytes('cut.zip', packBytes.subarray(0, packBytes.length - 30)), /ZIP directory not found/);
+    await assert.rejects(inspectBytes('head.zip', packBytes.subarray(0, 10)), /ZIP directory not found/);
+});
+
+test('refuses a ZIP whose directory lies past the end of the file', async () => {
+    const bytes = Buffer.from(packBytes);
+    bytes.writeUInt32LE(bytes.length * 2, bytes.length - 22 + 16);
+    await assert.rejects(inspectBytes('moved.zip', bytes), /too large or damaged/);
+});
+
+test('lists what is left of a ZIP directory that ends early', async () => {
+    const bytes = Buffer.from(packBytes);
+    const sizeAt = bytes.length - 22 + 12;
+    bytes.writeUInt32LE(bytes.readUInt32LE(sizeAt) - 30, sizeAt);
+    const info = await inspectBytes('short.zip', bytes);
+    assert.equal(info.entryCount, 3);
+    assert.equal(info.entries.length, 3);
+});
+
+test('stops at a RAR header that runs past the end of the file', async () => {
+    // Marker, then a file header (0x74) announcing 100 bytes but holding 20
+    const header = Buffer.alloc(20);
+    header[2] = 0x74;
+    header.writeUInt16LE(100, 5);
+    const rar4 = await inspectBytes('cut.rar', Buffer.concat([RAR4_SIG, header]));
+    assert.equal(rar4.format, 'rar');
+    assert.equal(rar4.entryCount, 0);
+
+    const rar4Stub = await inspectBytes('stub.rar', Buffer.concat([RAR4_SIG, Buffer.from([0, 0, 0])]));
+    assert.equal(rar4Stub.entryCount, 0);
+
+    // RAR5: CRC, then a header size of 40 with only a few bytes after it
+    const rar5 = await inspectBytes('cut5.rar', Buffer.concat([RAR5_SIG, Buffer.alloc(4), Buffer.from([40, 2, 0, 0])]));
+    assert.equal(rar5.format, 'rar');
+    assert.equal(rar5.entryCount, 0);
+});
+
+test('reports RAR headers too short to be valid', async () => {
+    const header = Buffer.alloc(7);
+    header[2] = 0x74;
+    header.writeUInt16LE(3, 5);
+    await assert.rejects(inspectBytes('tiny.rar', Buffer.concat([RAR4_SIG, header])), /RAR archive is damaged/);
+
+    // A size that never ends: every byte has the continuation bit
+    const endless = Buffer.concat([RAR5_SIG, Buffer.alloc(4), Buffer.from([0x80, 0x80, 0x80])]);
+    await assert.rejects(inspectBytes('endless.rar', endless), /RAR archive is damaged/);
+});
+
+test('decodes short and odd-length text and sniffs binary presets', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('{"app":"Tool"}', 'utf16le').swap16(), Buffer.from([0x00])]);
+    const json = await inspectBytes('preset.json', utf16);
+    assert.equal(json.kind, 'text');
+    assert.equal(json.language, 'json');
+    assert.deepEqual(json.target, { app: 'Tool', version: null });
+
+    const empty = await inspectBytes('empty.txt', Buffer.alloc(0));
+    assert.equal(empty.kind, 'text');
+    assert.equal(empty.text, '');
+
+    const ffx = Buffer.concat([Buffer.from('RIFX\x00\x00\x00\x10FaFX', 'latin1'), Buffer.alloc(8)]);
+    assert.deepEqual((await inspectBytes('fade.ffx', ffx)).target, { app: 'Adobe After Effects', detail: 'Animation preset' });
+
+    const stub = await inspectBytes('stub.bin', Buffer.from([0x52, 0x00]));
+    assert.equal(stub.kind, 'binary');
+    assert.equal(stub.target, null);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseFont, readFontInfo, readFontNames } = require('../lib/font-info');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-info-test-'));
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Mac Roman strings are single bytes, everything else UTF-16BE
+function nameTable(records) {
+    const strings = records.map(({ platform, text }) => (platform === 1
+        ? Buffer.from(text, 'latin1')
+        : Buffer.from(text, 'utf16le').swap16()));
+    const header = Buffer.alloc(6 + records.length * 12);
+    header.writeUInt16BE(records.length, 2);
+    header.writeUInt16BE(header.length, 4);
+    let offset = 0;
+    records.forEach(({ platform, encoding = platform === 3 ? 1 : 0, language = 0, nameId }, i) => {
+        const record = 6 + i * 12;
+        header.writeUInt16BE(platform, record);
+        header.writeUInt16BE(encoding, record + 2);
+        header.writeUInt16BE(language, record + 4);
+        header.writeUInt16BE(nameId, record + 6);
+        header.writeUInt16BE(strings[i].length, record + 8);
+        header.writeUInt16BE(offset, record + 10);
+        offset += strings[i].length;
+    });
+    return Buffer.concat([header, ...strings]);
+}
+
+function os2Table(weight, fsType) {
+    const table = Buffer.alloc(78);
+    table.writeUInt16BE(weight, 4);
+    table.writeUInt16BE(fsType, 8);
+    return table;
+}
+
+// One format 4 segment, "A" to "C", mapped to glyphs 1-3
+function cmapTable() {
+    const table = Buffer.alloc(12 + 32);
+    table.writeUInt16BE(1, 2);
+    table.writeUInt16BE(3, 4);
+    table.writeUInt16BE(1, 6);
+    table.writeUInt32BE(12, 8);
+    const sub = table.subarray(12);
+    sub.writeUInt16BE(4, 0);
+    sub.writeUInt16BE(32, 2);
+    sub.writeUInt16BE(4, 6); // segCountX2
+    [0x43, 0xffff].forEach((end, i) => sub.writeUInt16BE(end, 14 + i * 2));
+    [0x41, 0xffff].forEach((start, i) => sub.writeUInt16BE(start, 20 + i * 2));
+    [-0x40, 1].forEach((delta, i) => sub.writeInt16BE(delta, 24 + i * 2));
+    return table;
+}
+
+function sfnt(tables, flavor = 0x00010000) {
+    const tags = Object.keys(tables);
+    const header = Buffer.alloc(12 + tags.length * 16);
+    header.writeUInt32BE(flavor, 0);
+    header.writeUInt16BE(tags.length, 4);
+    const data = [];
+    let offset = header.length;
+    tags.forEach((tag, i) => {
+        const record = 12 + i * 16;
+        header.write(tag, record, 'latin1');
+        header.writeUInt32BE(offset, record + 8);
+        header.writeUInt32BE(tables[tag].length, record + 12);
+        const padded = Buffer.alloc(Math.ceil(tables[tag].length / 4) * 4);
+        tables[tag].copy(padded);
+        data.push(padded);
+        offset += padded.length;
+    });
+    return Buffer.concat([header, ...data]);
+}
+
+function woff(tables, flavor = 0x00010000) {
+    const tags = Object.keys(tables);
+    const header = Buffer.alloc(44 + tags.length * 20);
+    header.write('wOFF', 0, 'latin1');
+    header.writeUInt32BE(flavor, 4);
+    header.writeUInt16BE(tags.length, 12);
+    const data = [];
+    let offset = header.length;
+    tags.forEach((tag, i) => {
+        const entry = 44 + i * 20;
+        const compressed = zlib.deflateSync(tables[tag]);
+        const stored = compressed.length < tables[tag].length ? compressed : tables[tag];
+        header.write(tag, entry, 'latin1');
+        header.writeUInt32BE(offset, entry + 4);
+        header.writeUInt32BE(stored.length, entry + 8);
+        header.writeUInt32BE(tables[tag].length, entry + 12);
+        data.push(stored);
+        offset += stored.length;
+    });
+    return Buffer.concat([header, ...data]);
+}
+
+const names = nameTable([
+    { platform: 1, nameId: 1, text: 'Mac Family' },
+    { platform: 3, language: 0x409, nameId: 1, text: 'Inkwell' },
+    { platform: 3, language: 0x407, nameId: 2, text: 'Fett' },
+    { platform: 3, language: 0x409, nameId: 2, text: 'Bold' },
+    { platform: 3, language: 0x409, nameId: 4, text: 'Inkwell Bold' },
+    { platform: 3, language: 0x409, nameId: 5, text: 'Version 2.001' },
+    { platform: 0, nameId: 9, text: 'Ada Lovelace' },
+    { platform: 1, nameId: 0, text: '© 2026 Inkwell' }
+]);
+const tables = { name: names, 'OS/2': os2Table(700, 0x0008), cmap: cmapTable() };
+
+test('reads names, weight, embedding and coverage from a TrueType font', () => {
+    const info = parseFont(sfnt(tables));
+    assert.equal(info.family, 'Inkwell');
+    assert.equal(info.style, 'Bold');
+    assert.equal(info.fullName, 'Inkwell Bold');
+    assert.equal(info.version, '2.001');
+    assert.equal(info.designer, 'Ada Lovelace');
+    assert.equal(info.copyright, '© 2026 Inkwell');
+    assert.equal(info.weight, 700);
+    assert.equal(info.weightName, 'Bold');
+    assert.equal(info.embedding, 'Editable embedding');
+    assert.equal(info.outlines, 'TrueType');
+    assert.equal(info.variable, null);
+    assert.deepEqual(info.coverage, [[0x41, 0x43]]);
+});
+
+test('prefers typographic family and style names', () => {
+    const typographic = nameTable([
+        { platform: 3, language: 0x409, nameId: 1, text: 'Inkwell Display Bold' },
+        { platform: 3, language: 0x409, nameId: 2, text: 'Regular' },
+        { platform: 3, language: 0x409, nameId: 16, text: 'Inkwell Display' },
+        { platform: 3, language: 0x409, nameId: 17, text: 'Bold' }
+    ]);
+    const info = parseFont(sfnt({ name: typographic }));
+    assert.equal(info.family, 'Inkwell Display');
+    assert.equal(info.style, 'Bold');
+    assert.equal(info.weight, null);
+    assert.equal(info.embedding, null);
+});
+
+test('skips name records that point past the end of the table', () => {
+    const table = nameTable([
+        { platform: 3, language: 0x409, nameId: 1, text: 'Inkwell' },
+        { platform: 3, language: 0x409, nameId: 4, text: 'Inkwell Bold' }
+    ]);
+    table.writeUInt16BE(0x7fff, 6 + 12 + 10);
+    const info = parseFont(sfnt({ name: table }));
+    assert.equal(info.family, 'Inkwell');
+    assert.equal(info.fullName, null);
+});
+
+test('reads the same names from WOFF and tells CFF outlines apart', () => {
+    const info = parseFont(woff(tables, 0x4f54544f)); // 'OTTO'
+    assert.equal(info.family, 'Inkwell');
+    assert.equal(info.fullName, 'Inkwell Bold');
+    assert.equal(info.weight, 700);
+    assert.equal(info.outlines, 'CFF');
+});
+
+test('refuses files that are not fonts and reports damaged ones', async () => {
+    assert.throws(() => parseFont(Buffer.from('PK\x03\x04 not a font')), /Not a font file/);
+    assert.throws(() => parseFont(Buffer.from('ttcf\x00\x01\x00\x00', 'latin1')), /collections are not supported/);
+
+    const truncated = path.join(tmpDir, 'truncated.ttf');
+    fs.writeFileSync(truncated, sfnt(tables).subarray(0, 30));
+    await assert.rejects(readFontInfo(truncated), /Font file is damaged/);
+});
+
+test('reads only the names of installed font files', async () => {
+    const font = path.join(tmpDir, 'inkwell.ttf');
+    fs.writeFileSync(font, sfnt(tables));
+    assert.deepEqual(await readFontNames(font), { family: 'Inkwell', style: 'Bold', fullName: 'Inkwell Bold' });
+
+    const noNames = path.join(tmpDir, 'nonames.ttf');
+    fs.writeFileSync(noNames, sfnt({ 'OS/2': os2Table(400, 0) }));
+    assert.equal(await readFontNames(noNames), null);
+
+    const web = path.join(tmpDir, 'inkwell.woff');
+    fs.writeFileSync(web, woff(tables));
+    assert.equal(await readFontNames(web), null);
+
+    const stub = path.join(tmpDir, 'stub.ttf');
+    fs.writeFileSync(stub, Buffer.from([0, 1, 0, 0]));
+    assert.equal(await readFontNames(stub), null);
+
+    const cut = path.join(tmpDir, 'cut.ttf');
+    fs.writeFileSync(cut, sfnt(tables).subarray(0, 80));
+    assert.equal(await readFontNames(cut), null);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULT_PROVIDER_ID, normalizeAssets, validateProviders } = require('../lib/providers');
+
+function provider(overrides = {}) {
+    return {
+        id: 'studio',
+        name: 'Studio',
+        type: 'manifest',
+        location: 'https://assets.example.com/manifest.json',
+        enabled: true,
+        categoryMap: {},
+        include: [],
+        exclude: [],
+        ...overrides
+    };
+}
+
+const boom = { id: 1, title: 'Boom', url: 'https://cdn.example.com/sfx/boom.mp3', size: 2048 };
+
+test('reads the categories shape, an assets list and a bare array', () => {
+    const shapes = [
+        { categories: { sfx: [boom] } },
+        { assets: [{ ...boom, category: 'sfx' }] },
+        [{ ...boom, category: 'sfx' }]
+    ];
+    for (const data of shapes) {
+        const { assets, skipped } = normalizeAssets(provider(), data);
+        assert.equal(skipped, 0);
+        assert.equal(assets.length, 1);
+        assert.equal(assets[0].category, 'sfx');
+        assert.equal(assets[0].filename, 'boom.mp3');
+        assert.equal(assets[0].ext, 'mp3');
+    }
+});
+
+test('namespaces ids of every source but the default one', () => {
+    const data = { categories: { sfx: [boom] } };
+
+    const [studio] = normalizeAssets(provider(), data).assets;
+    assert.equal(studio.id, 'studio:1');
+    assert.equal(studio.source, 'studio');
+    assert.equal(studio.sourceName, 'Studio');
+
+    const [builtIn] = normalizeAssets(provider({ id: DEFAULT_PROVIDER_ID }), data).assets;
+    assert.equal(builtIn.id, 1);
+    assert.equal(builtIn.sourceName, undefined);
+});
+
+test('skips entries without a usable url', () => {
+    const { assets, skipped } = normalizeAssets(provider(), {
+        categories: {
+            sfx: [
+                { id: 1, title: 'No url' },
+                { id: 2, url: '' },
+                { id: 3, url: 'javascript:alert(1)' },
+                { id: 4, url: 'file:///etc/passwd' },
+                { id: 5, url: 'relative/boom.mp3' },
+                boom
+            ]
+        }
+    });
+    assert.deepEqual(assets.map((asset) => asset.id), ['studio:1']);
+    assert.equal(skipped, 5);
+});
+
+test('falls back to the file name when the id is missing', () => {
+    const { assets, skipped } = normalizeAssets(provider(), {
+        categories: {
+            sfx: [
+                { url: 'https://cdn.example.com/sfx/whoosh.wav' },
+                // Nothing to name it after
+                { url: 'https://cdn.example.com/' }
+            ]
+        }
+    });
+    assert.deepEqual(assets.map((asset) => asset.id), ['studio:whoosh.wav']);
+    assert.equal(skipped, 1);
+});
+
+test('skips entries whose fields have the wrong type', () => {
+    const { assets, skipped } = normalizeAssets(provider(), {
+        categories: {
+            sfx: [
+                null,
+                'boom.mp3',
+                42,
+                { ...boom, id: { nested: true } },
+                { ...boom, id: true },
+                { ...boom, id: '   ' },
+                { ...boom, id: 'x'.repeat(201) },
+                { ...boom, id: Infinity },
+                { ...boom, url: 12 },
+                { ...boom, url: ['https://cdn.example.com/a.mp3'] },
+                { ...boom, filename: 7 },
+                { ...boom, ext: 'mp3"><img' },
+                { ...boom, ext: 'a'.repeat(17) }
+            ],
+            // Not a list: ignored rather than counted
+            music: { id: 9, url: 'https://cdn.example.com/music/song.mp3' }
+        }
+    });
+    assert.equal(assets.length, 0);
+    assert.equal(skipped, 13);
+});
+
+test('coerces loose but usable fields', () => {
+    const [asset] = normalizeAssets(provider(), {
+        categories: { SFX: [{ ...boom, title: 1234, size: '-5', ext: '.MP3' }] }
+    }).assets;
+    assert.equal(asset.title, '1234');
+    assert.equal(asset.size, 0);
+    assert.equal(asset.ext, 'mp3');
+    assert.equal(asset.category, 'sfx');
+    assert.equal(asset.url, 'https://cdn.example.com/sfx/boom.mp3');
+});
+
+test('maps categories before filtering by them', () => {
+    const data = {
+        categories: {
+            sounds: [boom],
+            music: [{ id: 2, url: 'https://cdn.example.com/music/song.mp3' }],
+            luts: [{ id: 3, url: 'https://cdn.example.com/luts/warm.cube' }]
+        }
+    };
+    const categoryMap = { sounds: 'sfx', luts: 'presets' };
+
+    const mapped = normalizeAssets(provider({ categoryMap }), data).assets;
+    assert.deepEqual(mapped.map((asset) => asset.category), ['sfx', 'music', 'presets']);
+
+    const included = normalizeAssets(provider({ categoryMap, include: ['sfx', 'presets'] }), data);
+    assert.deepEqual(included.assets.map((asset) => asset.id), ['studio:1', 'studio:3']);
+    // Filtered out on purpose, so not counted as skipped
+    assert.equal(included.skipped, 0);
+
+    const excluded = normalizeAssets(provider({ categoryMap, exclude: ['sfx'] }), data);
+    assert.deepEqual(excluded.assets.map((asset) => asset.id), ['studio:2', 'studio:3']);
+
+    // The source's own name no longer matches once it is mapped
+    const byOldName = normalizeAssets(provider({ categoryMap, include: ['sounds'] }), data);
+    assert.equal(byOldName.assets.length, 0);
+});
+
+test('only maps categories the map itself lists', () => {
+    // Parsed like a fetched catalog, so "__proto__" is an ordinary key
+    const data = JSON.parse(JSON.stringify({
+        categories: { constructor: [boom], sounds: [{ ...boom, id: 2 }] }
+    }).replace('"sounds"', '"__proto__"'));
+    const { assets, skipped } = normalizeAssets(provider({ categoryMap: { sounds: 'sfx' } }), data);
+    assert.equal(skipped, 0);
+    assert.deepEqual(assets.map((asset) => asset.category), ['constructor', '__proto__']);
+});
+
+test('serves relative paths of a static index in place', () => {
+    const location = path.resolve('/srv/share/index.json');
+    const { assets, skipped } = normalizeAssets(provider({ type: 'static', location }), {
+        assets: [
+            { id: 'a', path: 'sfx/boom%20big.mp3', category: 'sfx' },
+            { id: 'b', url: 'https://cdn.example.com/b.mp3', category: 'sfx' }
+        ]
+    });
+    assert.equal(skipped, 0);
+    assert.equal(assets[0].path, path.resolve('/srv/share/sfx/boom big.mp3'));
+    assert.equal(assets[0].url, 'rd-asset://source/studio%3Aa');
+    assert.equal(assets[1].path, undefined);
+});
+
+test('rejects a malformed category map', () => {
+    const valid = { id: 'studio', name: 'Studio', type: 'manifest', location: 'https://assets.example.com/m.json' };
+
+    assert.throws(() => validateProviders([{ ...valid, categoryMap: 'sounds' }]), /from=to/);
+    assert.throws(() => validateProviders([{ ...valid, categoryMap: 'sounds=' }]), /from=to/);
+    assert.throws(() => validateProviders([{ ...valid, categoryMap: 'sound fx=sfx' }]), /not a valid category name/);
+    assert.throws(() => validateProviders([{ ...valid, categoryMap: { sounds: 'S F X' } }]), /not a valid category name/);
+
+    const [parsed] = validateProviders([{ ...valid, categoryMap: ' Sounds = SFX , luts=presets ' }]);
+    assert.deepEqual(parsed.categoryMap, { sounds: 'sfx', luts: 'presets' });
+});
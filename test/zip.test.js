@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZipWriter, crc32 } = require('../lib/zip');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Reads the central directory back, checking each entry against its local header
+function readZip(bytes) {
+    const end = bytes.length - 22;
+    assert.equal(bytes.readUInt32LE(end), 0x06054b50);
+    const count = bytes.readUInt16LE(end + 10);
+    let pos = bytes.readUInt32LE(end + 16);
+    assert.equal(pos + bytes.readUInt32LE(end + 12), end);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(bytes.readUInt32LE(pos), 0x02014b50);
+        const nameLength = bytes.readUInt16LE(pos + 28);
+        const entry = {
+            flags: bytes.readUInt16LE(pos + 8),
+            crc: bytes.readUInt32LE(pos + 16),
+            size: bytes.readUInt32LE(pos + 24),
+            name: bytes.toString('utf8', pos + 46, pos + 46 + nameLength)
+        };
+        const local = bytes.readUInt32LE(pos + 42);
+        assert.equal(bytes.readUInt32LE(local), 0x04034b50);
+        assert.equal(bytes.readUInt16LE(local + 6), entry.flags);
+        const localNameLength = bytes.readUInt16LE(local + 26);
+        assert.equal(bytes.toString('utf8', local + 30, local + 30 + localNameLength), entry.name);
+
+        const dataStart = local + 30 + localNameLength;
+        entry.data = bytes.subarray(dataStart, dataStart + entry.size);
+        const descriptor = dataStart + entry.size;
+        assert.equal(bytes.readUInt32LE(descriptor), 0x08074b50);
+        entry.descriptor = {
+            crc: bytes.readUInt32LE(descriptor + 4),
+            compressedSize: bytes.readUInt32LE(descriptor + 8),
+            size: bytes.readUInt32LE(descriptor + 12)
+        };
+        entries.push(entry);
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('computes the standard CRC-32, also across chunks', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+
+    const data = Buffer.from('The quick brown fox jumps over the lazy dog');
+    assert.equal(crc32(data), 0x414fa339);
+    assert.equal(crc32(data.subarray(20), crc32(data.subarray(0, 20))), crc32(data));
+});
+
+test('writes UTF-8 names and the CRC and size of each stored file', async () => {
+    const files = [
+        { name: 'sfx/Boom.wav', data: Buffer.from('RIFF boom') },
+        { name: 'Música/café ☕.mp3', data: Buffer.alloc(70000, 7) },
+        { name: 'empty.txt', data: Buffer.alloc(0) }
+    ];
+    const zipPath = path.join(tmpDir, 'pack.zip');
+    const zip = createZipWriter(zipPath);
+    for (const [i, file] of files.entries()) {
+        const source = path.join(tmpDir, `source-${i}`);
+        fs.writeFileSync(source, file.data);
+        await zip.addFile(file.name, source);
+    }
+    await zip.finish();
+
+    const entries = readZip(fs.readFileSync(zipPath));
+    assert.deepEqual(entries.map((entry) => entry.name), files.map((file) => file.name));
+    entries.forEach((entry, i) => {
+        assert.equal(entry.flags, 0x0808);
+        assert.equal(entry.crc, crc32(files[i].data));
+        assert.equal(entry.size, files[i].data.length);
+        assert.deepEqual(entry.descriptor, { crc: entry.crc, compressedSize: entry.size, size: entry.size });
+        assert.ok(entry.data.equals(files[i].data));
+    });
+});
+
+test('writes an empty archive as just the end record', async () => {
+    const zipPath = path.join(tmpDir, 'empty.zip');
+    const zip = createZipWriter(zipPath);
+    await zip.finish();
+
+    const bytes = fs.readFileSync(zipPath);
+    assert.equal(bytes.length, 22);
+    assert.deepEqual(readZip(bytes), []);
+});